@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+// Aithentic Assignment Grading System - Command Line Entry Point
+// Usage: aithentic run --from convert --to summarize
+
+import { parseArgs } from 'util';
+import { STAGES, SUBMISSION_STAGES, runPipeline, loadRunState, createPipelineTables, migrateResultsTable } from './pipeline.js';
+import { loadDeadLetters, listFailures } from './deadletter.js';
+
+const USAGE = `Usage: aithentic <command> [options]
+
+Commands:
+  run                    Run pipeline stages in-process
+  status [runId]         Show the state of a run (latest run if no ID given)
+  retry-failed           Reprocess only the submissions whose conversion or grading failed
+  create-tables          Create the DynamoDB tables (keys and indexes) that do not exist yet
+  migrate-results <table>
+                         Copy an old-schema results table into the table named by RESULTS_TABLE
+
+Options:
+  --from <stage>         First stage to run (default: fetch)
+  --to <stage>           Last stage to run (default: summarize)
+  --resume               Resume a failed run from its last good stage
+  --run-id <id>          Run to resume or inspect (default: latest run)
+  --analytics-id <id>    Analytics run ID to grade/summarize under
+  --force                Reprocess submissions even if unchanged since the last run
+  --extractors <list>    Text extractor chain, e.g. pdftotext,pdf-parse (default: pdf-parse,pdftotext)
+  --manifest <file>      Incremental sync manifest (default: ./.aithentic/manifest.json)
+  --state-dir <dir>      Directory holding run state files (default: ./.aithentic/runs)
+  --stage <stage>        retry-failed: only retry failures of this stage (convert or grade)
+  --dry-run              retry-failed: list the failures without reprocessing them
+  --dead-letters <file>  Failed submissions store (default: ./.aithentic/dead-letters.json)
+  -h, --help             Show this help
+
+Stages: ${STAGES.join(' → ')}`;
+
+/**
+ * Print a one-line-per-stage overview of a run plus failed submissions and
+ * submissions flagged for manual review or without a unique submission identity
+ */
+function printStatus(state) {
+  console.log(`Run ${state.runId}: ${state.status} (${state.from} → ${state.to}, analyticsId: ${state.analyticsId ?? 'n/a'})`);
+  if (state.retryOf) console.log(`  Retry of ${state.retryOf.length} failed submission(s)`);
+  for (const stage of STAGES) {
+    const info = state.stages[stage];
+    if (!info) continue;
+    const counts = info.processed !== undefined
+      ? ` processed=${info.processed} unchanged=${info.unchanged || 0} failed=${info.failed || 0}`
+      : '';
+    console.log(`  ${stage.padEnd(10)} ${info.status}${counts}${info.error ? ` - ${info.error}` : ''}`);
+  }
+
+  const failed = Object.entries(state.submissions)
+    .filter(([, sub]) => SUBMISSION_STAGES.some(stage => sub.stages[stage] === 'failed'));
+  if (failed.length > 0) {
+    console.log('Failed submissions:');
+    failed.forEach(([id, sub]) => console.log(`  - ${id}: ${sub.error || 'unknown error'}`));
+  }
+
+  const review = Object.entries(state.submissions).filter(([, sub]) => sub.needsReview);
+  if (review.length > 0) {
+    console.log('Needs manual review:');
+    review.forEach(([id, sub]) => console.log(`  - ${id}: ${(sub.reviewReasons || []).join('; ') || 'flagged during conversion'}`));
+  }
+
+  if (state.identityIssues && state.identityIssues.length > 0) {
+    console.log('Keys without a unique submission identity:');
+    state.identityIssues.forEach(issue => console.log(`  - ${issue.key}: ${issue.issue} (graded as ${issue.submissionId})`));
+  }
+}
+
+/**
+ * List the entries of the dead-letter store
+ */
+function printFailures(failures) {
+  failures.forEach(failure => {
+    console.log(`  - [${failure.stage}] ${failure.ref}: ${failure.errorClass}, ${failure.attempts} attempt(s), last ${failure.lastFailedAt}`);
+    console.log(`      ${failure.error}`);
+  });
+}
+
+/**
+ * Point at retry-failed when the dead-letter store has entries
+ */
+function printDeadLetterHint(store) {
+  const failures = listFailures(store);
+  if (failures.length > 0) {
+    console.log(`${failures.length} failed submission(s) in ${store.filePath}; reprocess them with: aithentic retry-failed`);
+  }
+}
+
+async function cli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      resume: { type: 'boolean', default: false },
+      'run-id': { type: 'string' },
+      'analytics-id': { type: 'string' },
+      force: { type: 'boolean', default: false },
+      manifest: { type: 'string' },
+      extractors: { type: 'string' },
+      'state-dir': { type: 'string' },
+      stage: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'dead-letters': { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (command === 'run') {
+    const state = await runPipeline({
+      from: values.from,
+      to: values.to,
+      resume: values.resume,
+      runId: values['run-id'],
+      analyticsId: values['analytics-id'] !== undefined ? Number(values['analytics-id']) : undefined,
+      stateDir: values['state-dir'],
+      force: values.force,
+      extractors: values.extractors,
+      manifestPath: values.manifest,
+      deadLettersPath: values['dead-letters']
+    });
+    console.log('');
+    printStatus(state);
+    printDeadLetterHint(await loadDeadLetters(values['dead-letters']));
+    return 0;
+  }
+
+  if (command === 'status') {
+    printStatus(await loadRunState(values['run-id'] || rest[0], values['state-dir']));
+    printDeadLetterHint(await loadDeadLetters(values['dead-letters']));
+    return 0;
+  }
+
+  if (command === 'retry-failed') {
+    if (values['dry-run']) {
+      const store = await loadDeadLetters(values['dead-letters']);
+      const failures = listFailures(store, values.stage);
+      console.log(`${failures.length} failed submission(s) in ${store.filePath}${values.stage ? ` (stage ${values.stage})` : ''}`);
+      printFailures(failures);
+      return 0;
+    }
+    const state = await runPipeline({
+      retryFailed: true,
+      stage: values.stage,
+      to: values.to,
+      analyticsId: values['analytics-id'] !== undefined ? Number(values['analytics-id']) : undefined,
+      stateDir: values['state-dir'],
+      force: values.force,
+      manifestPath: values.manifest,
+      deadLettersPath: values['dead-letters']
+    });
+    if (!state) return 0;
+    console.log('');
+    printStatus(state);
+    const remaining = listFailures(await loadDeadLetters(values['dead-letters']), values.stage);
+    if (remaining.length > 0) {
+      console.log('Still failing:');
+      printFailures(remaining);
+      return 1;
+    }
+    console.log('✓ All retried submissions succeeded');
+    return 0;
+  }
+
+  if (command === 'create-tables') {
+    const created = await createPipelineTables();
+    console.log(created.length > 0 ? `✓ Created ${created.length} table(s)` : '= All tables already exist');
+    return 0;
+  }
+
+  if (command === 'migrate-results') {
+    if (!rest[0]) {
+      console.error('migrate-results needs the name of the table to copy from\n');
+      console.error(USAGE);
+      return 1;
+    }
+    await migrateResultsTable(rest[0]);
+    return 0;
+  }
+
+  console.error(`Unknown command: ${command}\n`);
+  console.error(USAGE);
+  return 1;
+}
+
+try {
+  process.exit(await cli(process.argv.slice(2)));
+} catch (error) {
+  console.error('\n✗ aithentic failed:', error && error.message ? error.message : error);
+  process.exit(1);
+}
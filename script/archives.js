@@ -0,0 +1,286 @@
+// Aithentic Assignment Grading System - Archive Submissions
+// Reads .zip, .tar, .tar.gz and .tgz project submissions entirely in memory
+// (nothing is unpacked to disk) under size, file-count and path limits, and
+// formats their source files as a single text bundle with file boundaries.
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import JSZip from 'jszip';
+
+const fsp = fs.promises;
+
+const DEFAULT_ARCHIVE_LIMITS = {
+  maxTotalBytes: 100 * 1024 * 1024, // uncompressed bytes across all entries
+  maxFiles: 1000,                   // entries (files, not directories)
+  maxFileBytes: 1024 * 1024         // larger files are skipped, not read
+};
+
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tar.gz', '.tgz'];
+
+// Directories that hold dependencies, VCS data or build output, never student work
+const IGNORED_DIRECTORIES = new Set([
+  '.git', '.svn', '.hg', '__MACOSX', 'node_modules', 'bower_components', '__pycache__',
+  '.venv', 'venv', 'env', '.idea', '.vscode', 'dist', 'build', 'target', 'bin', 'obj', '.gradle', '.next'
+]);
+const IGNORED_FILES = new Set(['.DS_Store', 'Thumbs.db', 'package-lock.json', 'pnpm-lock.yaml', 'yarn.lock', 'poetry.lock', 'Cargo.lock']);
+
+const LANGUAGES = {
+  '.py': 'python', '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'jsx',
+  '.ts': 'typescript', '.tsx': 'tsx', '.java': 'java', '.kt': 'kotlin', '.scala': 'scala',
+  '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.cc': 'cpp', '.hpp': 'cpp', '.cs': 'csharp',
+  '.go': 'go', '.rs': 'rust', '.rb': 'ruby', '.php': 'php', '.swift': 'swift', '.m': 'objectivec',
+  '.r': 'r', '.jl': 'julia', '.hs': 'haskell', '.lua': 'lua', '.pl': 'perl', '.dart': 'dart',
+  '.sql': 'sql', '.sh': 'bash', '.bash': 'bash', '.ps1': 'powershell', '.bat': 'batch',
+  '.html': 'html', '.htm': 'html', '.css': 'css', '.scss': 'scss', '.vue': 'vue', '.svelte': 'svelte',
+  '.json': 'json', '.yaml': 'yaml', '.yml': 'yaml', '.toml': 'toml', '.xml': 'xml', '.ini': 'ini',
+  '.md': 'markdown', '.rst': 'rst', '.txt': 'text', '.csv': 'csv', '.tex': 'latex', '.ipynb': 'json'
+};
+
+/**
+ * Lower-cased extension of a file name, treating .tar.gz as one extension
+ */
+function extensionOf(fileName) {
+  const lower = fileName.toLowerCase();
+  if (lower.endsWith('.tar.gz')) return '.tar.gz';
+  return path.extname(lower);
+}
+
+/**
+ * True when an archive entry path would escape the extraction root if it
+ * were unpacked (absolute, drive-letter or `..` paths)
+ */
+function isUnsafePath(entryPath) {
+  const normalized = entryPath.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) return true;
+  return normalized.split('/').includes('..');
+}
+
+/**
+ * Why an entry should be left out of the bundle by name alone, or null
+ */
+function ignoredReason(entryPath) {
+  const parts = entryPath.split('/').filter(Boolean);
+  if (parts.slice(0, -1).some(dir => IGNORED_DIRECTORIES.has(dir))) return 'dependency or build directory';
+  const name = parts[parts.length - 1] || '';
+  if (IGNORED_FILES.has(name) || name.startsWith('._')) return 'generated or system file';
+  if (ARCHIVE_EXTENSIONS.includes(extensionOf(name))) return 'nested archive';
+  return null;
+}
+
+/**
+ * Decode a buffer as UTF-8 text, or null when it looks binary
+ * (NUL bytes or invalid UTF-8)
+ */
+function decodeText(buffer) {
+  if (buffer.subarray(0, 8000).includes(0)) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a NUL/space padded octal number field of a tar header
+ */
+function tarNumber(field) {
+  const value = field.toString('ascii').replace(/\0.*$/, '').trim();
+  return value ? parseInt(value, 8) : 0;
+}
+
+function tarString(field) {
+  return field.toString('utf8').replace(/\0.*$/s, '');
+}
+
+/**
+ * Yield { path, type, data } for every entry of an (uncompressed) tar buffer.
+ * Handles ustar prefixes, GNU long names and pax `path` records.
+ */
+function* tarEntries(buffer) {
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = tarNumber(header.subarray(124, 136));
+    const type = String.fromCharCode(header[156] || 48);
+    const prefix = header.subarray(257, 262).toString('ascii') === 'ustar' ? tarString(header.subarray(345, 500)) : '';
+    const name = tarString(header.subarray(0, 100));
+    const dataStart = offset + 512;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = tarString(data);
+      continue;
+    }
+    if (type === 'x') {
+      const match = data.toString('utf8').match(/^\d+ path=(.*)$/m);
+      if (match) longName = match[1];
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const entryPath = longName || (prefix ? `${prefix}/${name}` : name);
+    longName = null;
+    yield { path: entryPath, type: type === '0' || type === '\0' || type === '7' ? 'file' : type === '5' ? 'directory' : 'link', data };
+  }
+}
+
+/**
+ * Read an archive within `limits`. Resolves with
+ *   { files: [{ path, data }], skipped: [{ path, reason }] }
+ * where `files` are regular files that passed the path and size checks.
+ * Rejects when the archive exceeds the file-count or total-size limit.
+ */
+async function readArchive(filePath, limits = {}) {
+  const { maxTotalBytes, maxFiles, maxFileBytes } = { ...DEFAULT_ARCHIVE_LIMITS, ...limits };
+  const extension = extensionOf(filePath);
+  const files = [];
+  const skipped = [];
+  let fileCount = 0;
+  let totalBytes = 0;
+
+  const accept = (entryPath) => {
+    fileCount++;
+    if (fileCount > maxFiles) throw new Error(`Archive has more than ${maxFiles} files (ARCHIVE_MAX_FILES)`);
+    if (isUnsafePath(entryPath)) {
+      skipped.push({ path: entryPath, reason: 'unsafe path (absolute or contains ..)' });
+      return false;
+    }
+    return true;
+  };
+  const addBytes = (bytes) => {
+    totalBytes += bytes;
+    if (totalBytes > maxTotalBytes) throw new Error(`Archive expands to more than ${maxTotalBytes} bytes (ARCHIVE_MAX_BYTES)`);
+  };
+
+  if (extension === '.zip') {
+    const zip = await JSZip.loadAsync(await fsp.readFile(filePath));
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir) continue;
+      const entryPath = entry.unsafeOriginalName || entry.name;
+      if (!accept(entryPath)) continue;
+      // Unix symlinks are stored with file type 0o120000 in the external attributes
+      if (entry.unixPermissions && (entry.unixPermissions & 0o170000) === 0o120000) {
+        skipped.push({ path: entryPath, reason: 'symbolic link' });
+        continue;
+      }
+
+      // Stream the entry so a zip bomb is cut off at the per-file limit
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+      await new Promise((resolve, reject) => {
+        const stream = entry.nodeStream('nodebuffer');
+        stream.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > maxFileBytes) {
+            tooLarge = true;
+            // Stop inflating and let go of what was read, not only pause it
+            stream.removeAllListeners('data');
+            stream.destroy();
+            chunks.length = 0;
+            resolve();
+            return;
+          }
+          chunks.push(chunk);
+        });
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      });
+      if (tooLarge) {
+        addBytes(maxFileBytes);
+        skipped.push({ path: entryPath, reason: `larger than ${maxFileBytes} bytes` });
+        continue;
+      }
+      addBytes(size);
+      files.push({ path: entryPath, data: Buffer.concat(chunks) });
+    }
+  } else if (ARCHIVE_EXTENSIONS.includes(extension)) {
+    let buffer = await fsp.readFile(filePath);
+    if (extension !== '.tar') {
+      try {
+        buffer = zlib.gunzipSync(buffer, { maxOutputLength: maxTotalBytes + 1024 * 1024 });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`Archive expands to more than ${maxTotalBytes} bytes (ARCHIVE_MAX_BYTES)`);
+        throw error;
+      }
+    }
+    for (const entry of tarEntries(buffer)) {
+      if (entry.type === 'directory') continue;
+      if (!accept(entry.path)) continue;
+      if (entry.type === 'link') {
+        skipped.push({ path: entry.path, reason: 'symbolic or hard link' });
+        continue;
+      }
+      addBytes(entry.data.length);
+      if (entry.data.length > maxFileBytes) {
+        skipped.push({ path: entry.path, reason: `larger than ${maxFileBytes} bytes` });
+        continue;
+      }
+      files.push({ path: entry.path, data: Buffer.from(entry.data) });
+    }
+  } else {
+    throw new Error(`Not an archive: ${path.basename(filePath)}`);
+  }
+
+  return { files, skipped };
+}
+
+/**
+ * Order bundle sections: READMEs first (shallowest first), then by path
+ */
+function compareEntries(a, b) {
+  const readme = (p) => (/^readme(\.|$)/i.test(path.posix.basename(p)) ? 0 : 1);
+  const depth = (p) => p.split('/').length;
+  return readme(a.path) - readme(b.path) || depth(a.path) - depth(b.path) || a.path.localeCompare(b.path);
+}
+
+/**
+ * Format included files as one text bundle. Each file is a section wrapped in
+ * `----- FILE: <path> -----` / `----- END FILE: <path> -----` markers and is
+ * its own page (sections are separated by form feeds). The first page lists
+ * every file that was included or skipped.
+ */
+function formatBundle(archiveName, sections, skipped) {
+  const ordered = [...sections].sort(compareEntries);
+  const index = [
+    `Archive: ${archiveName}`,
+    `Files included: ${ordered.length}, skipped: ${skipped.length}`,
+    '',
+    ...ordered.map(s => `  ${s.path}${s.language ? ` (${s.language})` : ''}, ${s.text.trimEnd().split('\n').length} lines`),
+    ...(skipped.length > 0 ? ['', 'Skipped:', ...skipped.map(s => `  ${s.path}: ${s.reason}`)] : [])
+  ].join('\n');
+
+  const pages = [index, ...ordered.map(s => [
+    `----- FILE: ${s.path}${s.language ? ` (${s.language})` : ''} -----`,
+    s.text.trimEnd(),
+    `----- END FILE: ${s.path} -----`
+  ].join('\n'))];
+  return { text: pages.join('\f'), pages, files: ordered.map(s => s.path) };
+}
+
+/**
+ * Language tag for a source file, or '' when unknown
+ */
+function languageOf(entryPath) {
+  const name = path.posix.basename(entryPath);
+  if (/^(makefile|dockerfile)$/i.test(name)) return name.toLowerCase();
+  return LANGUAGES[path.posix.extname(name).toLowerCase()] || '';
+}
+
+export {
+  DEFAULT_ARCHIVE_LIMITS,
+  ARCHIVE_EXTENSIONS,
+  extensionOf,
+  isUnsafePath,
+  ignoredReason,
+  decodeText,
+  readArchive,
+  formatBundle,
+  languageOf
+};
@@ -0,0 +1,190 @@
+// Aithentic Assignment Grading System - Chunked Grading
+// Splits long submissions into chunks that fit the model's context (along
+// section and page boundaries where possible) and merges the per-chunk
+// results into one grade record, weighting scores by chunk length.
+
+const CHARS_PER_TOKEN = 4; // rough average for English prose and code
+const DEFAULT_MAX_CHUNK_TOKENS = 6000;
+
+// Fields identifying the record rather than describing the grade
+const KEY_FIELDS = new Set(['analyticsId', 'assignmentId', 'modelProvider']);
+
+/**
+ * Estimated token count of a text
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split text that is over budget: at blank lines, then at line breaks, then
+ * at the character limit as a last resort
+ */
+function splitToBudget(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return [text];
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+
+  for (const separator of ['\n\n', '\n']) {
+    const parts = text.split(separator);
+    if (parts.length < 2) continue;
+    const pieces = [];
+    let current = '';
+    for (const part of parts) {
+      const candidate = current ? `${current}${separator}${part}` : part;
+      if (current && candidate.length > maxChars) {
+        pieces.push(current);
+        current = part;
+      } else {
+        current = candidate;
+      }
+    }
+    if (current) pieces.push(current);
+    return pieces.flatMap(piece => splitToBudget(piece, maxTokens));
+  }
+
+  const pieces = [];
+  for (let i = 0; i < text.length; i += maxChars) pieces.push(text.slice(i, i + maxChars));
+  return pieces;
+}
+
+/**
+ * Segments of a document: one per page, split again where a section starts.
+ * With a structure (see structure.js) segments carry the same [Page N] /
+ * [Section K] markers as annotateText(); without one, pages are split on
+ * form feeds.
+ */
+function segmentsOf(text, structure) {
+  if (!structure) {
+    return text.split('\f').map((pageText, i) => ({ page: i + 1, section: null, text: pageText }));
+  }
+
+  const segments = [];
+  let section = structure.sections.length > 0 ? structure.sections[0].index : 0;
+  for (const page of structure.pages) {
+    const headings = new Map(page.headings.map(h => [h.line, h.section]));
+    let current = { page: page.page, section, lines: [`[Page ${page.page}]`] };
+    page.text.split('\n').forEach((line, i) => {
+      if (headings.has(i + 1)) {
+        if (current.lines.length > 1) segments.push(current);
+        section = headings.get(i + 1);
+        current = { page: page.page, section, lines: current.lines.length > 1 ? [`[Page ${page.page}]`] : current.lines };
+        current.lines.push(`[Section ${section}] ${line}`);
+      } else {
+        current.lines.push(line);
+      }
+    });
+    segments.push(current);
+  }
+  return segments.map(({ page, section: index, lines }) => ({ page, section: index, text: lines.join('\n') }));
+}
+
+/**
+ * Split a submission into chunks of at most `maxTokens` (estimated). Returns
+ *   [{ index, count, text, pages, sections, characterCount, tokens }]
+ * numbered from 1, where `pages` is a range like "3-5" and `sections` the
+ * section indexes the chunk covers. Text that fits is one chunk.
+ */
+function chunkSubmission(text, structure, { maxTokens = DEFAULT_MAX_CHUNK_TOKENS } = {}) {
+  const pieces = segmentsOf(text, structure)
+    .flatMap(segment => splitToBudget(segment.text, maxTokens).map(piece => ({ ...segment, text: piece })));
+
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    if (current && estimateTokens(`${current.text}\n${piece.text}`) <= maxTokens) {
+      current.text += `\n${piece.text}`;
+      current.lastPage = piece.page;
+      if (piece.section !== null && !current.sections.includes(piece.section)) current.sections.push(piece.section);
+      continue;
+    }
+    current = { text: piece.text, firstPage: piece.page, lastPage: piece.page, sections: piece.section !== null ? [piece.section] : [] };
+    chunks.push(current);
+  }
+
+  return chunks.map((chunk, i) => ({
+    index: i + 1,
+    count: chunks.length,
+    text: chunk.text,
+    pages: chunk.firstPage === chunk.lastPage ? String(chunk.firstPage) : `${chunk.firstPage}-${chunk.lastPage}`,
+    sections: chunk.sections,
+    characterCount: chunk.text.length,
+    tokens: estimateTokens(chunk.text)
+  }));
+}
+
+/**
+ * Merge one field across chunk results: numbers are averaged weighted by
+ * chunk length, strings are combined per chunk (once when all chunks agree),
+ * objects are merged field by field, booleans are OR-ed and lists concatenated
+ * (lists of rubric criterion scores are merged per criterionId instead)
+ */
+function mergeValues(values, weights, labels) {
+  const present = values.map((value, i) => ({ value, weight: weights[i], label: labels[i] })).filter(v => v.value !== undefined && v.value !== null);
+  if (present.length === 0) return undefined;
+  const first = present[0].value;
+
+  if (typeof first === 'number') {
+    const numbers = present.filter(v => typeof v.value === 'number');
+    const total = numbers.reduce((sum, v) => sum + v.weight, 0);
+    return Math.round((numbers.reduce((sum, v) => sum + v.value * v.weight, 0) / total) * 100) / 100;
+  }
+  if (typeof first === 'boolean') return present.some(v => v.value === true);
+  if (typeof first === 'string') {
+    const distinct = new Set(present.map(v => v.value));
+    return distinct.size === 1 ? first : present.map(v => `[${v.label}] ${v.value}`).join('\n');
+  }
+  if (Array.isArray(first) && present.every(v => Array.isArray(v.value) && v.value.every(item => item && item.criterionId !== undefined))) {
+    const ids = [...new Set(present.flatMap(v => v.value.map(item => item.criterionId)))];
+    return ids.map(id => mergeValues(values.map(value => (Array.isArray(value) ? value.find(item => item.criterionId === id) : undefined)), weights, labels));
+  }
+  if (Array.isArray(first)) return present.flatMap(v => (Array.isArray(v.value) ? v.value : [v.value]));
+  if (typeof first === 'object') {
+    const keys = [...new Set(present.flatMap(v => Object.keys(v.value || {})))];
+    return Object.fromEntries(keys
+      .map(key => [key, mergeValues(values.map(value => (value ? value[key] : undefined)), weights, labels)])
+      .filter(([, value]) => value !== undefined));
+  }
+  return first;
+}
+
+/**
+ * Merge per-chunk results (plain objects) into one grade record. Scores are
+ * weighted by chunk length; reasoning and remarks are combined with a
+ * "[Part i, pages x-y]" label per chunk. The record lists each chunk's own
+ * scores under `chunks`.
+ */
+function mergeChunkResults(results, chunks) {
+  const weights = chunks.map(chunk => chunk.characterCount);
+  const labels = chunks.map(chunk => `Part ${chunk.index}, pages ${chunk.pages}`);
+  const merged = {};
+
+  for (const key of new Set(results.flatMap(result => Object.keys(result)))) {
+    merged[key] = KEY_FIELDS.has(key)
+      ? results[0][key]
+      : mergeValues(results.map(result => result[key]), weights, labels);
+  }
+
+  merged.chunkCount = chunks.length;
+  merged.chunks = chunks.map((chunk, i) => {
+    const scores = {
+      gradeReceived: results[i].gradeReceived,
+      percentageOfAIUsed: results[i].aiGeneratedAnalytics && results[i].aiGeneratedAnalytics.percentageOfAIUsed,
+      plagarisedPercentage: results[i].plagarismAnalytics && results[i].plagarismAnalytics.plagarisedPercentage
+    };
+    return {
+      index: chunk.index,
+      pages: chunk.pages,
+      characterCount: chunk.characterCount,
+      ...Object.fromEntries(Object.entries(scores).filter(([, value]) => typeof value === 'number'))
+    };
+  });
+  return merged;
+}
+
+export {
+  CHARS_PER_TOKEN,
+  DEFAULT_MAX_CHUNK_TOKENS,
+  estimateTokens,
+  chunkSubmission,
+  mergeChunkResults
+};
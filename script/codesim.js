@@ -0,0 +1,246 @@
+// Aithentic Assignment Grading System - Source Code Similarity
+// Word shingles miss copied code once variables are renamed and functions
+// reordered. This compares the source in submissions (archive bundles and
+// fenced code blocks) as token streams instead: identifiers and literals are
+// normalized away, token k-grams are winnowed, and matches are reported as
+// line ranges in both submissions' files.
+
+import { hashString, winnow } from './similarity.js';
+
+const DEFAULT_KGRAM_TOKENS = 12;
+const DEFAULT_WINNOW_WINDOW = 6;
+const DEFAULT_CODE_THRESHOLD = 50; // percent
+const DEFAULT_MAX_RANGES = 5;
+
+// Language tags (from archive bundles and code fences) -> tokenizer family
+const CODE_LANGUAGES = {
+  javascript: 'c', js: 'c', jsx: 'c', typescript: 'c', ts: 'c', tsx: 'c',
+  java: 'c', c: 'c', cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c', cc: 'c',
+  python: 'python', py: 'python', python3: 'python'
+};
+
+// Keywords are kept as they are; every other identifier becomes `V`
+const KEYWORDS = {
+  c: new Set([
+    'abstract', 'async', 'auto', 'await', 'bool', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class',
+    'const', 'continue', 'default', 'delete', 'do', 'double', 'else', 'enum', 'export', 'extends', 'extern',
+    'false', 'final', 'finally', 'float', 'for', 'function', 'goto', 'if', 'implements', 'import', 'in',
+    'instanceof', 'int', 'interface', 'let', 'long', 'namespace', 'new', 'null', 'nullptr', 'of', 'package',
+    'private', 'protected', 'public', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'super',
+    'switch', 'template', 'this', 'throw', 'throws', 'true', 'try', 'typedef', 'typeof', 'typename', 'undefined',
+    'union', 'unsigned', 'using', 'var', 'virtual', 'void', 'volatile', 'while', 'yield'
+  ]),
+  python: new Set([
+    'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+    'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda',
+    'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+  ])
+};
+
+// One token per match; comments and whitespace are skipped, strings become
+// `S`, numbers `N`. Patterns are tried in order at the current position.
+const TOKEN_PATTERNS = {
+  c: [
+    ['skip', /\s+/y],
+    ['skip', /\/\/[^\n]*/y],
+    ['skip', /\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['skip', /#[^\n]*/y], // preprocessor directives
+    ['S', /"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?|`(?:\\[\s\S]|[^`\\])*`?/y],
+    ['N', /(?:0[xX][\da-fA-F_]+|\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)[a-zA-Z]*/y],
+    ['word', /[A-Za-z_$][\w$]*/y],
+    ['op', />>>=?|<<=|>>=|===|!==|\*\*=?|\.\.\.|&&=?|\|\|=?|\?\?=?|=>|->|::|\+\+|--|[-+*/%&|^!=<>]=?|[^\s\w]/y]
+  ],
+  python: [
+    ['skip', /\s+/y],
+    ['skip', /#[^\n]*/y],
+    ['S', /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?)/y],
+    ['N', /(?:0[xXoObB][\da-fA-F_]+|\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)[jJ]?/y],
+    ['word', /[A-Za-z_]\w*/y],
+    ['op', /\*\*=?|\/\/=?|>>=?|<<=?|->|:=|[-+*/%&|^!=<>@]=?|[^\s\w]/y]
+  ]
+};
+
+/**
+ * Source code in a submission's text:
+ *   [{ file, language, source }]
+ * Files come from archive bundles (`----- FILE: path (language) -----`, each
+ * on its own form-feed separated page) and fenced code blocks (```python) in
+ * a supported language (CODE_LANGUAGES).
+ */
+function extractCodeSegments(text) {
+  const lines = text.split(/\n|\f/);
+  const segments = [];
+  let open = null;
+  let blocks = 0;
+
+  for (const line of lines) {
+    if (open) {
+      const closes = open.fence ? /^```\s*$/.test(line) : line === `----- END FILE: ${open.file} -----`;
+      if (closes) {
+        if (open.language) segments.push({ file: open.file, language: open.language, source: open.lines.join('\n') });
+        open = null;
+      } else {
+        open.lines.push(line);
+      }
+      continue;
+    }
+    const file = line.match(/^----- FILE: (.+?)(?: \(([\w+#-]+)\))? -----$/);
+    const fence = !file && line.match(/^```\s*([\w+#-]*)\s*$/);
+    if (file) {
+      open = { file: file[1], language: CODE_LANGUAGES[(file[2] || '').toLowerCase()] && file[2].toLowerCase(), lines: [] };
+    } else if (fence) {
+      blocks++;
+      const language = fence[1].toLowerCase();
+      open = { fence: true, file: `code block ${blocks}`, language: CODE_LANGUAGES[language] && language, lines: [] };
+    }
+  }
+  return segments;
+}
+
+/**
+ * Normalized tokens of one source file, each with its line (1-based):
+ * identifiers become `V`, strings `S` and numbers `N`; keywords and
+ * operators are kept, comments and layout dropped
+ */
+function tokenizeCode(source, language) {
+  const family = CODE_LANGUAGES[language];
+  if (!family) throw new Error(`No code tokenizer for language "${language}"`);
+  const patterns = TOKEN_PATTERNS[family];
+  const tokens = [];
+  let position = 0;
+  let line = 1;
+
+  while (position < source.length) {
+    let matched = false;
+    for (const [kind, pattern] of patterns) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(source);
+      if (!match || match[0].length === 0) continue;
+      const value = match[0];
+      if (kind !== 'skip') {
+        tokens.push({ value: kind === 'word' ? (KEYWORDS[family].has(value) ? value : 'V') : kind === 'op' ? value : kind, line });
+      }
+      for (let i = 0; i < value.length; i++) if (value.charCodeAt(i) === 10) line++;
+      position += value.length;
+      matched = true;
+      break;
+    }
+    if (!matched) position++;
+  }
+  return tokens;
+}
+
+/**
+ * Fingerprint the source code in a submission's text:
+ *   { segments, fingerprints: [{ hash, segment, startLine, endLine }], hashes }
+ * or null when it has no code in a supported language. Lines are relative
+ * to each file (or code block); `hashes` is the set of fingerprint hashes.
+ */
+function fingerprintCode(text, { kgramTokens = DEFAULT_KGRAM_TOKENS, window = DEFAULT_WINNOW_WINDOW } = {}) {
+  const segments = extractCodeSegments(text);
+  if (segments.length === 0) return null;
+
+  const fingerprints = [];
+  segments.forEach((segment, index) => {
+    const tokens = tokenizeCode(segment.source, segment.language);
+    const kgrams = [];
+    for (let i = 0; i + kgramTokens <= tokens.length; i++) {
+      kgrams.push(hashString(tokens.slice(i, i + kgramTokens).map(t => t.value).join(' ')));
+    }
+    for (const { hash, position } of winnow(kgrams, window)) {
+      fingerprints.push({ hash, segment: index, startLine: tokens[position].line, endLine: tokens[position + kgramTokens - 1].line });
+    }
+  });
+  return { segments, fingerprints, hashes: new Set(fingerprints.map(f => f.hash)) };
+}
+
+/**
+ * Share of fingerprints two submissions' code have in common (Jaccard), as a
+ * percentage. Renamed identifiers and reordered functions leave it unchanged.
+ */
+function codeSimilarity(a, b) {
+  if (!a || !b || a.hashes.size === 0 || b.hashes.size === 0) return 0;
+  let shared = 0;
+  for (const hash of a.hashes) if (b.hashes.has(hash)) shared++;
+  return Math.round((shared / (a.hashes.size + b.hashes.size - shared)) * 1000) / 10;
+}
+
+/**
+ * Line ranges two submissions' code share: fingerprints found in both,
+ * merged while they stay on neighbouring lines of the same two files.
+ * Returns the `maxRanges` largest, in file order, as
+ *   { file, lines, matchedFile, matchedLines }
+ * with `lines` like "12-30" in `a`'s file and `matchedLines` in `b`'s.
+ */
+function matchingLineRanges(a, b, { maxRanges = DEFAULT_MAX_RANGES } = {}) {
+  const inB = new Map();
+  for (const fingerprint of b.fingerprints) {
+    if (!inB.has(fingerprint.hash)) inB.set(fingerprint.hash, []);
+    inB.get(fingerprint.hash).push(fingerprint);
+  }
+
+  const runs = [];
+  let run = null;
+  for (const fa of a.fingerprints) {
+    const candidates = inB.get(fa.hash);
+    if (!candidates) continue;
+    const next = run && fa.segment === run.aSegment && fa.startLine <= run.aEnd + 1
+      && candidates.find(fb => fb.segment === run.bSegment && fb.startLine >= run.bStart - 1 && fb.startLine <= run.bEnd + 1);
+    if (next) {
+      run.aEnd = Math.max(run.aEnd, fa.endLine);
+      run.bEnd = Math.max(run.bEnd, next.endLine);
+    } else {
+      const fb = candidates[0];
+      run = { aSegment: fa.segment, aStart: fa.startLine, aEnd: fa.endLine, bSegment: fb.segment, bStart: fb.startLine, bEnd: fb.endLine };
+      runs.push(run);
+    }
+  }
+
+  const range = (start, end) => (start === end ? String(start) : `${start}-${end}`);
+  return runs
+    .sort((x, y) => (y.aEnd - y.aStart) - (x.aEnd - x.aStart))
+    .slice(0, maxRanges)
+    .sort((x, y) => x.aSegment - y.aSegment || x.aStart - y.aStart)
+    .map(r => ({
+      file: a.segments[r.aSegment].file,
+      lines: range(r.aStart, r.aEnd),
+      matchedFile: b.segments[r.bSegment].file,
+      matchedLines: range(r.bStart, r.bEnd)
+    }));
+}
+
+/**
+ * Compare the code of every pair of documents in a batch, like
+ * findSimilarPairs (similarity.js) but with `codeFingerprint` (from
+ * fingerprintCode, null for submissions without code). Returns
+ *   [{ a, b, similarity, ranges }]
+ * most similar first, `ranges` locating the shared code in both.
+ */
+function findSimilarCodePairs(documents, { threshold = DEFAULT_CODE_THRESHOLD, maxRanges = DEFAULT_MAX_RANGES } = {}) {
+  const withCode = documents.filter(d => d.codeFingerprint);
+  const pairs = [];
+  for (let i = 0; i < withCode.length; i++) {
+    for (let j = i + 1; j < withCode.length; j++) {
+      const a = withCode[i];
+      const b = withCode[j];
+      if ((a.group || '') !== (b.group || '')) continue;
+      if (a.owner && a.owner === b.owner) continue;
+      const similarity = codeSimilarity(a.codeFingerprint, b.codeFingerprint);
+      if (similarity < threshold || similarity === 0) continue;
+      pairs.push({ a: a.id, b: b.id, similarity, ranges: matchingLineRanges(a.codeFingerprint, b.codeFingerprint, { maxRanges }) });
+    }
+  }
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+export {
+  DEFAULT_KGRAM_TOKENS,
+  DEFAULT_CODE_THRESHOLD,
+  CODE_LANGUAGES,
+  extractCodeSegments,
+  tokenizeCode,
+  fingerprintCode,
+  codeSimilarity,
+  matchingLineRanges,
+  findSimilarCodePairs
+};
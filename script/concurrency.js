@@ -0,0 +1,168 @@
+// Aithentic Assignment Grading System - Concurrency helpers
+// Shared by the pipeline parts that fan work out over many submissions
+
+/**
+ * Run `worker(item, index)` over `items` with at most `limit` calls in flight.
+ * Results keep the input order. Every item is attempted even if some fail;
+ * failures are returned as `{ error }` entries so callers decide what to do.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  }
+
+  const poolSize = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: poolSize }, runWorker));
+  return results;
+}
+
+/**
+ * Human-readable byte count for progress output
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+/**
+ * Token-bucket rate limiter: `take()` resolves once a token is available.
+ * Tokens refill at `ratePerSecond` up to `burst`; callers are served in
+ * order. A rate of 0 (or less) means no limit. `now` and `wait` stand in
+ * for the clock and sleep() in tests.
+ */
+function createTokenBucket({ ratePerSecond, burst = ratePerSecond, now = Date.now, wait = sleep }) {
+  if (!(ratePerSecond > 0)) return { take: async () => {} };
+  const capacity = Math.max(1, burst || 1);
+  let tokens = capacity;
+  let refilledAt = now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const time = now();
+    tokens = Math.min(capacity, tokens + ((time - refilledAt) / 1000) * ratePerSecond);
+    refilledAt = time;
+  }
+
+  return {
+    take() {
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await wait(((1 - tokens) / ratePerSecond) * 1000);
+          refill();
+        }
+        tokens -= 1;
+      });
+      queue = turn;
+      return turn;
+    }
+  };
+}
+
+/**
+ * Delay before retry `attempt` (1-based): exponential backoff with full
+ * jitter, random between 0 and min(maxMs, baseMs * 2^(attempt-1)). A
+ * server-sent Retry-After (`retryAfterMs`) is always waited out.
+ */
+function backoffDelay(attempt, { baseMs = 1000, maxMs = 30000, retryAfterMs = null, random = Math.random } = {}) {
+  const jittered = Math.round(random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1)));
+  return retryAfterMs ? Math.max(retryAfterMs, jittered) : jittered;
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header value (delay in seconds or
+ * an HTTP date), or null when absent or unreadable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Circuit breaker shared by the workers of a batch. After `failureThreshold`
+ * consecutive failures it opens and `acquire()` holds every caller for
+ * `cooldownMs`; then one caller is let through as a probe (half-open). The
+ * probe's success closes the circuit, its failure opens it again.
+ * Callers report each outcome with success() or failure(). `now` and `wait`
+ * stand in for the clock and sleep() in tests.
+ */
+function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 30000, onStateChange = () => {}, now = Date.now, wait = sleep } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let waiters = [];
+
+  function transition(next) {
+    if (state === next) return;
+    state = next;
+    onStateChange(next, { failures, cooldownMs });
+  }
+  function wakeWaiters() {
+    const woken = waiters;
+    waiters = [];
+    woken.forEach(resolve => resolve());
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+    async acquire() {
+      while (true) {
+        if (state === 'closed') return;
+        if (state === 'open') {
+          const remaining = openedAt + cooldownMs - now();
+          if (remaining > 0) {
+            await wait(remaining);
+            continue;
+          }
+          transition('half-open');
+          return;
+        }
+        // half-open: wait for the probe's outcome
+        await new Promise(resolve => waiters.push(resolve));
+      }
+    },
+    success() {
+      failures = 0;
+      transition('closed');
+      wakeWaiters();
+    },
+    failure() {
+      failures++;
+      if (state === 'half-open' || failures >= failureThreshold) {
+        openedAt = now();
+        transition('open');
+      }
+      wakeWaiters();
+    }
+  };
+}
+
+export {
+  mapWithConcurrency,
+  formatBytes,
+  sleep,
+  createTokenBucket,
+  backoffDelay,
+  parseRetryAfter,
+  createCircuitBreaker
+};
@@ -0,0 +1,162 @@
+// Aithentic Assignment Grading System - Fingerprint Corpus
+// Keeps the MinHash signature of every graded submission in a DynamoDB table
+// (never its text) so later batches, after the instance that graded it is
+// gone, can be checked against submissions from earlier runs and semesters.
+// The table is keyed by band hash (locality-sensitive hashing): each
+// signature is stored under one key per band, and a new submission only
+// reads the keys it shares, not the whole corpus. Each entry also has an
+// index item (`entry:<entryId>`) listing its bands, so grading it again can
+// remove the bands its new text no longer has.
+
+import { QueryCommand, GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { estimateSimilarity } from './similarity.js';
+import { batchWriteAll } from './datastore.js';
+
+const DEFAULT_CORPUS_TABLE = 'fingerprint_corpus';
+const DEFAULT_RETENTION_DAYS = 1095; // three years
+
+// 42 bands of 3 signature values: pairs sharing 40% of their shingles meet in
+// at least one band about 94% of the time, pairs sharing 10% about 4%
+const BANDS = 42;
+const ROWS_PER_BAND = 3;
+
+/**
+ * Partition keys of a signature, one per band (`b07:<v1>.<v2>.<v3>`); empty
+ * for texts too short to have a signature
+ */
+function bandKeys(signature) {
+  if (signature.length < BANDS * ROWS_PER_BAND) return [];
+  return Array.from({ length: BANDS }, (_, band) => {
+    const rows = signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND);
+    return `b${String(band).padStart(2, '0')}:${rows.join('.')}`;
+  });
+}
+
+/**
+ * Signature <-> base64 of its 32-bit values, for storage
+ */
+function encodeSignature(signature) {
+  return Buffer.from(Uint32Array.from(signature).buffer).toString('base64');
+}
+
+function decodeSignature(encoded) {
+  const bytes = Buffer.from(encoded, 'base64');
+  return Array.from(new Uint32Array(bytes.buffer, bytes.byteOffset, bytes.length / 4));
+}
+
+/**
+ * Sort key of a corpus entry: one per S3 object and analytics run, so a
+ * submission graded again in the same run replaces its entry, while the same
+ * key graded in another run (a later semester reusing file names) is kept
+ * beside it
+ */
+function entryIdOf({ sourceKey, submissionId, analyticsId }) {
+  return `${sourceKey || submissionId}#${analyticsId}`;
+}
+
+const indexKeyOf = (entryId) => `entry:${entryId}`;
+
+/**
+ * Store a graded submission's signature, with when and under which
+ * analyticsId it was graded and the S3 object (key and ETag) it came from.
+ * Entries expire `retentionDays` after they are written (DynamoDB TTL on
+ * `expiresAt`; 0 keeps them forever). Grading the same submission again in
+ * the same run overwrites its entry and deletes the bands it no longer has.
+ * Returns the number of bands stored.
+ */
+async function recordFingerprint({ submissionId, studentId, sourceKey, sourceEtag, analyticsId, signature }, { dynamodb, table = DEFAULT_CORPUS_TABLE, retentionDays = DEFAULT_RETENTION_DAYS, now = Date.now() }) {
+  const keys = bandKeys(signature);
+  const entryId = entryIdOf({ sourceKey, submissionId, analyticsId });
+  const indexKey = { bandKey: { S: indexKeyOf(entryId) }, entryId: { S: entryId } };
+  const previous = await dynamodb.send(new GetItemCommand({ TableName: table, Key: indexKey }));
+  const previousKeys = (previous.Item && previous.Item.bands && previous.Item.bands.SS) || [];
+  if (keys.length === 0 && previousKeys.length === 0) return 0;
+
+  const expiresAt = retentionDays > 0 ? { expiresAt: { N: String(Math.floor(now / 1000) + retentionDays * 86400) } } : {};
+  const entry = {
+    entryId: { S: entryId },
+    submissionId: { S: String(submissionId) },
+    analyticsId: { N: String(analyticsId) },
+    ...(studentId ? { studentId: { S: String(studentId) } } : {}),
+    ...(sourceKey ? { sourceKey: { S: String(sourceKey) } } : {}),
+    ...(sourceEtag ? { sourceEtag: { S: String(sourceEtag) } } : {}),
+    signature: { S: encodeSignature(signature) },
+    recordedAt: { S: new Date(now).toISOString() },
+    ...expiresAt
+  };
+
+  const current = new Set(keys);
+  await batchWriteAll(dynamodb, table, [
+    ...keys.map(bandKey => ({ PutRequest: { Item: { bandKey: { S: bandKey }, ...entry } } })),
+    ...previousKeys.filter(bandKey => !current.has(bandKey)).map(bandKey => ({ DeleteRequest: { Key: { bandKey: { S: bandKey }, entryId: { S: entryId } } } })),
+    keys.length > 0
+      ? { PutRequest: { Item: { ...indexKey, bands: { SS: keys }, ...expiresAt } } }
+      : { DeleteRequest: { Key: indexKey } }
+  ]);
+  return keys.length;
+}
+
+/**
+ * Corpus submissions similar to `signature`, at or above `threshold`
+ * percent, most similar first:
+ *   [{ submissionId, studentId?, sourceKey?, analyticsId, recordedAt, similarity }]
+ * Skipped: entries of `excludeAnalyticsId` (the current run), entries of
+ * `exclude` (the current submission as { sourceKey, sourceEtag }: the same
+ * object graded in earlier runs) and entries past their retention (TTL
+ * deletes them only eventually). The same object graded in several runs is
+ * reported once, from its latest run.
+ */
+async function findCorpusMatches(signature, { dynamodb, table = DEFAULT_CORPUS_TABLE, threshold, exclude = null, excludeAnalyticsId = null, now = Date.now() }) {
+  const isExcluded = (item) => exclude && exclude.sourceKey && exclude.sourceEtag && item.sourceKey && item.sourceEtag
+    && item.sourceKey.S === exclude.sourceKey && item.sourceEtag.S === exclude.sourceEtag;
+  const candidates = new Map();
+  for (const bandKey of bandKeys(signature)) {
+    let exclusiveStartKey;
+    do {
+      const page = await dynamodb.send(new QueryCommand({
+        TableName: table,
+        KeyConditionExpression: 'bandKey = :key',
+        ExpressionAttributeValues: { ':key': { S: bandKey } },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      for (const item of page.Items || []) {
+        if (candidates.has(item.entryId.S) || isExcluded(item)) continue;
+        if (item.expiresAt && Number(item.expiresAt.N) * 1000 < now) continue;
+        if (excludeAnalyticsId !== null && Number(item.analyticsId.N) === Number(excludeAnalyticsId)) continue;
+        candidates.set(item.entryId.S, item);
+      }
+      exclusiveStartKey = page.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+  }
+
+  // One match per graded object (key and ETag), the latest run's
+  const latest = new Map();
+  for (const item of candidates.values()) {
+    const object = item.sourceKey && item.sourceEtag ? `${item.sourceKey.S}#${item.sourceEtag.S}` : item.entryId.S;
+    const seen = latest.get(object);
+    if (!seen || Number(item.analyticsId.N) > Number(seen.analyticsId.N)) latest.set(object, item);
+  }
+
+  const matches = [];
+  for (const item of latest.values()) {
+    const similarity = estimateSimilarity({ signature }, { signature: decodeSignature(item.signature.S) });
+    if (similarity < threshold || similarity === 0) continue;
+    matches.push({
+      submissionId: item.submissionId.S,
+      ...(item.studentId ? { studentId: item.studentId.S } : {}),
+      ...(item.sourceKey ? { sourceKey: item.sourceKey.S } : {}),
+      analyticsId: Number(item.analyticsId.N),
+      recordedAt: item.recordedAt.S,
+      similarity
+    });
+  }
+  return matches.sort((a, b) => b.similarity - a.similarity);
+}
+
+export {
+  DEFAULT_CORPUS_TABLE,
+  DEFAULT_RETENTION_DAYS,
+  bandKeys,
+  recordFingerprint,
+  findCorpusMatches
+};
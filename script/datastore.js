@@ -0,0 +1,270 @@
+// Aithentic Assignment Grading System - DynamoDB Data Access
+// The one converter between plain objects and DynamoDB items, the
+// definitions (keys, indexes, TTL) of every table the pipeline uses, so the
+// schema can be recreated, and the reads the parts share: results are queried
+// by analyticsId and studentId through keys and indexes, and the scans that
+// remain follow LastEvaluatedKey instead of stopping at the first 1 MB page.
+
+import { QueryCommand, ScanCommand, BatchWriteItemCommand, DescribeTableCommand, CreateTableCommand, UpdateTimeToLiveCommand, waitUntilTableExists } from '@aws-sdk/client-dynamodb';
+import { sleep } from './concurrency.js';
+
+const DEFAULT_TABLES = {
+  assignmentsTable: 'assignment_analysis_data',
+  summaryTable: 'analysis_data',
+  homeTable: 'home_data',
+  runsTable: 'analytics_runs',
+  corpusTable: 'fingerprint_corpus',
+  pendingTable: 'pending_submissions'
+};
+
+// Global secondary index of the results table for a student's results, latest first
+const STUDENT_INDEX = 'studentId-analyticsId-index';
+
+const MAX_BATCH_WRITE = 25;
+
+// Where the README explains how to move a results table to the current key schema
+const MIGRATION_HINT = 'see "Migrating the Results Table" in the README (aithentic migrate-results)';
+
+/**
+ * Convert a plain value to a DynamoDB attribute value. Object fields that are
+ * null or undefined are left out; null in a list becomes NULL.
+ */
+function toAttributeValue(value) {
+  if (value === null || value === undefined) return { NULL: true };
+  if (typeof value === 'string') return { S: value };
+  if (typeof value === 'number') return { N: String(value) };
+  if (typeof value === 'boolean') return { BOOL: value };
+  if (Array.isArray(value)) return { L: value.map(toAttributeValue) };
+  if (typeof value === 'object') return { M: toDynamoDBFormat(value) };
+  return { S: String(value) };
+}
+
+/**
+ * Convert a plain JS object to a DynamoDB item (attribute name -> typed value)
+ */
+function toDynamoDBFormat(obj) {
+  if (obj === null || obj === undefined) return null;
+  const item = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (value !== null && value !== undefined) item[key] = toAttributeValue(value);
+  }
+  return item;
+}
+
+const ATTRIBUTE_TYPES = ['S', 'N', 'BOOL', 'M', 'L', 'SS', 'NS', 'NULL'];
+
+/**
+ * Convert a DynamoDB item, or a single typed value (S, N, BOOL, M, L, SS, NS,
+ * NULL), to plain JS
+ */
+function fromDynamoDBFormat(item) {
+  if (!item) return null;
+  const keys = Object.keys(item);
+  if (keys.length === 1 && ATTRIBUTE_TYPES.includes(keys[0])) {
+    if (item.S !== undefined) return item.S;
+    if (item.N !== undefined) return Number(item.N);
+    if (item.BOOL !== undefined) return item.BOOL;
+    if (item.M !== undefined) return fromDynamoDBFormat(item.M);
+    if (item.L !== undefined) return item.L.map(fromDynamoDBFormat);
+    if (item.SS !== undefined) return item.SS;
+    if (item.NS !== undefined) return item.NS.map(Number);
+    return null;
+  }
+  const out = {};
+  for (const key of keys) out[key] = fromDynamoDBFormat(item[key]);
+  return out;
+}
+
+/**
+ * CreateTable inputs for every table, plus the TTL attribute where entries
+ * expire. Results are keyed by analyticsId and submissionId (always a
+ * string, unlike assignmentId, which is a number for numeric file names).
+ */
+function tableDefinitions(names = {}) {
+  const tables = { ...DEFAULT_TABLES, ...names };
+  const key = (name, type, keyType) => ({ attribute: { AttributeName: name, AttributeType: type }, schema: { AttributeName: name, KeyType: keyType } });
+  const table = (TableName, keys, extra = {}) => ({
+    TableName,
+    AttributeDefinitions: [...new Map([...keys, ...(extra.indexKeys || [])].map(k => [k.attribute.AttributeName, k.attribute])).values()],
+    KeySchema: keys.map(k => k.schema),
+    ...(extra.indexes ? { GlobalSecondaryIndexes: extra.indexes } : {}),
+    BillingMode: 'PAY_PER_REQUEST'
+  });
+
+  const studentKeys = [key('studentId', 'S', 'HASH'), key('analyticsId', 'N', 'RANGE')];
+  return [
+    {
+      input: table(tables.assignmentsTable, [key('analyticsId', 'N', 'HASH'), key('submissionId', 'S', 'RANGE')], {
+        indexKeys: studentKeys,
+        indexes: [{ IndexName: STUDENT_INDEX, KeySchema: studentKeys.map(k => k.schema), Projection: { ProjectionType: 'ALL' } }]
+      })
+    },
+    { input: table(tables.summaryTable, [key('analyticsId', 'N', 'HASH')]) },
+    { input: table(tables.homeTable, [key('id', 'N', 'HASH')]) },
+    { input: table(tables.runsTable, [key('analyticsId', 'N', 'HASH')]) },
+    { input: table(tables.corpusTable, [key('bandKey', 'S', 'HASH'), key('entryId', 'S', 'RANGE')]), ttl: 'expiresAt' },
+    { input: table(tables.pendingTable, [key('s3Key', 'S', 'HASH')]) }
+  ];
+}
+
+/**
+ * Every item a scan matches, page by page
+ */
+async function scanAll(dynamodb, input) {
+  const items = [];
+  let exclusiveStartKey;
+  do {
+    const page = await dynamodb.send(new ScanCommand({ ...input, ExclusiveStartKey: exclusiveStartKey }));
+    items.push(...(page.Items || []));
+    exclusiveStartKey = page.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+  return items;
+}
+
+/**
+ * Every item a query matches, page by page; stops once `limit` items are in
+ */
+async function queryAll(dynamodb, input, { limit = Infinity } = {}) {
+  const items = [];
+  let exclusiveStartKey;
+  do {
+    const page = await dynamodb.send(new QueryCommand({ ...input, ExclusiveStartKey: exclusiveStartKey }));
+    items.push(...(page.Items || []));
+    exclusiveStartKey = page.LastEvaluatedKey;
+  } while (exclusiveStartKey && items.length < limit);
+  return items.slice(0, limit);
+}
+
+/**
+ * All results of one analytics run (raw DynamoDB items). A results table
+ * created before these definitions has no analyticsId partition key, so
+ * DynamoDB rejects the query with a ValidationException; the table is then
+ * scanned, with a warning every time, until it is migrated.
+ */
+async function getResultsForRun(analyticsId, { dynamodb, table = DEFAULT_TABLES.assignmentsTable }) {
+  const values = { ':id': { N: String(analyticsId) } };
+  try {
+    return await queryAll(dynamodb, { TableName: table, KeyConditionExpression: 'analyticsId = :id', ExpressionAttributeValues: values });
+  } catch (error) {
+    if (error.name !== 'ValidationException') throw error;
+    const items = await scanAll(dynamodb, { TableName: table, FilterExpression: 'analyticsId = :id', ExpressionAttributeValues: values });
+    console.warn(`⚠ ${table} cannot be queried by analyticsId (${error.message}); scanned the whole table for ${items.length} result(s) of analyticsId ${analyticsId}. Migrate it: ${MIGRATION_HINT}.`);
+    return items;
+  }
+}
+
+/**
+ * A student's results from runs before `before` (raw DynamoDB items), latest
+ * run first, at most `limit`. `filterExpression` narrows them further.
+ * Throws when the table has no student index.
+ */
+async function getResultsForStudent(studentId, { dynamodb, table = DEFAULT_TABLES.assignmentsTable, before = Number.MAX_SAFE_INTEGER, limit = Infinity, filterExpression }) {
+  const values = { ':student': { S: String(studentId) }, ':before': { N: String(before) } };
+  try {
+    return await queryAll(dynamodb, {
+      TableName: table,
+      IndexName: STUDENT_INDEX,
+      KeyConditionExpression: 'studentId = :student AND analyticsId < :before',
+      ...(filterExpression ? { FilterExpression: filterExpression } : {}),
+      ExpressionAttributeValues: values,
+      ScanIndexForward: false
+    }, { limit });
+  } catch (error) {
+    // Scanning the whole table for every student would be far worse than going without
+    if (error.name !== 'ValidationException') throw error;
+    throw new Error(`${table} has no ${STUDENT_INDEX} index (${error.message}); ${MIGRATION_HINT}`, { cause: error });
+  }
+}
+
+/**
+ * Write BatchWriteItem requests (PutRequest/DeleteRequest) 25 at a time,
+ * retrying what DynamoDB leaves unprocessed when throttled
+ */
+async function batchWriteAll(dynamodb, table, requests) {
+  for (let i = 0; i < requests.length; i += MAX_BATCH_WRITE) {
+    let batch = requests.slice(i, i + MAX_BATCH_WRITE);
+    for (let attempt = 0; batch.length > 0; attempt++) {
+      if (attempt >= 5) throw new Error(`Could not write to ${table}: writes kept being throttled`);
+      if (attempt > 0) await sleep(100 * 2 ** attempt);
+      const response = await dynamodb.send(new BatchWriteItemCommand({ RequestItems: { [table]: batch } }));
+      batch = (response.UnprocessedItems && response.UnprocessedItems[table]) || [];
+    }
+  }
+}
+
+/**
+ * Copy every result from a results table with an older key schema into
+ * `to` (created from the table definitions), page by page. Results from
+ * before submission identities get their assignmentId as submissionId, and
+ * studentId is stored as a string as the student index needs. Results
+ * without an analyticsId or any submission ID cannot be keyed and are skipped.
+ * Returns { copied, skipped }.
+ */
+async function copyResults({ dynamodb, from, to }) {
+  let copied = 0;
+  let skipped = 0;
+  let exclusiveStartKey;
+  do {
+    const page = await dynamodb.send(new ScanCommand({ TableName: from, ExclusiveStartKey: exclusiveStartKey }));
+    const requests = [];
+    for (const item of page.Items || []) {
+      const result = fromDynamoDBFormat(item);
+      if (result.analyticsId == null || !Number.isFinite(Number(result.analyticsId)) || (result.submissionId ?? result.assignmentId) == null) {
+        skipped++;
+        continue;
+      }
+      const keyed = {
+        ...item,
+        analyticsId: { N: String(result.analyticsId) },
+        submissionId: { S: String(result.submissionId ?? result.assignmentId) },
+        ...(result.studentId !== undefined && result.studentId !== null ? { studentId: { S: String(result.studentId) } } : {})
+      };
+      requests.push({ PutRequest: { Item: keyed } });
+    }
+    await batchWriteAll(dynamodb, to, requests);
+    copied += requests.length;
+    exclusiveStartKey = page.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+  return { copied, skipped };
+}
+
+/**
+ * Create the tables in `definitions` that do not exist yet (and enable TTL
+ * where defined). Returns the names of the tables created.
+ */
+async function createTables({ dynamodb, definitions = tableDefinitions(), maxWaitSeconds = 300 }) {
+  const created = [];
+  for (const { input, ttl } of definitions) {
+    try {
+      await dynamodb.send(new DescribeTableCommand({ TableName: input.TableName }));
+      console.log(`= ${input.TableName} already exists`);
+      continue;
+    } catch (error) {
+      if (error.name !== 'ResourceNotFoundException') throw error;
+    }
+    await dynamodb.send(new CreateTableCommand(input));
+    await waitUntilTableExists({ client: dynamodb, maxWaitTime: maxWaitSeconds }, { TableName: input.TableName });
+    if (ttl) {
+      await dynamodb.send(new UpdateTimeToLiveCommand({ TableName: input.TableName, TimeToLiveSpecification: { Enabled: true, AttributeName: ttl } }));
+    }
+    console.log(`✓ Created ${input.TableName}${ttl ? ` (TTL on ${ttl})` : ''}`);
+    created.push(input.TableName);
+  }
+  return created;
+}
+
+export {
+  DEFAULT_TABLES,
+  STUDENT_INDEX,
+  toAttributeValue,
+  toDynamoDBFormat,
+  fromDynamoDBFormat,
+  tableDefinitions,
+  scanAll,
+  queryAll,
+  getResultsForRun,
+  getResultsForStudent,
+  batchWriteAll,
+  copyResults,
+  createTables
+};
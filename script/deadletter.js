@@ -0,0 +1,116 @@
+// Aithentic Assignment Grading System - Dead-Letter Store
+// Keeps every submission that failed conversion or grading (stage, error
+// class, attempt count and what to reprocess) in a durable file until a later
+// run succeeds for it, so `aithentic retry-failed` can reprocess just those.
+
+import fs from 'fs';
+import path from 'path';
+
+const fsp = fs.promises;
+
+const DEFAULT_DEAD_LETTER_PATH = process.env.AITHENTIC_DEAD_LETTERS || './.aithentic/dead-letters.json';
+
+// Stages that record failures, in pipeline order
+const DEAD_LETTER_STAGES = ['convert', 'grade'];
+
+/**
+ * Load the store from disk (an empty store if the file does not exist)
+ */
+async function loadDeadLetters(filePath = DEFAULT_DEAD_LETTER_PATH) {
+  try {
+    const store = JSON.parse(await fsp.readFile(filePath, 'utf8'));
+    store.filePath = filePath;
+    return store;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠ Could not read dead-letter store ${filePath} (${error.message}); starting a new one`);
+    }
+    return { version: 1, filePath, entries: {} };
+  }
+}
+
+/**
+ * Persist the store atomically (write to a temp file, then rename)
+ */
+async function saveDeadLetters(store) {
+  const { filePath, ...data } = store;
+  data.updatedAt = new Date().toISOString();
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  await fsp.writeFile(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+  await fsp.rename(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Short class name for an error, used to group failures: InvalidModelOutput,
+ * ExtractionFailed, EndpointUnavailable, or the error's own name/code.
+ * Errors wrapping another (`cause`) are classified by the innermost one.
+ */
+function classifyError(error) {
+  if (!error) return 'Error';
+  if (error.invalidResult) return 'InvalidModelOutput';
+  if (error.attempts) return 'ExtractionFailed';
+  if (error.retryable) return 'EndpointUnavailable';
+  if (error.cause) return classifyError(error.cause);
+  if (error.name && error.name !== 'Error') return error.name;
+  return error.code ? String(error.code) : 'Error';
+}
+
+function entryId(stage, ref) {
+  return `${stage}:${ref}`;
+}
+
+/**
+ * Record a failure of `stage` for the submission identified by `ref` (its S3
+ * key, or the local file name when it has none). `input` holds what the
+ * stage needs to reprocess it (local paths, ...). Repeated failures of the
+ * same submission update one entry and count its attempts. Returns the entry.
+ */
+function recordFailure(store, { stage, ref, error, errorClass = classifyError(error), input = {}, runId = null, analyticsId = null }) {
+  const now = new Date().toISOString();
+  const id = entryId(stage, ref);
+  const previous = store.entries[id];
+  store.entries[id] = {
+    stage,
+    ref,
+    errorClass,
+    error: error && error.message ? error.message : String(error),
+    attempts: previous ? previous.attempts + 1 : 1,
+    input: { ...(previous && previous.input), ...input },
+    runId,
+    analyticsId,
+    firstFailedAt: previous ? previous.firstFailedAt : now,
+    lastFailedAt: now
+  };
+  return store.entries[id];
+}
+
+/**
+ * Remove a submission's entry once `stage` succeeded for it. Returns true
+ * when there was one.
+ */
+function resolveFailure(store, stage, ref) {
+  const id = entryId(stage, ref);
+  if (!store.entries[id]) return false;
+  delete store.entries[id];
+  return true;
+}
+
+/**
+ * Open entries, oldest failure first; only `stage`'s when given
+ */
+function listFailures(store, stage) {
+  return Object.values(store.entries)
+    .filter(entry => !stage || entry.stage === stage)
+    .sort((a, b) => a.firstFailedAt.localeCompare(b.firstFailedAt));
+}
+
+export {
+  DEFAULT_DEAD_LETTER_PATH,
+  DEAD_LETTER_STAGES,
+  loadDeadLetters,
+  saveDeadLetters,
+  classifyError,
+  recordFailure,
+  resolveFailure,
+  listFailures
+};
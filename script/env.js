@@ -0,0 +1,26 @@
+// Aithentic Assignment Grading System - Environment Settings
+// Numeric settings of the parts' CONFIG objects. An unset or empty variable
+// gives the default, and 0 is kept wherever it is allowed; a value that is
+// not a number or out of range fails naming the variable, instead of
+// silently running with the default.
+
+/**
+ * A number from the environment variable `name`, `fallback` when it is
+ * unset or empty. `min` and `max` bound it (inclusive), `integer` requires a
+ * whole number and `positive` a number above 0. Throws otherwise.
+ */
+function numberFromEnv(name, fallback, { min = -Infinity, max = Infinity, integer = false, positive = false, env = process.env } = {}) {
+  const value = env[name];
+  if (value === undefined || value.trim() === '') return fallback;
+
+  const number = Number(value);
+  const fail = (problem) => { throw new Error(`${name}=${JSON.stringify(value)} ${problem}`); };
+  if (!Number.isFinite(number)) fail('is not a number');
+  if (integer && !Number.isInteger(number)) fail('must be a whole number');
+  if (positive && number <= 0) fail('must be greater than 0');
+  if (number < min) fail(`must be at least ${min}`);
+  if (number > max) fail(`must be at most ${max}`);
+  return number;
+}
+
+export { numberFromEnv };
@@ -0,0 +1,441 @@
+// Aithentic Assignment Grading System - Text Extractors
+// An extractor turns a file into text: { name, extract(filePath, options) → { text, pages, meta? } }.
+// extractText() tries an ordered chain of extractors until one returns usable
+// text and reports which one won and why the others were skipped. Pages with
+// (almost) no text layer, e.g. scans or handwriting, are then OCR'd.
+// Each supported submission format has its own chain (see chainFor()).
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { densityOf, ocrLowDensityPages } from './ocr.js';
+import { readArchive, ignoredReason, decodeText, formatBundle, languageOf, extensionOf, ARCHIVE_EXTENSIONS } from './archives.js';
+
+const fsp = fs.promises;
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_CHAIN = ['pdf-parse', 'pdftotext'];
+const DEFAULT_MIN_CHARS = 20;
+
+/**
+ * In-process extraction with pdf-parse (pdf.js). Loaded lazily so a broken
+ * install only disables this extractor instead of the whole script.
+ */
+const pdfParseExtractor = {
+  name: 'pdf-parse',
+  async extract(filePath) {
+    const { PDFParse } = await import('pdf-parse');
+    const parser = new PDFParse({ data: await fsp.readFile(filePath) });
+    try {
+      const result = await parser.getText();
+      const pages = result.pages.map(page => page.text);
+      // Separate pages with form feeds, matching pdftotext output
+      return { text: pages.join('\f'), pages };
+    } finally {
+      await parser.destroy();
+    }
+  }
+};
+
+/**
+ * poppler's pdftotext system utility (sudo apt-get install poppler-utils)
+ */
+const pdftotextExtractor = {
+  name: 'pdftotext',
+  async extract(filePath) {
+    const { stdout } = await execFileAsync('pdftotext', [filePath, '-'], { maxBuffer: 256 * 1024 * 1024 });
+    const pages = stdout.split('\f');
+    // pdftotext ends the last page with a form feed as well
+    if (pages.length > 1 && pages[pages.length - 1].trim() === '') pages.pop();
+    return { text: stdout, pages };
+  }
+};
+
+/**
+ * Decode the XML entities that appear in OOXML/ODF text runs
+ */
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const lower = entity.toLowerCase();
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[lower];
+  });
+}
+
+/**
+ * Walk an XML document and build its text. `textTags` are the elements whose
+ * character data is text; `onTag(name, { closing, attrs, open })` returns the
+ * string to emit for structural tags (paragraph ends, tabs, page breaks...);
+ * `open` is the stack of enclosing element names.
+ * Good enough for word-processor XML, which never nests text in CDATA.
+ */
+function xmlToText(xml, { textTags, onTag, within = null }) {
+  const tokens = /<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+  const open = [];
+  let inside = within === null;
+  let out = '';
+  let match;
+
+  while ((match = tokens.exec(xml)) !== null) {
+    const [, slash, name, attrs, selfClosing, chars] = match;
+    if (chars !== undefined) {
+      if (inside && open.length > 0 && textTags.has(open[open.length - 1])) out += decodeXmlEntities(chars);
+      continue;
+    }
+    if (name === within) inside = !slash;
+    if (!inside) continue;
+
+    if (slash) {
+      open.pop();
+      out += onTag(name, { closing: true, attrs, open }) || '';
+    } else {
+      out += onTag(name, { closing: false, attrs, open }) || '';
+      if (!selfClosing && !attrs.endsWith('/')) open.push(name);
+    }
+  }
+  return out;
+}
+
+/**
+ * Tidy extracted document text: trim trailing spaces, collapse runs of blank
+ * lines and split into pages on form feeds
+ */
+function toPages(text) {
+  const pages = text
+    .split('\f')
+    .map(page => page.replace(/ +\t/g, '\t').replace(/[ \t]+(\n|$)/g, '$1').replace(/\n{3,}/g, '\n\n').trim());
+  const nonEmpty = pages.filter((page, i) => page !== '' || i === 0);
+  return { text: nonEmpty.join('\f'), pages: nonEmpty };
+}
+
+/**
+ * Word documents (.docx): body text of word/document.xml. Explicit and
+ * last-rendered page breaks become form feeds, table cells are tab-separated.
+ */
+const docxExtractor = {
+  name: 'docx',
+  async extract(filePath) {
+    const zip = await JSZip.loadAsync(await fsp.readFile(filePath));
+    const document = zip.file('word/document.xml');
+    if (!document) throw new Error('Not a Word document (word/document.xml missing)');
+
+    const text = xmlToText(await document.async('string'), {
+      textTags: new Set(['w:t']),
+      within: 'w:body',
+      onTag(name, { closing, attrs, open }) {
+        if (closing) {
+          if (name === 'w:p') return open.includes('w:tc') ? ' ' : '\n';
+          return name === 'w:tc' ? '\t' : name === 'w:tr' ? '\n' : '';
+        }
+        if (name === 'w:tab') return '\t';
+        if (name === 'w:br' || name === 'w:cr') return /w:type="page"/.test(attrs) ? '\f' : '\n';
+        if (name === 'w:lastRenderedPageBreak') return '\f';
+        return '';
+      }
+    });
+    return toPages(text);
+  }
+};
+
+/**
+ * OpenDocument text (.odt): office:text body of content.xml
+ */
+const odtExtractor = {
+  name: 'odt',
+  async extract(filePath) {
+    const zip = await JSZip.loadAsync(await fsp.readFile(filePath));
+    const content = zip.file('content.xml');
+    if (!content) throw new Error('Not an OpenDocument file (content.xml missing)');
+
+    const text = xmlToText(await content.async('string'), {
+      textTags: new Set(['text:p', 'text:h', 'text:span', 'text:a', 'text:list-item']),
+      within: 'office:text',
+      onTag(name, { closing, attrs, open }) {
+        if (closing) {
+          if (name === 'text:p' || name === 'text:h') return open.includes('table:table-cell') ? ' ' : '\n';
+          return name === 'table:table-cell' ? '\t' : name === 'table:table-row' ? '\n' : '';
+        }
+        if (name === 'text:s') {
+          const count = attrs.match(/text:c="(\d+)"/);
+          return ' '.repeat(count ? Number(count[1]) : 1);
+        }
+        if (name === 'text:tab') return '\t';
+        if (name === 'text:line-break') return '\n';
+        if (name === 'text:soft-page-break') return '\f';
+        return '';
+      }
+    });
+    return toPages(text);
+  }
+};
+
+/**
+ * Plain text and Markdown submissions are used as-is (minus a UTF-8 BOM)
+ */
+const plainTextExtractor = {
+  name: 'plain-text',
+  async extract(filePath) {
+    const text = (await fsp.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+    return { text, pages: [text] };
+  }
+};
+
+/**
+ * Jupyter notebooks (.ipynb): markdown and raw cells as-is, code cells as
+ * fenced blocks in the notebook's language. Outputs are left out.
+ */
+const ipynbExtractor = {
+  name: 'ipynb',
+  async extract(filePath) {
+    const notebook = JSON.parse(await fsp.readFile(filePath, 'utf8'));
+    if (!Array.isArray(notebook.cells)) throw new Error('Not a Jupyter notebook (no cells array)');
+
+    const metadata = notebook.metadata || {};
+    const language = (metadata.language_info && metadata.language_info.name)
+      || (metadata.kernelspec && metadata.kernelspec.language)
+      || '';
+    const blocks = notebook.cells.map((cell) => {
+      const source = (Array.isArray(cell.source) ? cell.source.join('') : String(cell.source || '')).trimEnd();
+      if (!source) return null;
+      return cell.cell_type === 'code' ? `\`\`\`${language}\n${source}\n\`\`\`` : source;
+    }).filter(Boolean);
+
+    const text = blocks.join('\n\n');
+    return { text, pages: [text] };
+  }
+};
+
+// Documents inside archives that go through their own extractor chain
+const NESTED_DOCUMENT_EXTENSIONS = new Set(['.pdf', '.docx', '.odt', '.ipynb']);
+
+/**
+ * Project archives (.zip, .tar, .tar.gz, .tgz): source files and READMEs as
+ * one bundle with a section per file (see archives.js). Documents inside the
+ * archive are extracted with their own chain; binaries, dependency folders,
+ * nested archives and unsafe paths are skipped and listed in `meta`.
+ * `options.archive` overrides the size and file-count limits.
+ */
+const archiveExtractor = {
+  name: 'archive',
+  async extract(filePath, options = {}) {
+    const { files, skipped } = await readArchive(filePath, options.archive);
+    const sections = [];
+    let workDir = null;
+
+    try {
+      for (const file of files) {
+        const reason = ignoredReason(file.path);
+        if (reason) {
+          skipped.push({ path: file.path, reason });
+          continue;
+        }
+
+        const extension = extensionOf(file.path);
+        if (NESTED_DOCUMENT_EXTENSIONS.has(extension)) {
+          workDir = workDir || await fsp.mkdtemp(path.join(os.tmpdir(), 'aithentic-archive-'));
+          const nestedPath = path.join(workDir, `${sections.length}${extension}`);
+          await fsp.writeFile(nestedPath, file.data);
+          try {
+            const nested = await extractText(nestedPath, { chain: chainFor(nestedPath, options.pdfChain), minChars: 1, ocr: false });
+            sections.push({ path: file.path, language: extension === '.ipynb' ? 'notebook' : '', text: nested.text.replace(/\f/g, '\n\n') });
+          } catch (error) {
+            skipped.push({ path: file.path, reason: `could not extract text (${error.message.split('\n')[0]})` });
+          }
+          continue;
+        }
+
+        const text = decodeText(file.data);
+        if (text === null) {
+          skipped.push({ path: file.path, reason: 'binary file' });
+          continue;
+        }
+        sections.push({ path: file.path, language: languageOf(file.path), text });
+      }
+    } finally {
+      if (workDir) await fsp.rm(workDir, { recursive: true, force: true });
+    }
+
+    if (sections.length === 0) {
+      throw new Error(`Archive has no source or text files (${skipped.length} skipped)`);
+    }
+    const bundle = formatBundle(path.basename(filePath), sections, skipped);
+    return { text: bundle.text, pages: bundle.pages, meta: { archive: { files: bundle.files, skipped } } };
+  }
+};
+
+const EXTRACTORS = new Map([
+  [pdfParseExtractor.name, pdfParseExtractor],
+  [pdftotextExtractor.name, pdftotextExtractor],
+  [docxExtractor.name, docxExtractor],
+  [odtExtractor.name, odtExtractor],
+  [plainTextExtractor.name, plainTextExtractor],
+  [ipynbExtractor.name, ipynbExtractor],
+  [archiveExtractor.name, archiveExtractor]
+]);
+
+/**
+ * Extractor chains for every supported submission extension. PDFs use the
+ * configurable chain passed to chainFor().
+ */
+const FORMAT_CHAINS = new Map([
+  ['.pdf', null],
+  ['.docx', ['docx']],
+  ['.odt', ['odt']],
+  ['.md', ['plain-text']],
+  ['.txt', ['plain-text']],
+  ['.ipynb', ['ipynb']],
+  ...ARCHIVE_EXTENSIONS.map(extension => [extension, ['archive']])
+]);
+
+const SUPPORTED_EXTENSIONS = [...FORMAT_CHAINS.keys()];
+
+/**
+ * True when a file name has an extension we can extract text from
+ */
+function isSupportedFile(fileName) {
+  return FORMAT_CHAINS.has(extensionOf(fileName));
+}
+
+/**
+ * The extractor chain for a file, by extension (`pdfChain` for PDFs)
+ */
+function chainFor(fileName, pdfChain = DEFAULT_CHAIN) {
+  const extension = extensionOf(fileName);
+  if (!FORMAT_CHAINS.has(extension)) throw new Error(`Unsupported file format: ${extension || '(no extension)'}`);
+  return FORMAT_CHAINS.get(extension) || pdfChain;
+}
+
+/**
+ * A file name without its (possibly compound, e.g. .tar.gz) extension
+ */
+function baseNameOf(fileName) {
+  const base = path.basename(fileName);
+  return base.slice(0, base.length - extensionOf(base).length);
+}
+
+/**
+ * Add (or replace) an extractor that can then be named in a chain
+ */
+function registerExtractor(extractor) {
+  if (!extractor || !extractor.name || typeof extractor.extract !== 'function') {
+    throw new Error('Extractor must have a name and an extract(filePath) function');
+  }
+  EXTRACTORS.set(extractor.name, extractor);
+}
+
+/**
+ * Parse a chain from a comma-separated string (e.g. PDF_EXTRACTORS="pdftotext,pdf-parse")
+ */
+function parseChain(value) {
+  if (!value) return [...DEFAULT_CHAIN];
+  const chain = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  return chain.length > 0 ? chain : [...DEFAULT_CHAIN];
+}
+
+/**
+ * Run the chain on one file. Resolves with
+ *   { text, pages, extractor, attempts, ocr, meta }
+ * where `attempts` lists every extractor tried, in order, with either its
+ * character count or the reason it was rejected, and `meta` holds details
+ * from the winning extractor (e.g. an archive's file list). `extractorOptions`
+ * is passed to every extractor as its second argument. Rejects with an Error whose
+ * `attempts` property has the same list when no extractor yields usable text.
+ *
+ * Unless `ocr` is false (or `ocr.enabled` is false), pages with fewer than
+ * `ocr.minPageChars` characters are OCR'd, and `ocr` in the result holds the
+ * per-page stats, mean OCR confidence and whether the file needs manual review.
+ * OCR also runs when every extractor was rejected, so fully scanned PDFs
+ * still produce text.
+ */
+async function extractText(filePath, { chain = DEFAULT_CHAIN, minChars = DEFAULT_MIN_CHARS, ocr = {}, extractorOptions = {} } = {}) {
+  const attempts = [];
+  let chosen = null;
+  let best = null; // densest rejected result, used as the base for OCR
+
+  for (const name of chain) {
+    const extractor = EXTRACTORS.get(name);
+    if (!extractor) {
+      attempts.push({ extractor: name, status: 'unavailable', reason: 'Unknown extractor' });
+      continue;
+    }
+
+    try {
+      const { text, pages, meta } = await extractor.extract(filePath, extractorOptions);
+      const characterCount = densityOf(text);
+      const result = { text: text || '', pages: pages || [text || ''], extractor: name, characterCount, meta };
+      if (characterCount < minChars) {
+        attempts.push({ extractor: name, status: 'rejected', reason: `Only ${characterCount} non-whitespace characters (minimum ${minChars})` });
+        if (!best || characterCount > best.characterCount) best = result;
+        continue;
+      }
+      attempts.push({ extractor: name, status: 'ok', characterCount: text.length });
+      chosen = result;
+      break;
+    } catch (error) {
+      const reason = error && error.code === 'ENOENT'
+        ? `${name} is not installed`
+        : (error && error.message ? error.message.split('\n')[0] : String(error));
+      attempts.push({ extractor: name, status: 'failed', reason });
+    }
+  }
+
+  const base = chosen || best;
+  if (ocr && ocr.enabled !== false) {
+    const ocrResult = await ocrLowDensityPages(filePath, base ? base.pages : [], ocr);
+    const ocrPages = ocrResult.pageStats.filter(stat => stat.source === 'ocr');
+    const confidences = ocrPages.map(stat => stat.confidence);
+    const summary = {
+      pages: ocrResult.pageStats,
+      ocrPages: ocrPages.map(stat => stat.page),
+      averageConfidence: confidences.length > 0
+        ? Math.round((confidences.reduce((sum, c) => sum + c, 0) / confidences.length) * 100) / 100
+        : null,
+      needsReview: ocrResult.needsReview,
+      reviewReasons: ocrResult.reviewReasons
+    };
+
+    if (ocrPages.length > 0) {
+      const text = ocrResult.pages.join('\f');
+      const characterCount = densityOf(text);
+      attempts.push({ extractor: 'ocr', status: characterCount >= minChars ? 'ok' : 'rejected', pages: summary.ocrPages, characterCount: text.length });
+      if (chosen || characterCount >= minChars) {
+        return {
+          text,
+          pages: ocrResult.pages,
+          extractor: chosen ? chosen.extractor : 'ocr',
+          meta: chosen ? chosen.meta : undefined,
+          attempts,
+          ocr: summary
+        };
+      }
+    } else if (chosen) {
+      return { text: chosen.text, pages: chosen.pages, extractor: chosen.extractor, meta: chosen.meta, attempts, ocr: summary };
+    } else if (ocrResult.reviewReasons.length > 0) {
+      attempts.push({ extractor: 'ocr', status: 'failed', reason: ocrResult.reviewReasons[0] });
+    }
+  } else if (chosen) {
+    return { text: chosen.text, pages: chosen.pages, extractor: chosen.extractor, meta: chosen.meta, attempts };
+  }
+
+  const error = new Error(`No extractor produced usable text (${attempts.map(a => `${a.extractor}: ${a.reason || `${a.characterCount} characters`}`).join('; ')})`);
+  error.attempts = attempts;
+  throw error;
+}
+
+export {
+  DEFAULT_CHAIN,
+  DEFAULT_MIN_CHARS,
+  SUPPORTED_EXTENSIONS,
+  registerExtractor,
+  parseChain,
+  isSupportedFile,
+  chainFor,
+  baseNameOf,
+  extractText
+};
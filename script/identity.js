@@ -0,0 +1,157 @@
+// Aithentic Assignment Grading System - Submission Identity
+// Derives a structured identity (course, assignment, student, file) for each
+// submission from its S3 key using a configurable pattern such as
+// `{course}/{assignment}/{studentId}/{file}`, so files with the same name in
+// different folders never overwrite each other locally.
+
+import path from 'path';
+import { extensionOf } from './archives.js';
+
+const DEFAULT_KEY_PATTERN = '{file}';
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * Compile a key pattern into { pattern, fields, regex }. Every placeholder
+ * matches one or more characters within a single path segment; `{file}` is
+ * required and must end the pattern.
+ */
+function compileKeyPattern(pattern = DEFAULT_KEY_PATTERN) {
+  const normalized = pattern.trim().replace(/^\/+/, '');
+  const fields = [];
+  let source = '';
+  let last = 0;
+  for (const match of normalized.matchAll(PLACEHOLDER)) {
+    if (fields.includes(match[1])) throw new Error(`Key pattern "${pattern}" repeats {${match[1]}}`);
+    source += normalized.slice(last, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    source += match[1] === 'file' ? '([^/]+)' : '([^/]+?)';
+    fields.push(match[1]);
+    last = match.index + match[0].length;
+  }
+  if (!normalized.endsWith('{file}')) {
+    throw new Error(`Key pattern "${pattern}" must end with {file} (SUBMISSION_KEY_PATTERN)`);
+  }
+  return { pattern: normalized, fields, regex: new RegExp(`^${source}$`) };
+}
+
+/**
+ * Key relative to the assignments prefix (the whole key when it is outside it)
+ */
+function relativeKey(key, prefix = '') {
+  return prefix && key.startsWith(prefix) ? key.slice(prefix.length) : key;
+}
+
+/**
+ * File-system safe version of one id segment
+ */
+function safeSegment(segment) {
+  return segment.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^\.+/, '_') || '_';
+}
+
+/**
+ * Local file name stem for a submission id (`CS101/hw1/123/report` ->
+ * `CS101__hw1__123__report`); single-segment ids are kept as they are
+ */
+function localNameFor(submissionId) {
+  return submissionId.split('/').map(safeSegment).join('__');
+}
+
+/**
+ * Submission id with the file's extension appended (`101` + `101.pdf` -> `101_pdf`)
+ */
+function withExtension(submissionId, file) {
+  const extension = extensionOf(file);
+  return extension ? `${submissionId}_${extension.slice(1).replace(/\./g, '_')}` : submissionId;
+}
+
+/**
+ * Identity for a key that did not match the pattern: the relative key
+ * without its extension
+ */
+function fallbackIdentity(key, relative, reason) {
+  const file = path.posix.basename(relative);
+  const extension = extensionOf(file);
+  const submissionId = extension ? relative.slice(0, -extension.length) : relative;
+  return { key, file, submissionId, localName: localNameFor(submissionId), fields: {}, issue: reason };
+}
+
+/**
+ * Parse one S3 key. Returns the identity
+ *   { key, file, submissionId, localName, fields, course?, assignment?, studentId?, ... }
+ * where `fields` holds every placeholder except {file}, or a fallback identity
+ * with `issue` set when the key does not match the pattern.
+ */
+function parseSubmissionKey(key, { pattern = DEFAULT_KEY_PATTERN, prefix = '' } = {}) {
+  const compiled = typeof pattern === 'string' ? compileKeyPattern(pattern) : pattern;
+  const relative = relativeKey(key, prefix);
+  const match = relative.match(compiled.regex);
+  if (!match) return fallbackIdentity(key, relative, `key does not match pattern ${compiled.pattern}`);
+
+  const fields = {};
+  compiled.fields.forEach((field, i) => { fields[field] = match[i + 1]; });
+  const { file, ...placeholders } = fields;
+  const extension = extensionOf(file);
+  const stem = extension ? file.slice(0, -extension.length) : file;
+  const submissionId = [...Object.values(placeholders), stem].join('/');
+  return { key, file, submissionId, localName: localNameFor(submissionId), fields: placeholders, ...placeholders };
+}
+
+/**
+ * Assign identities to every key of one listing. Keys that do not match the
+ * pattern fall back to an id built from the relative key; keys that would
+ * share a submission id (or local file name) with another key get the file
+ * extension appended to theirs. Both are reported:
+ *   { identities: Map(key -> identity), issues: [{ key, submissionId, issue }] }
+ */
+function assignIdentities(keys, { pattern = DEFAULT_KEY_PATTERN, prefix = '' } = {}) {
+  const compiled = compileKeyPattern(pattern);
+  const identities = new Map(keys.map(key => [key, parseSubmissionKey(key, { pattern: compiled, prefix })]));
+
+  const byLocalName = new Map();
+  for (const identity of identities.values()) {
+    const group = byLocalName.get(identity.localName.toLowerCase()) || [];
+    group.push(identity);
+    byLocalName.set(identity.localName.toLowerCase(), group);
+  }
+  for (const group of byLocalName.values()) {
+    if (group.length < 2) continue;
+    const others = (identity) => group.filter(other => other !== identity).map(other => other.key).join(', ');
+    for (const identity of group) {
+      const submissionId = withExtension(identity.submissionId, identity.file);
+      const issue = `submission id ${identity.submissionId} is shared with ${others(identity)}`;
+      identities.set(identity.key, { ...identity, submissionId, localName: localNameFor(submissionId), issue: identity.issue ? `${identity.issue}; ${issue}` : issue });
+    }
+  }
+
+  // Keys differing only in characters that are unsafe in file names
+  const taken = new Set();
+  for (const [key, identity] of identities) {
+    let localName = identity.localName;
+    for (let n = 2; taken.has(localName.toLowerCase()); n++) localName = `${identity.localName}_${n}`;
+    taken.add(localName.toLowerCase());
+    if (localName !== identity.localName) identities.set(key, { ...identity, localName });
+  }
+
+  const issues = [...identities.values()]
+    .filter(identity => identity.issue)
+    .map(({ key, submissionId, issue }) => ({ key, submissionId, issue }));
+  return { identities, issues };
+}
+
+/**
+ * Identity fields sent with grading requests and stored on DynamoDB items
+ */
+function identityAttributes(identity) {
+  if (!identity) return {};
+  const { key, file, submissionId, fields = {} } = identity;
+  return { submissionId, sourceKey: key, fileName: file, ...fields };
+}
+
+export {
+  DEFAULT_KEY_PATTERN,
+  compileKeyPattern,
+  relativeKey,
+  localNameFor,
+  parseSubmissionKey,
+  assignIdentities,
+  identityAttributes
+};
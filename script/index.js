@@ -0,0 +1,70 @@
+// Aithentic Assignment Grading System - Programmatic API
+// Importing this module has no side effects: nothing runs and no clients are
+// created until a function is called. Every stage takes its clients and config
+// as arguments, falling back to the env-derived defaults of its part.
+//
+//   import { createClients, resolveConfig, fetchAssignmentsFromS3 } from 'aithentic-assignment-processor';
+//   const config = resolveConfig({ s3: { bucketName: 'my-bucket' } });
+//   const clients = createClients(config);
+//   const files = await fetchAssignmentsFromS3({ s3Client: clients.s3, config: config.s3 });
+
+export {
+  STAGES,
+  resolveConfig,
+  createClients,
+  createPipelineTables,
+  migrateResultsTable,
+  runPipeline,
+  loadRunState,
+  listRuns
+} from './pipeline.js';
+
+// DynamoDB item conversion, table definitions and shared reads
+export {
+  toDynamoDBFormat,
+  fromDynamoDBFormat,
+  tableDefinitions,
+  scanAll,
+  queryAll,
+  getResultsForRun,
+  getResultsForStudent,
+  copyResults
+} from './datastore.js';
+
+// Part 1: S3 fetch and PDF conversion
+export {
+  createS3Client,
+  setupEnvironment,
+  fetchAssignmentsFromS3,
+  convertPDFsToText
+} from './part1_S3PdfToText.js';
+
+// Part 2: grading
+export {
+  createDynamoDBClient,
+  readAssignmentFromLocal,
+  invokeModelEndpoint,
+  saveAnalysisToDynamoDB,
+  validateDynamoDBStructure,
+  getNextAnalyticsId,
+  gradeAssignments
+} from './part2_Sagemaker.js';
+
+// Part 3: analytics summaries
+export {
+  generateAnalyticsSummary,
+  uploadAnalyticsSummary,
+  recordAnalyticsSummary,
+  generateHomeDataSummary,
+  uploadHomeDataSummary,
+  updateHomeData,
+  markSubmissionsPending,
+  markSubmissionsGraded
+} from './part3_DynamoDb.js';
+
+// Part 4: instance termination
+export {
+  createEC2Client,
+  getInstanceId,
+  terminateEC2Instance
+} from './part4_Terminate.js';
@@ -0,0 +1,101 @@
+// Aithentic Assignment Grading System - Incremental Sync Manifest
+// Remembers which version (ETag, or LastModified when S3 gives no ETag) of
+// every S3 object each stage last processed, so unchanged submissions are
+// skipped on the next run.
+
+import fs from 'fs';
+import path from 'path';
+
+const fsp = fs.promises;
+
+const DEFAULT_MANIFEST_PATH = process.env.AITHENTIC_MANIFEST || './.aithentic/manifest.json';
+
+/**
+ * Version string used to detect a changed object
+ */
+function objectVersion({ etag, lastModified }) {
+  return etag || (lastModified ? new Date(lastModified).toISOString() : null);
+}
+
+/**
+ * Load the manifest from disk (an empty manifest if the file does not exist)
+ */
+async function loadManifest(filePath = DEFAULT_MANIFEST_PATH) {
+  try {
+    const manifest = JSON.parse(await fsp.readFile(filePath, 'utf8'));
+    manifest.filePath = filePath;
+    return manifest;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠ Could not read manifest ${filePath} (${error.message}); starting a new one`);
+    }
+    return { version: 1, filePath, entries: {} };
+  }
+}
+
+/**
+ * Persist the manifest atomically (write to a temp file, then rename)
+ */
+async function saveManifest(manifest) {
+  const { filePath, ...data } = manifest;
+  data.updatedAt = new Date().toISOString();
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+  await fsp.writeFile(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+  await fsp.rename(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Record the latest listed version of an object and any local details
+ * (local paths etc.). Returns the entry.
+ */
+function trackObject(manifest, s3Key, { etag, lastModified, size, ...details } = {}) {
+  const entry = manifest.entries[s3Key] || (manifest.entries[s3Key] = { stages: {} });
+  Object.assign(entry, details, {
+    etag: etag ?? entry.etag,
+    lastModified: lastModified ? new Date(lastModified).toISOString() : entry.lastModified,
+    size: size ?? entry.size
+  });
+  return entry;
+}
+
+/**
+ * True when `stage` already processed the object's current version
+ */
+function isStageUpToDate(manifest, s3Key, stage) {
+  const entry = manifest && manifest.entries[s3Key];
+  if (!entry || !entry.stages[stage]) return false;
+  const current = objectVersion(entry);
+  return Boolean(current) && entry.stages[stage].version === current;
+}
+
+/**
+ * Mark `stage` as done for the object's current version
+ */
+function recordStage(manifest, s3Key, stage, details = {}) {
+  const entry = trackObject(manifest, s3Key);
+  entry.stages[stage] = {
+    ...details,
+    version: objectVersion(entry),
+    at: new Date().toISOString()
+  };
+}
+
+/**
+ * Find the S3 key whose entry has `field` equal to `value` (e.g. the entry
+ * whose converted `textFile` is "123.txt")
+ */
+function findKeyBy(manifest, field, value) {
+  if (!manifest) return null;
+  const match = Object.entries(manifest.entries).find(([, entry]) => entry[field] === value);
+  return match ? match[0] : null;
+}
+
+export {
+  DEFAULT_MANIFEST_PATH,
+  loadManifest,
+  saveManifest,
+  trackObject,
+  isStageUpToDate,
+  recordStage,
+  findKeyBy
+};
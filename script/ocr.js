@@ -0,0 +1,157 @@
+// Aithentic Assignment Grading System - OCR for scanned PDF pages
+// Renders pages with poppler's pdftoppm and reads them with the Tesseract CLI.
+// System dependencies: poppler-utils and tesseract-ocr
+// (sudo apt-get install poppler-utils tesseract-ocr)
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const fsp = fs.promises;
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_OCR_OPTIONS = {
+  enabled: true,
+  language: 'eng',
+  dpi: 300,
+  minPageChars: 50,   // pages with fewer non-whitespace characters are treated as image-only
+  minConfidence: 60   // mean word confidence (0-100) below which a page needs manual review
+};
+
+/**
+ * Count non-whitespace characters (used as the text density of a page)
+ */
+function densityOf(text) {
+  return text ? text.replace(/\s/g, '').length : 0;
+}
+
+/**
+ * Turn Tesseract TSV output into text (one line per OCR line, blank line
+ * between paragraphs) plus the mean confidence of recognised words
+ */
+function parseTesseractTsv(tsv) {
+  const lines = [];
+  const confidences = [];
+  let currentLine = null;
+  let currentParagraph = null;
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const cols = row.split('\t');
+    if (cols.length < 12) continue;
+    const [level, , block, par, line, , , , , , conf, ...rest] = cols;
+    const word = rest.join('\t').trim();
+    if (level !== '5' || !word) continue;
+
+    const paragraphKey = `${block}.${par}`;
+    const lineKey = `${paragraphKey}.${line}`;
+    if (lineKey !== currentLine) {
+      if (currentParagraph !== null && paragraphKey !== currentParagraph) lines.push('');
+      lines.push(word);
+      currentLine = lineKey;
+      currentParagraph = paragraphKey;
+    } else {
+      lines[lines.length - 1] += ` ${word}`;
+    }
+
+    const confidence = Number(conf);
+    if (!Number.isNaN(confidence) && confidence >= 0) confidences.push(confidence);
+  }
+
+  const confidence = confidences.length > 0
+    ? Math.round((confidences.reduce((sum, c) => sum + c, 0) / confidences.length) * 100) / 100
+    : 0;
+  return { text: lines.join('\n'), confidence, wordCount: confidences.length };
+}
+
+/**
+ * OCR one page (1-based) of a PDF. Resolves with { text, confidence, wordCount }.
+ */
+async function ocrPage(filePath, pageNumber, options = {}) {
+  const { language, dpi } = { ...DEFAULT_OCR_OPTIONS, ...options };
+  const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'aithentic-ocr-'));
+
+  try {
+    const prefix = path.join(workDir, 'page');
+    await execFileAsync('pdftoppm', [
+      '-r', String(dpi), '-f', String(pageNumber), '-l', String(pageNumber),
+      '-png', '-singlefile', filePath, prefix
+    ]);
+    const { stdout } = await execFileAsync('tesseract', [`${prefix}.png`, 'stdout', '-l', language, 'tsv'], {
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return parseTesseractTsv(stdout);
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Count the pages of a PDF with pdfinfo (used when no extractor returned pages)
+ */
+async function countPages(filePath) {
+  const { stdout } = await execFileAsync('pdfinfo', [filePath]);
+  const match = stdout.match(/^Pages:\s+(\d+)/m);
+  if (!match) throw new Error('pdfinfo did not report a page count');
+  return Number(match[1]);
+}
+
+/**
+ * OCR every low-density page and keep whichever text (extracted or OCR) is
+ * denser. Each page's stats record its `source` ('text' or 'ocr') and, when
+ * OCR ran, the mean word `confidence`. `pages` are the extracted page texts (empty when extraction found
+ * nothing, in which case every page is OCR'd).
+ * Resolves with { pages, pageStats, needsReview, reviewReasons, error }.
+ */
+async function ocrLowDensityPages(filePath, pages, options = {}) {
+  const opts = { ...DEFAULT_OCR_OPTIONS, ...options };
+  let pageTexts = pages && pages.length > 0 ? [...pages] : [];
+
+  if (pageTexts.length === 0) {
+    try {
+      pageTexts = new Array(await countPages(filePath)).fill('');
+    } catch (error) {
+      return { pages: pageTexts, pageStats: [], needsReview: true, reviewReasons: [`Could not count pages for OCR: ${error.message}`], error };
+    }
+  }
+
+  const pageStats = pageTexts.map((text, i) => ({ page: i + 1, characterCount: densityOf(text), source: 'text' }));
+  const lowPages = pageStats.filter(stat => stat.characterCount < opts.minPageChars);
+  const reviewReasons = [];
+
+  for (const stat of lowPages) {
+    try {
+      const result = await ocrPage(filePath, stat.page, opts);
+      stat.confidence = result.confidence;
+      if (densityOf(result.text) > stat.characterCount) {
+        pageTexts[stat.page - 1] = result.text;
+        stat.characterCount = densityOf(result.text);
+        stat.source = 'ocr';
+        if (result.confidence < opts.minConfidence) {
+          reviewReasons.push(`Page ${stat.page}: OCR confidence ${result.confidence} below ${opts.minConfidence}`);
+        }
+      }
+    } catch (error) {
+      const reason = error && error.code === 'ENOENT'
+        ? 'OCR tools not installed (pdftoppm/tesseract)'
+        : (error && error.message ? error.message.split('\n')[0] : String(error));
+      stat.ocrError = reason;
+      reviewReasons.push(`Page ${stat.page}: image-only page could not be OCR'd (${reason})`);
+    }
+
+    if (stat.characterCount < opts.minPageChars && !reviewReasons.some(r => r.startsWith(`Page ${stat.page}:`))) {
+      reviewReasons.push(`Page ${stat.page}: only ${stat.characterCount} characters after OCR`);
+    }
+  }
+
+  return { pages: pageTexts, pageStats, needsReview: reviewReasons.length > 0, reviewReasons };
+}
+
+export {
+  DEFAULT_OCR_OPTIONS,
+  densityOf,
+  parseTesseractTsv,
+  ocrPage,
+  ocrLowDensityPages
+};
@@ -1,58 +1,171 @@
 // Aithentic Assignment Grading System - Parts 1-5
-// EC2 Instance Script for S3 Assignment Fetching and PDF Conversion
+// EC2 Instance Script for S3 Assignment Fetching and Text Conversion (PDF, DOCX, ODT, MD, TXT, IPYNB)
 // Using AWS SDK v3
 
-import { S3Client, ListObjectsV2Command, GetObjectCommand, HeadBucketCommand, GetBucketLocationCommand } from '@aws-sdk/client-s3';
+import { S3Client, ListObjectsV2Command, GetObjectCommand, PutObjectCommand, HeadBucketCommand, GetBucketLocationCommand } from '@aws-sdk/client-s3';
 import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
-import { Readable } from 'stream';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import { mapWithConcurrency, formatBytes } from './concurrency.js';
+import { loadManifest, saveManifest, trackObject, isStageUpToDate, recordStage } from './manifest.js';
+import { extractText, parseChain, isSupportedFile, chainFor, baseNameOf, SUPPORTED_EXTENSIONS, DEFAULT_MIN_CHARS } from './extractors.js';
+import { DEFAULT_OCR_OPTIONS } from './ocr.js';
+import { DEFAULT_ARCHIVE_LIMITS, extensionOf } from './archives.js';
+import { analyzeStructure } from './structure.js';
+import { assignIdentities, identityAttributes, DEFAULT_KEY_PATTERN } from './identity.js';
+import { isRubricKey, localRubricPath, parseRubric, DEFAULT_RUBRIC_FILE } from './rubric.js';
+import { loadDeadLetters, saveDeadLetters, recordFailure, resolveFailure, classifyError } from './deadletter.js';
+import { numberFromEnv } from './env.js';
 
 const fsp = fs.promises;
 
-// Configure AWS SDK v3 - uses IAM role attached to EC2 instance
-// Allow overriding region and bucket from environment variables for easier testing and debugging
-const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
-const s3Client = new S3Client({ region });
-
 // Configuration (can be overridden via env vars)
+// Allow overriding region and bucket from environment variables for easier testing and debugging
 const CONFIG = {
+  region: process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1',
   bucketName: process.env.S3_BUCKET || process.env.ASSIGNMENTS_BUCKET || 'aithentic-assignment-bucket', // Replace with your S3 bucket name or set env var
-  assignmentsFolder: process.env.ASSIGNMENTS_PREFIX || 'assignments/',
+  assignmentsFolder: process.env.ASSIGNMENTS_PREFIX ?? 'assignments/',
   convertedFolder: process.env.CONVERTED_PREFIX || 'converted/',
+  // Layout of submission keys under assignmentsFolder (see identity.js)
+  submissionKeyPattern: process.env.SUBMISSION_KEY_PATTERN || DEFAULT_KEY_PATTERN,
+  // Rubric files in the assignments folders (see rubric.js), mirrored to localRubricsDir
+  rubricFileName: process.env.RUBRIC_FILE_NAME || DEFAULT_RUBRIC_FILE,
+  diagnose: process.env.S3_DIAGNOSE === 'true',
+  downloadConcurrency: numberFromEnv('S3_DOWNLOAD_CONCURRENCY', 4, { integer: true, min: 1 }),
+  uploadConcurrency: numberFromEnv('S3_UPLOAD_CONCURRENCY', 4, { integer: true, min: 1 }),
+  uploadConverted: process.env.UPLOAD_CONVERTED !== 'false',
+  // Ordered text extractors tried for each PDF (see extractors.js)
+  extractors: parseChain(process.env.PDF_EXTRACTORS),
+  minExtractedChars: numberFromEnv('MIN_EXTRACTED_CHARS', DEFAULT_MIN_CHARS, { integer: true, min: 0 }),
+  // OCR for scanned/handwritten pages (see ocr.js)
+  ocr: {
+    enabled: process.env.OCR_ENABLED !== 'false',
+    language: process.env.OCR_LANGUAGE || DEFAULT_OCR_OPTIONS.language,
+    dpi: numberFromEnv('OCR_DPI', DEFAULT_OCR_OPTIONS.dpi, { integer: true, positive: true }),
+    minPageChars: numberFromEnv('OCR_MIN_PAGE_CHARS', DEFAULT_OCR_OPTIONS.minPageChars, { integer: true, min: 0 }),
+    minConfidence: numberFromEnv('OCR_MIN_CONFIDENCE', DEFAULT_OCR_OPTIONS.minConfidence, { min: 0, max: 100 })
+  },
+  // Safety limits for .zip/.tar/.tar.gz project submissions (see archives.js)
+  archive: {
+    maxTotalBytes: numberFromEnv('ARCHIVE_MAX_BYTES', DEFAULT_ARCHIVE_LIMITS.maxTotalBytes, { integer: true, positive: true }),
+    maxFiles: numberFromEnv('ARCHIVE_MAX_FILES', DEFAULT_ARCHIVE_LIMITS.maxFiles, { integer: true, positive: true }),
+    maxFileBytes: numberFromEnv('ARCHIVE_MAX_FILE_BYTES', DEFAULT_ARCHIVE_LIMITS.maxFileBytes, { integer: true, positive: true })
+  },
   localAssignmentsDir: './assignments',
-  localConvertedDir: './converted'
+  localConvertedDir: './converted',
+  localRubricsDir: process.env.RUBRICS_DIR || './rubrics'
 };
 
 /**
- * Helper function to convert stream to buffer
+ * Create an S3 client - uses IAM role attached to EC2 instance
+ */
+function createS3Client(config = CONFIG) {
+  return new S3Client({ region: config.region });
+}
+
+/**
+ * List every object under a prefix, following ContinuationToken across pages
+ * (ListObjectsV2 returns at most 1000 keys per call)
+ */
+async function listAllObjects(s3Client, bucket, prefix) {
+  const objects = [];
+  let continuationToken;
+  let page = 0;
+
+  do {
+    const response = await s3Client.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: prefix || undefined,
+      ContinuationToken: continuationToken
+    }));
+    objects.push(...(response.Contents || []));
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    page++;
+    if (continuationToken) {
+      console.log(`  Listed ${objects.length} objects so far (page ${page})...`);
+    }
+  } while (continuationToken);
+
+  return objects;
+}
+
+/**
+ * True if a local file exists (used before trusting the manifest)
  */
-async function streamToBuffer(stream) {
-  return new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on('data', (chunk) => chunks.push(chunk));
-    stream.on('error', reject);
-    stream.on('end', () => resolve(Buffer.concat(chunks)));
+async function fileExists(filePath) {
+  try {
+    await fsp.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Stream one S3 object straight to disk. Writes to a `.part` file first and
+ * renames on success so an interrupted download never looks complete.
+ */
+async function downloadObjectToFile(s3Client, bucket, key, localPath) {
+  const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+
+  let bytes = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      callback(null, chunk);
+    }
   });
+
+  const tmpPath = `${localPath}.part`;
+  try {
+    await pipeline(response.Body, counter, fs.createWriteStream(tmpPath));
+    await fsp.rename(tmpPath, localPath);
+  } catch (error) {
+    await fsp.rm(tmpPath, { force: true });
+    throw error;
+  }
+  return bytes;
 }
 
 /**
- * Main execution function
+ * Main execution function. Unchanged submissions (per the manifest) are
+ * skipped unless `force` is set.
  */
-async function main() {
+async function main({ config = CONFIG, s3Client = createS3Client(config), force = false } = {}) {
   try {
+    const manifest = await loadManifest();
+    const deadLetters = await loadDeadLetters();
+
     console.log('=== Aithentic Assignment Processing Started ===');
     console.log(`Timestamp: ${new Date().toISOString()}`);
     
-    // Part 1-2: Setup and verify environment
-    await setupEnvironment();
+    // Part 1-2: Setup and verify environment (may switch the client to the bucket's region)
+    const verified = await setupEnvironment({ s3Client, config });
     
     // Part 3-4: Fetch all assignments from S3
-    const pdfFiles = await fetchAssignmentsFromS3();
-    console.log(`Found ${pdfFiles.length} PDF files to process`);
+    let unsupportedFiles = [];
+    let identityIssues = [];
+    const submissionFiles = await fetchAssignmentsFromS3({
+      s3Client: verified.s3Client, config, manifest, force,
+      onUnsupported: (files) => { unsupportedFiles = files; },
+      onIdentityIssues: (issues) => { identityIssues = issues; }
+    });
+    console.log(`Found ${submissionFiles.length} submission files to process`);
+    await saveManifest(manifest);
     
-    // Part 5: Convert all PDFs to text
-    await convertPDFsToText(pdfFiles);
+    // Part 5: Convert all submissions to text
+    const convertedFiles = await convertPDFsToText(submissionFiles, { config, manifest, deadLetters, force, unsupportedFiles, identityIssues });
+    await saveManifest(manifest);
+    await saveDeadLetters(deadLetters);
+
+    // Keep converted text in S3 so it survives instance termination
+    if (config.uploadConverted) {
+      await uploadConvertedToS3(convertedFiles, { s3Client: verified.s3Client, config, manifest, force });
+      await saveManifest(manifest);
+    }
     
     console.log('=== Parts 1-5 Completed Successfully ===');
     return true;
@@ -64,30 +177,42 @@ async function main() {
 }
 
 /**
- * Part 1-2: Setup local directories and verify AWS access
+ * Part 1-2: Setup local directories and verify AWS access.
+ * Resolves with the S3 client to use from here on (re-created for the bucket's
+ * region if the configured region was wrong).
  */
-async function setupEnvironment() {
+async function setupEnvironment({ config = CONFIG, s3Client = createS3Client(config) } = {}) {
   console.log('\n--- Setting Up Environment ---');
   
   try {
     // Create local directories if they don't exist
-    await fsp.mkdir(CONFIG.localAssignmentsDir, { recursive: true });
-    await fsp.mkdir(CONFIG.localConvertedDir, { recursive: true });
+    await fsp.mkdir(config.localAssignmentsDir, { recursive: true });
+    await fsp.mkdir(config.localConvertedDir, { recursive: true });
     console.log('✓ Local directories created/verified');
 
-    console.log(`Using S3 bucket: ${CONFIG.bucketName} (region: ${region})`);
+    console.log(`Using S3 bucket: ${config.bucketName} (region: ${config.region})`);
     
-    // Note: pdftotext system utility is used for PDF conversion (more reliable than pdf-parse in ES modules)
-    // Verify it's available or warn user
-    try {
-      execSync('which pdftotext', { stdio: 'ignore' });
-      console.log('✓ pdftotext utility available for PDF conversion');
-    } catch (e) {
-      console.warn('⚠ pdftotext not found. Install with: sudo apt-get install poppler-utils (Ubuntu/Debian) or brew install poppler (macOS)');
+    console.log(`Text extractor chain: ${config.extractors.join(' → ')}`);
+    // pdftotext is a system utility; verify it's available or warn user
+    if (config.extractors.includes('pdftotext')) {
+      try {
+        execSync('which pdftotext', { stdio: 'ignore' });
+        console.log('✓ pdftotext utility available for PDF conversion');
+      } catch (e) {
+        console.warn('⚠ pdftotext not found. Install with: sudo apt-get install poppler-utils (Ubuntu/Debian) or brew install poppler (macOS)');
+      }
+    }
+    if (config.ocr.enabled) {
+      try {
+        execSync('which pdftoppm && which tesseract', { stdio: 'ignore' });
+        console.log(`✓ OCR available for scanned pages (tesseract, language: ${config.ocr.language})`);
+      } catch (e) {
+        console.warn('⚠ OCR tools not found; scanned pages will be flagged for review. Install with: sudo apt-get install poppler-utils tesseract-ocr (Ubuntu/Debian) or brew install poppler tesseract (macOS)');
+      }
     }
     
     // Verify S3 access using AWS SDK v3
-    const headBucketCommand = new HeadBucketCommand({ Bucket: CONFIG.bucketName });
+    const headBucketCommand = new HeadBucketCommand({ Bucket: config.bucketName });
     // allow trying a different client if we detect the bucket region
     let clientToUse = s3Client;
     try {
@@ -97,7 +222,7 @@ async function setupEnvironment() {
       // Handle common error cases
       const status = err && err.$metadata && err.$metadata.httpStatusCode;
       if (status === 403) {
-        console.error(`✗ Access denied when accessing bucket "${CONFIG.bucketName}". HTTP 403.`);
+        console.error(`✗ Access denied when accessing bucket "${config.bucketName}". HTTP 403.`);
         console.error(`  RequestId: ${err.$metadata.requestId || 'N/A'}  ExtendedId: ${err.$metadata.extendedRequestId || 'N/A'}`);
         console.error('  Possible causes:');
         console.error('   - The EC2 instance IAM role or provided credentials lack s3:ListBucket / s3:HeadBucket permissions.');
@@ -109,32 +234,32 @@ async function setupEnvironment() {
         console.error('   - Try the AWS CLI: `aws s3api head-bucket --bucket <bucket>` from a machine with the same creds.');
       } else if (status === 301) {
         // 301 usually means the request was sent to the wrong region for this bucket
-        console.error(`✗ Received HTTP 301 for bucket "${CONFIG.bucketName}". This usually means the bucket is in a different region than the client.`);
+        console.error(`✗ Received HTTP 301 for bucket "${config.bucketName}". This usually means the bucket is in a different region than the client.`);
         console.error(`  RequestId: ${err.$metadata.requestId || 'N/A'}  ExtendedId: ${err.$metadata.extendedRequestId || 'N/A'}`);
         console.error('  Suggested action: determine the bucket region and set AWS_REGION (or AWS_DEFAULT_REGION) to that region, e.g. `export AWS_REGION=eu-west-1`');
 
         // Try to auto-detect bucket region if possible (requires s3:GetBucketLocation permission)
         try {
           console.log('  Attempting to detect bucket region via GetBucketLocation...');
-          const locCmd = new GetBucketLocationCommand({ Bucket: CONFIG.bucketName });
+          const locCmd = new GetBucketLocationCommand({ Bucket: config.bucketName });
           const locResp = await clientToUse.send(locCmd);
           // AWS returns LocationConstraint which can be null/empty for us-east-1
           let detected = locResp && (locResp.LocationConstraint || locResp.LocationConstraint === '' ? locResp.LocationConstraint : null);
           if (detected === '' || detected === null) detected = 'us-east-1';
           console.log(`  Detected bucket region: ${detected}`);
-          if (detected && detected !== region) {
+          if (detected && detected !== config.region) {
             console.log(`  Reconfiguring client for region ${detected} and retrying...`);
-            const newClient = new S3Client({ region: detected });
+            const newClient = createS3Client({ ...config, region: detected });
+            await newClient.send(headBucketCommand);
             clientToUse = newClient;
-            await clientToUse.send(headBucketCommand);
             console.log('✓ S3 bucket access verified with detected region');
           }
         } catch (innerErr) {
           // As a last resort, if the AWS CLI is available and user opted into diagnostics, call it
-          if (process.env.S3_DIAGNOSE === 'true') {
+          if (config.diagnose) {
             try {
               console.log('  Running AWS CLI get-bucket-location as S3_DIAGNOSE=true');
-              const out = execSync(`aws s3api get-bucket-location --bucket ${CONFIG.bucketName} --output json`, { encoding: 'utf8' });
+              const out = execSync(`aws s3api get-bucket-location --bucket ${config.bucketName} --output json`, { encoding: 'utf8' });
               console.log('  AWS CLI output:', out.trim());
             } catch (cliErr) {
               console.error('  AWS CLI get-bucket-location failed or is not available:', cliErr && cliErr.message ? cliErr.message : cliErr);
@@ -147,8 +272,10 @@ async function setupEnvironment() {
         console.error('Environment setup failed:', err && err.message ? err.message : err);
       }
       // Re-throw so calling code knows setup failed if verification didn't succeed
-      throw err;
+      if (clientToUse === s3Client) throw err;
     }
+
+    return { s3Client: clientToUse };
     
   } catch (error) {
     console.error('Environment setup failed:', error.message);
@@ -157,33 +284,34 @@ async function setupEnvironment() {
 }
 
 /**
- * Part 3-4: Fetch all PDF assignments from S3 /assignments folder
+ * Part 3-4: Fetch all supported assignment files from S3 /assignments folder.
+ * Each file gets a submission identity from its key (CONFIG.submissionKeyPattern)
+ * and is saved under a local name derived from it. Keys that do not match the
+ * pattern or collide with another key are still downloaded under an ID built
+ * from the full key, and passed to `onIdentityIssues`.
+ * With a manifest, objects whose ETag is unchanged since the last download
+ * (and still on disk) are not downloaded again; they are returned with
+ * `unchanged: true`.
  */
-async function fetchAssignmentsFromS3() {
+async function fetchAssignmentsFromS3({ config = CONFIG, s3Client = createS3Client(config), manifest = null, force = false, onUnsupported = null, onIdentityIssues = null } = {}) {
   console.log('\n--- Fetching Assignments from S3 ---');
   
   try {
-    // List all objects in the assignments folder
-    const listCommand = new ListObjectsV2Command({
-      Bucket: CONFIG.bucketName,
-      Prefix: CONFIG.assignmentsFolder
-    });
-    
-    let listedObjects = await s3Client.send(listCommand);
+    // List all objects in the assignments folder (all pages)
+    let listedObjects = await listAllObjects(s3Client, config.bucketName, config.assignmentsFolder);
 
     // If no objects are found under the configured prefix, provide guidance
     // and attempt a fallback listing of the entire bucket (useful when files are at the bucket root)
-    if (!listedObjects.Contents || listedObjects.Contents.length === 0) {
-      console.warn('No files found under the configured prefix:', CONFIG.assignmentsFolder);
+    if (listedObjects.length === 0) {
+      console.warn('No files found under the configured prefix:', config.assignmentsFolder);
       console.warn('If your files are stored at the bucket root or a different prefix, set ASSIGNMENTS_PREFIX accordingly (empty string for root).');
 
       // Attempt a fallback to list the entire bucket if a non-empty prefix was configured
-      if (CONFIG.assignmentsFolder && CONFIG.assignmentsFolder !== '') {
+      if (config.assignmentsFolder && config.assignmentsFolder !== '') {
         console.warn('Attempting fallback: listing entire bucket (no prefix). This may list many objects if the bucket is large).');
         try {
-          const fallbackCmd = new ListObjectsV2Command({ Bucket: CONFIG.bucketName });
-          listedObjects = await s3Client.send(fallbackCmd);
-          if (!listedObjects.Contents || listedObjects.Contents.length === 0) {
+          listedObjects = await listAllObjects(s3Client, config.bucketName);
+          if (listedObjects.length === 0) {
             console.log('No objects found in bucket (even without prefix)');
             return [];
           }
@@ -196,56 +324,108 @@ async function fetchAssignmentsFromS3() {
       }
     }
     
-    // Filter only PDF files
-    const pdfFiles = listedObjects.Contents
-      .filter(obj => obj.Key.toLowerCase().endsWith('.pdf'))
-      .filter(obj => obj.Key !== CONFIG.assignmentsFolder); // Exclude folder itself
+    // Keep supported submission formats; report everything else (except folder markers and rubrics)
+    const allObjects = listedObjects.filter(obj => obj.Key !== config.assignmentsFolder && !obj.Key.endsWith('/'));
+    const rubricObjects = allObjects.filter(obj => isRubricKey(obj.Key, config.rubricFileName));
+    const objects = allObjects.filter(obj => !isRubricKey(obj.Key, config.rubricFileName));
+    const submissionFiles = objects.filter(obj => isSupportedFile(obj.Key));
+    const unsupportedFiles = objects
+      .filter(obj => !isSupportedFile(obj.Key))
+      .map(obj => ({ key: obj.Key, fileName: path.basename(obj.Key), extension: extensionOf(obj.Key) || '(none)', size: obj.Size }));
     
-    console.log(`Found ${pdfFiles.length} PDF files in S3`);
+    console.log(`Found ${submissionFiles.length} supported submission files in S3 (${SUPPORTED_EXTENSIONS.join(', ')})`);
+    if (unsupportedFiles.length > 0) {
+      console.warn(`⚠ Skipping ${unsupportedFiles.length} file(s) in unsupported formats:`);
+      unsupportedFiles.forEach(file => console.warn(`  - ${file.key}`));
+    }
+    if (onUnsupported) onUnsupported(unsupportedFiles);
 
-    // Helpful diagnostic: if the bucket returned objects but none matched PDFs,
+    // Helpful diagnostic: if the bucket returned objects but none matched a supported format,
     // print a short list of keys so user can verify the prefix and file names.
-    if (listedObjects.Contents && listedObjects.Contents.length > 0 && pdfFiles.length === 0) {
-      console.warn('Warning: objects were found under the configured prefix but no PDF files matched the filter.');
+    if (listedObjects.length > 0 && submissionFiles.length === 0) {
+      console.warn('Warning: objects were found under the configured prefix but no supported submission files matched the filter.');
       console.warn('First few object keys (key : size):');
-      listedObjects.Contents.slice(0, 50).forEach(obj => {
+      listedObjects.slice(0, 50).forEach(obj => {
         console.warn(` - ${obj.Key} : ${obj.Size} bytes`);
       });
       console.warn('Suggestions:');
       console.warn(' - Check that `CONFIG.assignmentsFolder` / env var ASSIGNMENTS_PREFIX matches the prefix used in S3 (trailing slash matters).');
-      console.warn(' - Ensure files actually end with .pdf (case-insensitive).');
+      console.warn(` - Ensure files actually end with one of ${SUPPORTED_EXTENSIONS.join(', ')} (case-insensitive).`);
       console.warn(' - If files are in a different prefix, set ASSIGNMENTS_PREFIX to that value or leave it empty to list the whole bucket (careful with large buckets).');
     }
     
-    // Download each PDF file
-    const downloadedFiles = [];
-    
-    for (const file of pdfFiles) {
-      const fileName = path.basename(file.Key);
-      const localPath = path.join(CONFIG.localAssignmentsDir, fileName);
-      
-      console.log(`Downloading: ${fileName}...`);
-      
-      const getObjectCommand = new GetObjectCommand({
-        Bucket: CONFIG.bucketName,
-        Key: file.Key
-      });
-      
-      const response = await s3Client.send(getObjectCommand);
-      
-      // Convert stream to buffer
-      const buffer = await streamToBuffer(response.Body);
-      await fsp.writeFile(localPath, buffer);
-      
-      downloadedFiles.push({
+    // Submission identities from the key layout; unparseable and colliding keys are reported, not skipped
+    const { identities, issues: identityIssues } = assignIdentities(submissionFiles.map(obj => obj.Key), {
+      pattern: config.submissionKeyPattern,
+      prefix: config.assignmentsFolder
+    });
+    if (identityIssues.length > 0) {
+      console.warn(`⚠ ${identityIssues.length} key(s) did not yield a unique submission identity (pattern ${config.submissionKeyPattern}):`);
+      identityIssues.forEach(issue => console.warn(`  - ${issue.key}: ${issue.issue}; using ${issue.submissionId}`));
+    }
+    if (onIdentityIssues) onIdentityIssues(identityIssues);
+
+    await syncRubrics(rubricObjects, { config, s3Client });
+
+    // Download submissions with a bounded pool, streaming each body straight to disk
+    const totalBytes = submissionFiles.reduce((sum, obj) => sum + (obj.Size || 0), 0);
+    console.log(`Downloading ${submissionFiles.length} files (${formatBytes(totalBytes)}) with concurrency ${config.downloadConcurrency}`);
+    const startedAt = Date.now();
+    let completed = 0;
+    let downloadedBytes = 0;
+    let unchanged = 0;
+
+    const results = await mapWithConcurrency(submissionFiles, config.downloadConcurrency, async (file) => {
+      const identity = identities.get(file.Key);
+      // Local name from the identity, keeping the original extension (and its case)
+      const extension = identity.file.slice(identity.file.length - extensionOf(identity.file).length);
+      const fileName = `${identity.localName}${extension}`;
+      const localPath = path.join(config.localAssignmentsDir, fileName);
+      const version = { etag: file.ETag, lastModified: file.LastModified };
+
+      if (manifest) {
+        trackObject(manifest, file.Key, { ...version, size: file.Size, identity: identityAttributes(identity) });
+        if (!force && isStageUpToDate(manifest, file.Key, 'fetch') && await fileExists(localPath)) {
+          completed++;
+          unchanged++;
+          console.log(`[${completed}/${submissionFiles.length}] = Unchanged: ${fileName}`);
+          return { fileName, localPath, s3Key: file.Key, identity, size: file.Size, etag: file.ETag, unchanged: true };
+        }
+      }
+
+      const bytes = await downloadObjectToFile(s3Client, config.bucketName, file.Key, localPath);
+      completed++;
+      downloadedBytes += bytes;
+      console.log(`[${completed}/${submissionFiles.length}] ✓ Downloaded: ${file.Key} -> ${fileName} (${formatBytes(bytes)})`);
+
+      if (manifest) {
+        trackObject(manifest, file.Key, { fileName, localPath });
+        recordStage(manifest, file.Key, 'fetch');
+      }
+
+      return {
         fileName,
         localPath,
-        s3Key: file.Key
-      });
-      
-      console.log(`✓ Downloaded: ${fileName}`);
+        s3Key: file.Key,
+        identity,
+        size: bytes,
+        etag: file.ETag
+      };
+    });
+
+    const downloadedFiles = results.filter(r => !r.error).map(r => r.value);
+    const failures = results
+      .map((r, i) => r.error ? { key: submissionFiles[i].Key, error: r.error } : null)
+      .filter(Boolean);
+
+    const seconds = (Date.now() - startedAt) / 1000;
+    console.log(`✓ Downloaded ${downloadedFiles.length - unchanged}/${submissionFiles.length} files (${unchanged} unchanged), ${formatBytes(downloadedBytes)} in ${seconds.toFixed(1)}s`);
+
+    if (failures.length > 0) {
+      failures.forEach(f => console.error(`✗ Failed to download ${f.key}: ${f.error && f.error.message ? f.error.message : f.error}`));
+      throw new Error(`${failures.length} download(s) failed: ${failures.map(f => f.key).join(', ')}`);
     }
-    
+
     return downloadedFiles;
     
   } catch (error) {
@@ -254,59 +434,239 @@ async function fetchAssignmentsFromS3() {
   }
 }
 
+// Keys the last rubric sync wrote, kept in the rubrics folder so later syncs
+// only ever delete files they wrote themselves
+const RUBRIC_MANIFEST = '.synced-rubrics.json';
+
+/**
+ * Mirror the rubric files found in S3 to config.localRubricsDir (same folder
+ * layout as their keys) so grading can find each submission's rubric.
+ * Rubrics the last sync wrote that are gone from S3 are removed locally too;
+ * nothing else in the folder is touched. Invalid rubrics are reported here;
+ * submissions that use one fail at grading.
+ */
+async function syncRubrics(rubricObjects, { config = CONFIG, s3Client = createS3Client(config) } = {}) {
+  const manifestPath = path.join(config.localRubricsDir, RUBRIC_MANIFEST);
+  let previousKeys = [];
+  try {
+    previousKeys = JSON.parse(await fsp.readFile(manifestPath, 'utf8')).keys || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`⚠ Could not read ${manifestPath} (${error.message}); keeping the local rubrics it lists`);
+  }
+
+  if (rubricObjects.length > 0) console.log(`Found ${rubricObjects.length} rubric file(s)`);
+  const rubricKeys = [];
+  for (const obj of rubricObjects) {
+    const localPath = localRubricPath(obj.Key, config.localRubricsDir);
+    await fsp.mkdir(path.dirname(localPath), { recursive: true });
+    await downloadObjectToFile(s3Client, config.bucketName, obj.Key, localPath);
+    try {
+      const rubric = parseRubric(JSON.parse(await fsp.readFile(localPath, 'utf8')), obj.Key);
+      console.log(`✓ Rubric: ${obj.Key} (${rubric.criteria.length} criteria)`);
+    } catch (error) {
+      console.warn(`⚠ ${error.message.startsWith('Invalid rubric') ? error.message : `Invalid rubric ${obj.Key}: ${error.message}`}`);
+    }
+    rubricKeys.push(obj.Key);
+  }
+
+  const current = new Set(rubricKeys);
+  for (const key of previousKeys.filter(key => !current.has(key) && isRubricKey(key, config.rubricFileName))) {
+    await removeSyncedRubric(key, config.localRubricsDir);
+  }
+  if (rubricKeys.length > 0 || previousKeys.length > 0) {
+    await fsp.mkdir(config.localRubricsDir, { recursive: true });
+    await fsp.writeFile(manifestPath, JSON.stringify({ keys: rubricKeys, syncedAt: new Date().toISOString() }, null, 2));
+  }
+  return rubricKeys;
+}
+
 /**
- * Part 5: Convert all PDFs to text files
+ * Delete a previously synced rubric and the folders above it that it leaves
+ * empty, up to (not including) the rubrics folder
  */
-async function convertPDFsToText(pdfFiles) {
-  console.log('\n--- Converting PDFs to Text ---');
+async function removeSyncedRubric(key, dir) {
+  let localPath;
+  try {
+    localPath = localRubricPath(key, dir);
+  } catch (error) {
+    console.warn(`⚠ ${error.message}; not removing it`);
+    return;
+  }
+  await fsp.rm(localPath, { force: true });
+  console.log(`✓ Removed rubric no longer in S3: ${key}`);
+  const root = path.resolve(dir);
+  for (let folder = path.dirname(path.resolve(localPath)); folder.startsWith(root + path.sep); folder = path.dirname(folder)) {
+    try {
+      await fsp.rmdir(folder);
+    } catch {
+      break; // not empty (or already gone)
+    }
+  }
+}
+
+/**
+ * Converted text file name for a submission (extension replaced with .txt)
+ */
+function textFileNameFor(fileName) {
+  return `${baseNameOf(fileName)}.txt`;
+}
+
+/**
+ * Structure JSON file name for a submission (see structure.js)
+ */
+function structureFileNameFor(fileName) {
+  return `${baseNameOf(fileName)}.json`;
+}
+
+/**
+ * Part 5: Convert all submissions (PDF, DOCX, ODT, Markdown, text, notebooks)
+ * to text files. With a manifest, files already converted at their current
+ * ETag are skipped (and reported with `unchanged: true`) unless `force` is set.
+ * `unsupportedFiles` and `identityIssues` (as reported by fetchAssignmentsFromS3's
+ * onUnsupported and onIdentityIssues) are listed in the summary. The submission
+ * identity is written into the structure JSON, which carries it to grading.
+ * A file that fails conversion gets no text file (so it is never graded) and,
+ * with a dead-letter store (see deadletter.js), an entry for retry-failed;
+ * the entry is removed once the file converts.
+ */
+async function convertPDFsToText(submissionFiles, { config = CONFIG, manifest = null, deadLetters = null, runId = null, force = false, unsupportedFiles = [], identityIssues = [] } = {}) {
+  console.log('\n--- Converting Submissions to Text ---');
   
-  // Use system pdftotext utility for PDF conversion
-  // This is more reliable than pdf-parse module in ES module environments
+  // Each file goes through the extractor chain for its format; PDFs use the
+  // configurable chain (pdf-parse, then pdftotext by default) plus OCR
   
   const convertedFiles = [];
+  const failedFiles = [];
+  await fsp.mkdir(config.localConvertedDir, { recursive: true });
   
-  for (const pdfFile of pdfFiles) {
+  for (const submission of submissionFiles) {
+    const entry = manifest && submission.s3Key ? manifest.entries[submission.s3Key] : null;
+    const identity = submission.identity ? identityAttributes(submission.identity) : entry && entry.identity;
+    const deadLetterRef = submission.s3Key || submission.fileName;
+    if (entry && !force && isStageUpToDate(manifest, submission.s3Key, 'convert')
+      && entry.textPath && await fileExists(entry.textPath)
+      && entry.structurePath && await fileExists(entry.structurePath)) {
+      console.log(`= Unchanged: ${submission.fileName} (already converted)`);
+      convertedFiles.push({
+        originalFile: submission.fileName,
+        sourceKey: submission.s3Key,
+        sourceEtag: entry.etag,
+        ...(identity ? { submissionId: identity.submissionId, identity } : {}),
+        textFile: entry.textFile,
+        textPath: entry.textPath,
+        structureFile: entry.structureFile,
+        structurePath: entry.structurePath,
+        characterCount: entry.stages.convert.characterCount,
+        extractor: entry.stages.convert.extractor,
+        ...(entry.stages.convert.needsReview ? { needsReview: true, reviewReasons: entry.stages.convert.reviewReasons } : {}),
+        unchanged: true
+      });
+      if (deadLetters) resolveFailure(deadLetters, 'convert', deadLetterRef);
+      continue;
+    }
+
     try {
-      console.log(`Converting: ${pdfFile.fileName}...`);
+      console.log(`Converting: ${submission.fileName}...`);
       
-      // Read PDF file
-      const dataBuffer = await fsp.readFile(pdfFile.localPath);
+      // Create text file name (replace the extension with .txt)
+      const txtFileName = textFileNameFor(submission.fileName);
+      const txtFilePath = path.join(config.localConvertedDir, txtFileName);
+      const format = extensionOf(submission.fileName).slice(1);
+      const chain = chainFor(submission.fileName, config.extractors);
       
-      // Create text file name (replace .pdf with .txt)
-      const txtFileName = pdfFile.fileName.replace('.pdf', '.txt');
-      const txtFilePath = path.join(CONFIG.localConvertedDir, txtFileName);
+      const { text: txtContent, pages, extractor, attempts, ocr, meta } = await extractText(submission.localPath, {
+        chain,
+        minChars: config.minExtractedChars,
+        ocr: format === 'pdf' && config.ocr.enabled ? config.ocr : false,
+        extractorOptions: { archive: config.archive, pdfChain: config.extractors }
+      });
+      await fsp.writeFile(txtFilePath, txtContent, 'utf-8');
+
+      // Page/section outline alongside the text, for page and section references in grading
+      const structureFileName = structureFileNameFor(submission.fileName);
+      const structurePath = path.join(config.localConvertedDir, structureFileName);
+      const structure = analyzeStructure(pages, { sourceFile: submission.fileName, format });
+      if (identity) structure.submission = identity;
+      await fsp.writeFile(structurePath, JSON.stringify(structure, null, 2), 'utf-8');
       
-      // Use system pdftotext for conversion
-      try {
-        execSync(`pdftotext ${JSON.stringify(pdfFile.localPath)} ${JSON.stringify(txtFilePath)}`);
-        const txtContent = await fsp.readFile(txtFilePath, 'utf8');
-        
-        convertedFiles.push({
-          originalFile: pdfFile.fileName,
-          textFile: txtFileName,
-          textPath: txtFilePath,
-          characterCount: txtContent.length
+      const converted = {
+        originalFile: submission.fileName,
+        sourceKey: submission.s3Key,
+        sourceEtag: entry ? entry.etag : submission.etag,
+        ...(identity ? { submissionId: identity.submissionId, identity } : {}),
+        textFile: txtFileName,
+        textPath: txtFilePath,
+        structureFile: structureFileName,
+        structurePath,
+        format,
+        characterCount: txtContent.length,
+        pageCount: structure.pageCount,
+        wordCount: structure.wordCount,
+        sectionCount: structure.sections.length,
+        extractor
+      };
+      // `fallback` names the extractor used when the first one in the chain did not win
+      if (extractor !== chain[0]) converted.fallback = extractor;
+      const skipped = attempts.filter(a => a.status !== 'ok');
+      if (skipped.length > 0) converted.failedExtractors = skipped;
+      if (meta && meta.archive) {
+        converted.archive = { includedFiles: meta.archive.files, skippedFiles: meta.archive.skipped };
+      }
+      if (ocr && ocr.ocrPages.length > 0) {
+        converted.ocr = { pages: ocr.pages, ocrPages: ocr.ocrPages, averageConfidence: ocr.averageConfidence };
+      }
+      if (ocr && ocr.needsReview) {
+        converted.needsReview = true;
+        converted.reviewReasons = ocr.reviewReasons;
+      }
+      convertedFiles.push(converted);
+      if (deadLetters && resolveFailure(deadLetters, 'convert', deadLetterRef)) {
+        console.log(`✓ Cleared dead-letter entry for ${submission.fileName}`);
+      }
+      
+      const ocrNote = converted.ocr ? `, OCR on ${converted.ocr.ocrPages.length} page(s) at ${converted.ocr.averageConfidence}% confidence` : '';
+      const archiveNote = converted.archive ? `, ${converted.archive.includedFiles.length} file(s) bundled, ${converted.archive.skippedFiles.length} skipped` : '';
+      console.log(`✓ Converted: ${submission.fileName} -> ${txtFileName} (${txtContent.length} chars, ${structure.pageCount} page(s), ${structure.sections.length} section(s), ${extractor}${ocrNote}${archiveNote})`);
+      skipped.forEach(a => console.log(`  ${a.extractor} skipped: ${a.reason}`));
+      if (converted.needsReview) {
+        console.warn(`⚠ ${submission.fileName} needs manual review:`);
+        converted.reviewReasons.forEach(reason => console.warn(`  - ${reason}`));
+      }
+
+      if (entry) {
+        trackObject(manifest, submission.s3Key, { textFile: txtFileName, textPath: txtFilePath, structureFile: structureFileName, structurePath });
+        recordStage(manifest, submission.s3Key, 'convert', {
+          characterCount: txtContent.length,
+          extractor,
+          ...(converted.needsReview ? { needsReview: true, reviewReasons: converted.reviewReasons } : {})
         });
-        
-        console.log(`✓ Converted: ${pdfFile.fileName} -> ${txtFileName} (${txtContent.length} chars)`);
-      } catch (pdftErr) {
-        throw pdftErr;
       }
       
     } catch (error) {
-      // Log detailed error and write a small placeholder text file so user can see conversion failed for this file
-      console.error(`Error converting ${pdfFile.fileName}:`, error && error.message ? error.message : error);
-      console.error(error && error.stack ? error.stack : 'No stack available');
+      console.error(`Error converting ${submission.fileName}:`, error && error.message ? error.message : error);
+      if (!error.attempts) console.error(error && error.stack ? error.stack : 'No stack available');
+      failedFiles.push({
+        originalFile: submission.fileName,
+        sourceKey: submission.s3Key,
+        error: error && error.message ? error.message : String(error),
+        errorClass: classifyError(error),
+        attempts: error.attempts || []
+      });
 
-      // Write a placeholder text file indicating failure
-      try {
-        const txtFileName = pdfFile.fileName.replace(/\.pdf$/i, '.txt');
-        const txtFilePath = path.join(CONFIG.localConvertedDir, txtFileName);
-        const failureNotice = `Conversion failed for ${pdfFile.fileName}\nError: ${error && error.message ? error.message : error}\n`;
-        await fsp.writeFile(txtFilePath, failureNotice, 'utf-8');
-        console.log(`✗ Wrote failure notice to ${txtFileName}`);
-      } catch (writeErr) {
-        console.error('Failed to write failure notice file:', writeErr && writeErr.message ? writeErr.message : writeErr);
+      // Remove output of an earlier version (or a failure notice from older
+      // runs) so grading never picks up text that is not this submission
+      await fsp.rm(path.join(config.localConvertedDir, textFileNameFor(submission.fileName)), { force: true });
+      await fsp.rm(path.join(config.localConvertedDir, structureFileNameFor(submission.fileName)), { force: true });
+
+      if (deadLetters) {
+        const failure = recordFailure(deadLetters, {
+          stage: 'convert',
+          ref: deadLetterRef,
+          error,
+          input: { fileName: submission.fileName, localPath: submission.localPath, s3Key: submission.s3Key },
+          runId
+        });
+        console.log(`✗ Recorded ${submission.fileName} for retry-failed (${failure.errorClass}, attempt ${failure.attempts})`);
       }
 
       // Continue with other files even if one fails
@@ -314,30 +674,127 @@ async function convertPDFsToText(pdfFiles) {
     }
   }
   
-  console.log(`\n✓ Conversion complete: ${convertedFiles.length}/${pdfFiles.length} files processed`);
+  console.log(`\n✓ Conversion complete: ${convertedFiles.length}/${submissionFiles.length} files processed`);
   
   // Create a summary file
   const summary = {
     timestamp: new Date().toISOString(),
-    totalFiles: pdfFiles.length,
+    totalFiles: submissionFiles.length,
     successfulConversions: convertedFiles.length,
-    files: convertedFiles
+    extractorChain: config.extractors,
+    ocr: config.ocr.enabled ? config.ocr : { enabled: false },
+    files: convertedFiles,
+    failedFiles,
+    // Files skipped at fetch because no extractor handles their format
+    unsupportedFiles,
+    unsupportedFormats: [...new Set(unsupportedFiles.map(f => f.extension))].sort(),
+    // Keys that did not match SUBMISSION_KEY_PATTERN or collided, with the ID used instead
+    submissionKeyPattern: config.submissionKeyPattern,
+    identityIssues,
+    // Submissions whose OCR text is unreliable and should be checked by hand
+    needsReview: convertedFiles.filter(f => f.needsReview).map(f => f.originalFile)
   };
   
   await fsp.writeFile(
-    path.join(CONFIG.localConvertedDir, '_conversion_summary.json'),
+    path.join(config.localConvertedDir, '_conversion_summary.json'),
     JSON.stringify(summary, null, 2)
   );
   
   return convertedFiles;
 }
 
+/**
+ * Upload converted text files, their structure JSON and
+ * `_conversion_summary.json` to S3 under CONFIG.convertedFolder. Each text
+ * and structure object carries metadata pointing back to the source
+ * submission (key and ETag). Files already uploaded for the current ETag
+ * are skipped. Once all uploads are attempted, failed files are passed to
+ * `onFailure(file, error)` when given; without it, any failure throws.
+ * Returns the files uploaded (or unchanged).
+ */
+async function uploadConvertedToS3(convertedFiles, { config = CONFIG, s3Client = createS3Client(config), manifest = null, force = false, onFailure = null } = {}) {
+  console.log('\n--- Uploading Converted Files to S3 ---');
+  console.log(`Destination: s3://${config.bucketName}/${config.convertedFolder}`);
+
+  let completed = 0;
+  const results = await mapWithConcurrency(convertedFiles, config.uploadConcurrency, async (file) => {
+    const key = `${config.convertedFolder}${file.textFile}`;
+    if (manifest && file.sourceKey && !force && isStageUpToDate(manifest, file.sourceKey, 'upload')) {
+      completed++;
+      console.log(`[${completed}/${convertedFiles.length}] = Unchanged: ${key}`);
+      return { ...file, convertedKey: key, unchanged: true };
+    }
+
+    // S3 user metadata must be ASCII, so the source key is URI-encoded
+    const metadata = { 'character-count': String(file.characterCount ?? '') };
+    if (file.sourceKey) metadata['source-key'] = encodeURIComponent(file.sourceKey);
+    if (file.sourceEtag) metadata['source-etag'] = file.sourceEtag.replace(/"/g, '');
+    if (file.submissionId) metadata['submission-id'] = encodeURIComponent(file.submissionId);
+
+    const stat = await fsp.stat(file.textPath);
+    await s3Client.send(new PutObjectCommand({
+      Bucket: config.bucketName,
+      Key: key,
+      Body: fs.createReadStream(file.textPath),
+      ContentLength: stat.size,
+      ContentType: 'text/plain; charset=utf-8',
+      Metadata: metadata
+    }));
+
+    // The structure JSON travels with its text file
+    let structureKey;
+    if (file.structurePath && await fileExists(file.structurePath)) {
+      structureKey = `${config.convertedFolder}${file.structureFile}`;
+      await s3Client.send(new PutObjectCommand({
+        Bucket: config.bucketName,
+        Key: structureKey,
+        Body: await fsp.readFile(file.structurePath),
+        ContentType: 'application/json',
+        Metadata: metadata
+      }));
+    }
+
+    completed++;
+    console.log(`[${completed}/${convertedFiles.length}] ✓ Uploaded: ${key}`);
+    if (manifest && file.sourceKey) {
+      trackObject(manifest, file.sourceKey, { convertedKey: key, structureKey });
+      recordStage(manifest, file.sourceKey, 'upload');
+    }
+    return { ...file, convertedKey: key, structureKey };
+  });
+
+  const uploaded = results.filter(r => !r.error).map(r => r.value);
+  const failures = results
+    .map((r, i) => r.error ? { file: convertedFiles[i], error: r.error } : null)
+    .filter(Boolean);
+
+  // The summary always reflects the latest conversion, so upload it every time
+  const summaryPath = path.join(config.localConvertedDir, '_conversion_summary.json');
+  if (await fileExists(summaryPath)) {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: config.bucketName,
+      Key: `${config.convertedFolder}_conversion_summary.json`,
+      Body: await fsp.readFile(summaryPath),
+      ContentType: 'application/json'
+    }));
+    console.log(`✓ Uploaded: ${config.convertedFolder}_conversion_summary.json`);
+  }
+
+  console.log(`✓ Upload complete: ${uploaded.length}/${convertedFiles.length} files`);
+  if (failures.length > 0) {
+    failures.forEach(f => console.error(`✗ Failed to upload ${f.file.textFile}: ${f.error && f.error.message ? f.error.message : f.error}`));
+    if (!onFailure) throw new Error(`${failures.length} upload(s) failed: ${failures.map(f => f.file.textFile).join(', ')}`);
+    failures.forEach(f => onFailure(f.file, f.error));
+  }
+  return uploaded;
+}
+
 /**
  * Error handling wrapper
  */
 async function run() {
   try {
-    await main();
+    await main({ force: process.argv.includes('--force') });
     console.log('\n✓ Script execution completed successfully');
     process.exit(0);
   } catch (error) {
@@ -346,13 +803,19 @@ async function run() {
   }
 }
 
-// Execute the script
-run();
+// Execute the script only when run directly (not when imported by the pipeline)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  run();
+}
 
 // Export functions for testing or modular use
 export {
+  main,
+  createS3Client,
   setupEnvironment,
   fetchAssignmentsFromS3,
+  syncRubrics,
   convertPDFsToText,
+  uploadConvertedToS3,
   CONFIG
 };
\ No newline at end of file
@@ -1,38 +1,125 @@
-import {DynamoDBClient, PutItemCommand, ScanCommand} from "@aws-sdk/client-dynamodb";
+import {DynamoDBClient, PutItemCommand} from "@aws-sdk/client-dynamodb";
 import fs from 'fs';
 import  path from 'path';
 import axios from 'axios';
-
-// Initialize AWS clients
-const dynamodb = new DynamoDBClient({ region: 'us-east-1' });
+import { fileURLToPath } from 'url';
+import { loadManifest, saveManifest, isStageUpToDate, recordStage, findKeyBy } from './manifest.js';
+import { annotateText, outlineOf } from './structure.js';
+import { allocateAnalyticsId, updateRun, DEFAULT_RUNS_TABLE } from './runs.js';
+import { providerFor, parseProviders, normalizeModelResult, DEFAULT_PROVIDER } from './providers.js';
+import { validateResult, invalidResultError } from './schema.js';
+import { findRubric, applyRubric, DEFAULT_RUBRIC_FILE } from './rubric.js';
+import { loadDeadLetters, saveDeadLetters, recordFailure, resolveFailure, classifyError } from './deadletter.js';
+import { mapWithConcurrency, createTokenBucket, createCircuitBreaker, backoffDelay, sleep } from './concurrency.js';
+import { chunkSubmission, mergeChunkResults, estimateTokens, DEFAULT_MAX_CHUNK_TOKENS } from './chunking.js';
+import { fingerprintText, findSimilarPairs, DEFAULT_SHINGLE_WORDS, DEFAULT_THRESHOLD, DEFAULT_MAX_PASSAGES } from './similarity.js';
+import { fingerprintCode, findSimilarCodePairs, DEFAULT_CODE_THRESHOLD, DEFAULT_KGRAM_TOKENS } from './codesim.js';
+import { assessStyle, DEFAULT_DISAGREEMENT } from './stylometry.js';
+import { recordFingerprint, findCorpusMatches, DEFAULT_CORPUS_TABLE, DEFAULT_RETENTION_DAYS } from './corpus.js';
+import { getResultsForStudent, toDynamoDBFormat, fromDynamoDBFormat, DEFAULT_TABLES } from './datastore.js';
+import { numberFromEnv } from './env.js';
 
 const fsp = fs.promises;
 
 const CONFIG = {
-  DYNAMODB_TABLE: 'assignment_analysis_data',
+  // Results table; set to a new table while migrating one with an older key schema (see datastore.js)
+  DYNAMODB_TABLE: process.env.RESULTS_TABLE || DEFAULT_TABLES.assignmentsTable,
+  // Analytics run counter and run records (see runs.js)
+  RUNS_TABLE: process.env.RUNS_TABLE || DEFAULT_RUNS_TABLE,
   REGION: 'us-east-1',
-  LOCAL_CONVERTED_DIR: './converted'
+  // Point at DynamoDB Local (e.g. http://localhost:8000) to run without AWS
+  DYNAMODB_ENDPOINT: process.env.DYNAMODB_ENDPOINT || '',
+  LOCAL_CONVERTED_DIR: './converted',
+  // Grading backend(s): api-gateway, sagemaker, gemini or stub; a comma-separated list splits submissions between them
+  MODEL_PROVIDER: process.env.MODEL_PROVIDER || DEFAULT_PROVIDER,
+  MODEL_ENDPOINT_URL: process.env.MODEL_ENDPOINT_URL || 'https://ph7qz98inj.execute-api.us-east-1.amazonaws.com/aithentic/sagemaker',
+  SAGEMAKER_ENDPOINT_NAME: process.env.SAGEMAKER_ENDPOINT_NAME || '',
+  GEMINI_API_KEY: process.env.GEMINI_API_KEY || '',
+  GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+  MODEL_MAX_TOKENS: numberFromEnv('MODEL_MAX_TOKENS', 2048, { integer: true, positive: true }),
+  // Longer submissions (estimated tokens) are graded in chunks and merged; 0 disables chunking
+  MAX_CHUNK_TOKENS: numberFromEnv('MAX_CHUNK_TOKENS', DEFAULT_MAX_CHUNK_TOKENS, { integer: true, min: 0 }),
+  MAX_RETRIES: numberFromEnv('MAX_RETRIES', 3, { integer: true, min: 1 }),
+  TIMEOUT_MS: 60000, // 60 second timeout
+  // Retries of 429/5xx/network errors: exponential backoff with jitter, or the server's Retry-After
+  RETRY_BASE_MS: numberFromEnv('RETRY_BASE_MS', 1000, { min: 0 }),
+  RETRY_MAX_MS: numberFromEnv('RETRY_MAX_MS', 30000, { min: 0 }),
+  // Submissions graded in parallel, and model requests per second across them (0 = no limit; burst defaults to the rate)
+  GRADING_CONCURRENCY: numberFromEnv('GRADING_CONCURRENCY', 4, { integer: true, min: 1 }),
+  MODEL_RATE_LIMIT: numberFromEnv('MODEL_RATE_LIMIT', 5, { min: 0 }),
+  MODEL_RATE_BURST: numberFromEnv('MODEL_RATE_BURST', 0, { min: 0 }),
+  // Consecutive endpoint failures that pause the batch, and for how long
+  CIRCUIT_FAILURE_THRESHOLD: numberFromEnv('CIRCUIT_FAILURE_THRESHOLD', 5, { integer: true, min: 1 }),
+  CIRCUIT_COOLDOWN_MS: numberFromEnv('CIRCUIT_COOLDOWN_MS', 30000, { min: 0 }),
+  // Send [Page N]/[Section K] markers and a section outline with each assignment
+  SEND_STRUCTURE: process.env.SEND_STRUCTURE !== 'false',
+  // Local mirror of the rubric files in S3 (written by the fetch stage, see rubric.js)
+  RUBRICS_DIR: process.env.RUBRICS_DIR || './rubrics',
+  RUBRIC_FILE_NAME: process.env.RUBRIC_FILE_NAME || DEFAULT_RUBRIC_FILE,
+  // Model results that fail the result schema are written here instead of DynamoDB
+  QUARANTINE_DIR: process.env.QUARANTINE_DIR || './.aithentic/quarantine',
+  // Compare the batch's submissions with each other (see similarity.js); pairs at or above the threshold (percent) are stored with each result
+  SIMILARITY_ENABLED: process.env.SIMILARITY_ENABLED !== 'false',
+  SIMILARITY_THRESHOLD: numberFromEnv('SIMILARITY_THRESHOLD', DEFAULT_THRESHOLD, { min: 0, max: 100 }),
+  SIMILARITY_SHINGLE_WORDS: numberFromEnv('SIMILARITY_SHINGLE_WORDS', DEFAULT_SHINGLE_WORDS, { integer: true, min: 1 }),
+  SIMILARITY_MAX_PASSAGES: numberFromEnv('SIMILARITY_MAX_PASSAGES', DEFAULT_MAX_PASSAGES, { integer: true, min: 0 }),
+  // Submission identity fields that must match for two submissions to be compared
+  SIMILARITY_GROUP_BY: process.env.SIMILARITY_GROUP_BY ?? 'course,assignment',
+  // Compare source code (JavaScript/TypeScript, Python, Java, C/C++) as normalized token streams (see codesim.js)
+  CODE_SIMILARITY_ENABLED: process.env.CODE_SIMILARITY_ENABLED !== 'false',
+  CODE_SIMILARITY_THRESHOLD: numberFromEnv('CODE_SIMILARITY_THRESHOLD', DEFAULT_CODE_THRESHOLD, { min: 0, max: 100 }),
+  CODE_KGRAM_TOKENS: numberFromEnv('CODE_KGRAM_TOKENS', DEFAULT_KGRAM_TOKENS, { integer: true, min: 1 }),
+  // Local stylometric second opinion on AI use (see stylometry.js): flagged when it and the model are this many points apart
+  STYLOMETRY_ENABLED: process.env.STYLOMETRY_ENABLED !== 'false',
+  STYLOMETRY_DISAGREEMENT: numberFromEnv('STYLOMETRY_DISAGREEMENT', DEFAULT_DISAGREEMENT, { min: 0, max: 100 }),
+  // Earlier submissions per student that style drift is measured against
+  STYLOMETRY_HISTORY: numberFromEnv('STYLOMETRY_HISTORY', 5, { integer: true, min: 0 }),
+  // Fingerprints of graded submissions kept for checks against later batches (see corpus.js); 0 days keeps them forever
+  CORPUS_ENABLED: process.env.CORPUS_ENABLED !== 'false',
+  CORPUS_TABLE: process.env.CORPUS_TABLE || DEFAULT_CORPUS_TABLE,
+  CORPUS_RETENTION_DAYS: numberFromEnv('CORPUS_RETENTION_DAYS', DEFAULT_RETENTION_DAYS, { min: 0 })
 };
 
+/**
+ * Create the DynamoDB client used for grading results
+ */
+function createDynamoDBClient(config = CONFIG) {
+  return new DynamoDBClient({ region: config.REGION, ...(config.DYNAMODB_ENDPOINT ? { endpoint: config.DYNAMODB_ENDPOINT } : {}) });
+}
+
 
 /**
- * Read assignment from local EC2 /converted directory
+ * Read assignment from local EC2 /converted directory, plus its structure
+ * JSON (`structure` is null when the file was converted without one).
+ * `submission` is the identity recorded at conversion (see identity.js);
+ * files converted without one are identified by their file name.
  */
-async function readAssignmentFromLocal(filename) {
-  const fullPath = path.join(CONFIG.LOCAL_CONVERTED_DIR, filename);
+async function readAssignmentFromLocal(filename, { config = CONFIG } = {}) {
+  const fullPath = path.join(config.LOCAL_CONVERTED_DIR, filename);
 
   try {
     const assignmentText = await fsp.readFile(fullPath, 'utf8');
+    // Older runs wrote a notice in place of text that failed to convert
+    if (/^Conversion failed for .*\nError: /.test(assignmentText)) {
+      throw new Error('this is a conversion failure notice from an older run, not a submission; re-run conversion for it');
+    }
     const assignmentId = filename.replace(path.extname(filename), '');
-    console.log(`Loaded: ${filename}`);
-    return { assignmentText, assignmentId };
+    let structure = null;
+    try {
+      structure = JSON.parse(await fsp.readFile(path.join(config.LOCAL_CONVERTED_DIR, `${assignmentId}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`⚠ Ignoring unreadable structure for ${filename}: ${error.message}`);
+    }
+    const submission = (structure && structure.submission) || { submissionId: assignmentId };
+    console.log(`Loaded: ${filename}${structure ? ` (${structure.pageCount} pages, ${structure.sections.length} sections)` : ''}`);
+    return { assignmentText, assignmentId: submission.submissionId, structure, submission };
   } catch (error) {
     throw new Error(`Failed to read file ${fullPath}: ${error.message}`);
   }
 }
 
 /**
- * Invoke Lambda via API Gateway instead of SageMaker directly
+ * Remove characters the grading endpoints reject
  */
 function sanitizeText(text) {
   return text
@@ -41,114 +128,99 @@ function sanitizeText(text) {
     .replace(/\r/g, '\n')        // normalize CR
     .replace(/[^\x09\x0A\x0D\x20-\x7E\xa0-\uFFFF]/g, ''); // remove weird control chars
 }
+
 /**
- * Convert text into a single-line JSON-safe string
+ * Grade one assignment with the configured model provider (MODEL_PROVIDER,
+ * see providers.js) and return the result as a DynamoDB item, whichever
+ * provider produced it. `http` is an axios-compatible client for the API
+ * Gateway provider; `sagemaker` and `gemini` clients are created on demand
+ * when not given.
+ * With a `structure` (see structure.js) and SEND_STRUCTURE on, the text carries
+ * [Page N]/[Section K] markers and the request an `outline` of sections, so
+ * the grader can cite pages and sections in gradeReasoning. `submission`
+ * (course, assignment, studentId, ...) is sent alongside the assignmentId.
+ * With a `chunk` (see chunking.js) only the chunk's text is sent, along with
+ * its position in the submission. With a `rubric` (see rubric.js) the grader
+ * scores each criterion and gradeReceived is computed from those scores.
+ *
+ * Returns the result as a plain object checked against the result schema
+ * (see schema.js). Output that cannot be parsed or fails the schema is not
+ * retried; it throws an error carrying the raw response for quarantine.
+ * Throttling, 5xx and network errors are retried with jittered exponential
+ * backoff (or after the server's Retry-After). Every attempt waits for the
+ * batch's `limiter` and `breaker` when given (see createGradingControls).
  */
-function normalizeForOneLine(text) {
-  return text
-    .replace(/\u0000/g, '')
-    .replace(/\f/g, ' ')
-    .replace(/\r\n/g, ' ')
-    .replace(/\r/g, ' ')
-    .replace(/\n/g, ' ')
-    .replace(/\t/g, ' ')
-    .replace(/\s\s+/g, ' ')   // collapse multiple spaces
-    .trim();
-}
+async function invokeModelEndpoint(assignmentText, assignmentId, analyticsId, { http = axios, sagemaker = null, gemini = null, config = CONFIG, structure = null, submission = null, chunk = null, rubric = null, limiter = null, breaker = null } = {}) {
+  const { MAX_RETRIES } = config;
+  const withStructure = Boolean(structure && config.SEND_STRUCTURE);
+  const provider = providerFor(assignmentId, config.MODEL_PROVIDER);
+  const request = {
+    text: sanitizeText(chunk ? chunk.text : withStructure ? annotateText(structure) : assignmentText),
+    assignmentId,
+    analyticsId,
+    submission,
+    ...(chunk ? { chunk: { index: chunk.index, count: chunk.count, pages: chunk.pages, sections: chunk.sections } } : {}),
+    ...(rubric ? { rubric } : {}),
+    ...(withStructure ? { pageCount: structure.pageCount, outline: outlineOf(structure) } : {})
+  };
 
-async function invokeModelEndpoint(assignmentText, assignmentId, analyticsId) {
-  const MAX_RETRIES = 3;
-  const TIMEOUT_MS = 60000; // 60 second timeout
-  
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      const cleaned = sanitizeText(assignmentText);
-      const oneLineText = normalizeForOneLine(cleaned);
-      const safeText = `<<RAW_TEXT_START>>${oneLineText}<<RAW_TEXT_END>>`;
-
-      console.log(`[Attempt ${attempt}/${MAX_RETRIES}] Calling Lambda for assignment (length: ${safeText.length})`);
-
-      const payload = {
-        assignmentText: safeText,
-        assignmentId,
-        analyticsId
-      };
-
-      console.log("Payload being sent to Lambda:", payload);
-
-      // Create abort controller for timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
-
+      if (breaker) await breaker.acquire();
+      if (limiter) await limiter.take();
+      console.log(`[Attempt ${attempt}/${MAX_RETRIES}] Grading ${assignmentId} with ${provider.name}`);
+      let raw;
       try {
-        const response = await axios.post(
-          "https://ph7qz98inj.execute-api.us-east-1.amazonaws.com/aithentic/sagemaker",
-          payload,
-          {
-            headers: {
-              "Content-Type": "application/json"
-            },
-            timeout: TIMEOUT_MS
-          }
-        );
-
-        clearTimeout(timeoutId);
-        console.log("Lambda HTTP status:", response.status);
-        const raw = response.data;
-        console.log("Lambda raw response:", JSON.stringify(raw).substring(0, 500)); // Log first 500 chars
-
-        // Check for HTTP error status
-        if (response.status >= 400) {
-          throw new Error(`Lambda returned HTTP ${response.status}: ${JSON.stringify(raw)}`);
-        }
-
-        let parsed;
-
-        try {
-          // Parse the response (axios auto-parses JSON, so raw is already an object)
-          const result = typeof raw === 'string' ? JSON.parse(raw) : raw;
-
-          // Check if it's the new format (direct DynamoDB JSON with N, S, M fields)
-          if (result.analyticsId && result.analyticsId.N !== undefined) {
-            console.log("Detected DynamoDB format response");
-            parsed = result; // Already in the correct format for DynamoDB
-          } 
-          // Check if it's the old SageMaker array format
-          else if (Array.isArray(result) && result.length > 0 && result[0].generated_text) {
-            console.log("Detected SageMaker array format response");
-            parsed = JSON.parse(result[0].generated_text);
-          } 
-          else {
-            throw new Error(`Unknown response format. Expected DynamoDB JSON or SageMaker array. Got: ${JSON.stringify(result).substring(0, 200)}`);
-          }
-
-        } catch (parseErr) {
-          console.error("Failed to parse Lambda output:", parseErr.message);
-          console.error("RAW response was:", JSON.stringify(raw).substring(0, 500));
-          throw parseErr;
-        }
+        raw = await provider.grade(request, { config, http, sagemaker, gemini });
+      } catch (error) {
+        // Only throttling, 5xx and network errors count against the endpoint
+        if (breaker && error.retryable) breaker.failure();
+        else if (breaker) breaker.success();
+        throw error;
+      }
+      if (breaker) breaker.success();
 
-        console.log("Final parsed model result:", parsed);
-        return parsed;
+      let parsed;
+      try {
+        parsed = normalizeModelResult(raw, request);
+      } catch (parseErr) {
+        console.error(`Failed to parse ${provider.name} output:`, parseErr.message);
+        console.error('RAW response was:', String(JSON.stringify(raw)).substring(0, 500));
+        throw invalidResultError(`Unparseable ${provider.name} output: ${parseErr.message}`, { raw, provider: provider.name });
+      }
 
-      } finally {
-        clearTimeout(timeoutId);
+      const errors = [];
+      if (rubric) {
+        const applied = applyRubric(parsed, rubric);
+        parsed = applied.value;
+        errors.push(...applied.errors);
       }
+      const { value, errors: schemaErrors } = validateResult(parsed);
+      errors.push(...schemaErrors);
+      if (errors.length > 0) {
+        throw invalidResultError(`Invalid ${provider.name} result: ${errors.join('; ')}`, { errors, raw, provider: provider.name });
+      }
+      // Record which provider graded the submission, for comparing providers
+      if (!value.modelProvider) value.modelProvider = provider.name;
 
-    } catch (error) {
-      console.error(`[Attempt ${attempt}/${MAX_RETRIES}] Lambda invocation error:`, error.message);
+      console.log("Final parsed model result:", value);
+      return value;
 
-      // If it's a 502 or timeout, retry
-      if (attempt < MAX_RETRIES && (error.response?.status === 502 || error.code === 'ECONNABORTED')) {
-        const backoffMs = 1000 * attempt; // 1s, 2s, 3s
-        console.log(`Retrying in ${backoffMs}ms...`);
-        await new Promise(resolve => setTimeout(resolve, backoffMs));
+    } catch (error) {
+      console.error(`[Attempt ${attempt}/${MAX_RETRIES}] ${provider.name} invocation error:`, error.message);
+      if (error.invalidResult) throw error;
+
+      // Throttling, 5xx and network errors are retried
+      if (attempt < MAX_RETRIES && error.retryable) {
+        const backoffMs = backoffDelay(attempt, { baseMs: config.RETRY_BASE_MS, maxMs: config.RETRY_MAX_MS, retryAfterMs: error.retryAfterMs });
+        console.log(`Retrying in ${backoffMs}ms${error.retryAfterMs ? ' (Retry-After)' : ''}...`);
+        await sleep(backoffMs);
         continue;
       }
 
       // If this is the last attempt, throw
       if (attempt === MAX_RETRIES) {
-        throw new Error(`Lambda invocation failed after ${MAX_RETRIES} attempts: ${error.message}`);
+        throw new Error(`${provider.name} invocation failed after ${MAX_RETRIES} attempts: ${error.message}`, { cause: error });
       }
 
       throw error;
@@ -157,91 +229,447 @@ async function invokeModelEndpoint(assignmentText, assignmentId, analyticsId) {
 }
 
 /**
- * Validate DynamoDB JSON
+ * Grade one submission. Submissions longer than MAX_CHUNK_TOKENS (estimated)
+ * are split along section and page boundaries, each chunk is graded on its
+ * own, and the chunk results are merged into one record: scores weighted by
+ * chunk length, reasoning and remarks combined per chunk, and each chunk's
+ * own scores listed under `chunks`.
+ */
+async function gradeSubmission(assignmentText, assignmentId, analyticsId, options = {}) {
+  const { config = CONFIG, structure = null } = options;
+  const fullText = structure && config.SEND_STRUCTURE ? annotateText(structure) : assignmentText;
+  if (!config.MAX_CHUNK_TOKENS || estimateTokens(fullText) <= config.MAX_CHUNK_TOKENS) {
+    return invokeModelEndpoint(assignmentText, assignmentId, analyticsId, options);
+  }
+
+  const chunks = chunkSubmission(assignmentText, config.SEND_STRUCTURE ? structure : null, { maxTokens: config.MAX_CHUNK_TOKENS });
+  console.log(`${assignmentId} is ~${estimateTokens(fullText)} tokens; grading in ${chunks.length} chunks of up to ${config.MAX_CHUNK_TOKENS}`);
+  const results = [];
+  for (const chunk of chunks) {
+    console.log(`  Chunk ${chunk.index}/${chunk.count}: pages ${chunk.pages}, ~${chunk.tokens} tokens`);
+    results.push(await invokeModelEndpoint(assignmentText, assignmentId, analyticsId, { ...options, chunk }));
+  }
+  const merged = mergeChunkResults(results, chunks);
+  // gradeReceived follows the merged criterion scores
+  return options.rubric ? applyRubric(merged, options.rubric).value : merged;
+}
+
+/**
+ * Validate a DynamoDB result item against the result schema; throws listing
+ * every problem found
  */
 function validateDynamoDBStructure(result) {
-  const required = [
-    'analyticsId',
-    'assignmentId',
-    'gradeReceived',
-    'aiGeneratedAnalytics',
-    'plagarismAnalytics',
-    'gradeReasoning',
-    'remarks'
-  ];
-
-  required.forEach((field) => {
-    if (!result[field]) {
-      throw new Error(`Missing required field: ${field}`);
-    }
-  });
+  const { valid, errors } = validateResult(fromDynamoDBFormat(result));
+  if (!valid) {
+    throw new Error(`Invalid result item: ${errors.join('; ')}`);
+  }
 
   return true;
 }
 
 /**
- * Save one result to DynamoDB
+ * Keep an invalid model result out of DynamoDB: write the validation errors
+ * and the raw response to QUARANTINE_DIR/<analyticsId>/<file>.json for
+ * debugging. Returns the path written.
+ */
+async function quarantineResult({ analyticsId, assignmentId, textFile, error }, { config = CONFIG } = {}) {
+  const dir = path.join(config.QUARANTINE_DIR, String(analyticsId));
+  const filePath = path.join(dir, `${path.basename(textFile, '.txt')}.json`);
+  await fsp.mkdir(dir, { recursive: true });
+  await fsp.writeFile(filePath, JSON.stringify({
+    analyticsId,
+    assignmentId,
+    textFile,
+    provider: error.provider,
+    quarantinedAt: new Date().toISOString(),
+    errors: error.validationErrors,
+    rawResponse: error.rawResponse === undefined ? null : error.rawResponse
+  }, null, 2));
+  return filePath;
+}
+
+/**
+ * Save one result (a DynamoDB item) to DynamoDB. Items that fail the result
+ * schema are rejected before writing.
  */
-async function saveAnalysisToDynamoDB(result) {
+async function saveAnalysisToDynamoDB(result, { config = CONFIG, dynamodb = createDynamoDBClient(config) } = {}) {
+  validateDynamoDBStructure(result);
 
   await dynamodb.send(new PutItemCommand({
-    TableName: CONFIG.DYNAMODB_TABLE,
+    TableName: config.DYNAMODB_TABLE,
     Item: result
     }));
 
-  console.log(`Saved to DynamoDB: assignmentId ${result.assignmentId.N}`);
+  console.log(`Saved to DynamoDB: assignmentId ${result.assignmentId.N ?? result.assignmentId.S}`);
+}
+
+// Attributes that come from the submission's S3 key, never from the model:
+// submissionId is the results table's sort key and studentId the string key
+// of its student index
+const IDENTITY_ATTRIBUTES = ['submissionId', 'studentId', 'course', 'assignment', 'sourceKey'];
+
+/**
+ * Add the submission identity to a result as string fields. They replace
+ * whatever the model echoed back; identity attributes the submission does
+ * not have are dropped from the result.
+ */
+function withSubmissionIdentity(result, submission) {
+  const out = { ...result };
+  IDENTITY_ATTRIBUTES.forEach(key => delete out[key]);
+  for (const [key, value] of Object.entries(submission || {})) {
+    if (value !== undefined && value !== null && value !== '') out[key] = String(value);
+  }
+  return out;
 }
 
-function convert(item) {
-    if (!item) return null;
+/**
+ * Compare every converted submission in LOCAL_CONVERTED_DIR with the others
+ * in its group (SIMILARITY_GROUP_BY) and return a Map of text file -> the
+ * fields to store with its result:
+ *   similarityMatches      its text matches at or above SIMILARITY_THRESHOLD (see similarity.js):
+ *                          [{ assignmentId, studentId?, similarity, passages: [{ text, matchedText, words }] }]
+ *   codeSimilarityMatches  for submissions with source code, its code matches at or
+ *                          above CODE_SIMILARITY_THRESHOLD (see codesim.js):
+ *                          [{ assignmentId, studentId?, similarity, ranges: [{ file, lines, matchedFile, matchedLines }] }]
+ * Matches are most similar first; `text`/`file` refer to the submission
+ * itself and `matchedText`/`matchedFile` to the other one. The whole
+ * directory is compared, not only the files graded in this run, so a
+ * resubmission is still checked against unchanged submissions.
+ */
+async function findBatchSimilarity({ config = CONFIG } = {}) {
+  const files = (await fsp.readdir(config.LOCAL_CONVERTED_DIR)).filter(f => f.endsWith('.txt')).sort();
+  const groupFields = config.SIMILARITY_GROUP_BY.split(',').map(f => f.trim()).filter(Boolean);
+  const documents = [];
+
+  for (const file of files) {
+    const text = await fsp.readFile(path.join(config.LOCAL_CONVERTED_DIR, file), 'utf8');
+    if (/^Conversion failed for .*\nError: /.test(text)) continue;
+    let submission = null;
+    try {
+      submission = JSON.parse(await fsp.readFile(path.join(config.LOCAL_CONVERTED_DIR, file.replace(/\.txt$/, '.json')), 'utf8')).submission;
+    } catch {
+      // Converted without a structure JSON; identified by its file name
+    }
+    submission = submission || { submissionId: file.replace(/\.txt$/, '') };
+    documents.push({
+      id: file,
+      text,
+      submission,
+      group: groupFields.map(field => submission[field] ?? '').join('/'),
+      owner: submission.studentId,
+      fingerprint: config.SIMILARITY_ENABLED ? fingerprintText(text, { shingleWords: config.SIMILARITY_SHINGLE_WORDS }) : null,
+      codeFingerprint: config.CODE_SIMILARITY_ENABLED ? fingerprintCode(text, { kgramTokens: config.CODE_KGRAM_TOKENS }) : null
+    });
+  }
 
-    const out = {};
-    for (const key in item) {
-        const val = item[key];
+  const byFile = new Map(documents.map(d => [d.id, d]));
+  const fields = new Map(documents.map(d => [d.id, {
+    ...(config.SIMILARITY_ENABLED ? { similarityMatches: [] } : {}),
+    ...(d.codeFingerprint ? { codeSimilarityMatches: [] } : {})
+  }]));
+  const matchOf = (other, similarity, evidence) => ({
+    assignmentId: other.submission.submissionId,
+    ...(other.submission.studentId ? { studentId: String(other.submission.studentId) } : {}),
+    similarity,
+    ...evidence
+  });
+
+  if (config.SIMILARITY_ENABLED) {
+    const pairs = findSimilarPairs(documents, { threshold: config.SIMILARITY_THRESHOLD, maxPassages: config.SIMILARITY_MAX_PASSAGES });
+    for (const pair of pairs) {
+      const a = byFile.get(pair.a);
+      const b = byFile.get(pair.b);
+      console.warn(`⚠ ${pair.similarity}% similar: ${a.submission.submissionId} ↔ ${b.submission.submissionId}`);
+      fields.get(pair.a).similarityMatches.push(matchOf(b, pair.similarity, { passages: pair.passages }));
+      fields.get(pair.b).similarityMatches.push(matchOf(a, pair.similarity, { passages: pair.passages.map(p => ({ text: p.matchedText, matchedText: p.text, words: p.words })) }));
+    }
+    console.log(`Similarity: ${pairs.length} pair(s) at or above ${config.SIMILARITY_THRESHOLD}% across ${documents.length} submission(s)`);
+  }
 
-        if (val.S !== undefined) out[key] = val.S;
-        else if (val.N !== undefined) out[key] = Number(val.N);
-        else if (val.BOOL !== undefined) out[key] = val.BOOL;
-        else if (val.M !== undefined) out[key] = convert(val.M);
-        else if (val.L !== undefined) out[key] = val.L.map(convert);
-        else out[key] = val;
+  if (config.CODE_SIMILARITY_ENABLED) {
+    const pairs = findSimilarCodePairs(documents, { threshold: config.CODE_SIMILARITY_THRESHOLD });
+    for (const pair of pairs) {
+      const a = byFile.get(pair.a);
+      const b = byFile.get(pair.b);
+      console.warn(`⚠ ${pair.similarity}% similar code: ${a.submission.submissionId} ↔ ${b.submission.submissionId}`);
+      fields.get(pair.a).codeSimilarityMatches.push(matchOf(b, pair.similarity, { ranges: pair.ranges }));
+      fields.get(pair.b).codeSimilarityMatches.push(matchOf(a, pair.similarity, {
+        ranges: pair.ranges.map(r => ({ file: r.matchedFile, lines: r.matchedLines, matchedFile: r.file, matchedLines: r.lines }))
+      }));
     }
-    return out;
+    const withCode = documents.filter(d => d.codeFingerprint).length;
+    if (withCode > 0) console.log(`Code similarity: ${pairs.length} pair(s) at or above ${config.CODE_SIMILARITY_THRESHOLD}% across ${withCode} submission(s) with source code`);
+  }
+  return fields;
 }
 
 /**
- * Main handler — processes ALL files in /converted folder
+ * Submissions from earlier runs (the fingerprint corpus, see corpus.js) that a
+ * graded submission is similar to, at or above SIMILARITY_THRESHOLD:
+ *   [{ assignmentId, studentId?, analyticsId, gradedAt, similarity }]
+ * Submissions of this run are left out (the batch comparison reports them),
+ * as is this submission's own S3 object (`sourceKey` and `sourceEtag`) graded
+ * in an earlier run. Another object with the same submission ID, such as a
+ * past semester's file of the same name, is still matched.
  */
-export async function handler(event, context) {
-  console.log('Starting batch assignment analysis...');
+async function findHistoricalMatches(fingerprint, { sourceKey = null, sourceEtag = null, analyticsId, config = CONFIG, dynamodb = createDynamoDBClient(config) }) {
+  const matches = await findCorpusMatches(fingerprint.signature, {
+    dynamodb,
+    table: config.CORPUS_TABLE,
+    threshold: config.SIMILARITY_THRESHOLD,
+    exclude: { sourceKey, sourceEtag },
+    excludeAnalyticsId: analyticsId
+  });
+  return matches.map(match => ({
+    assignmentId: match.submissionId,
+    ...(match.studentId ? { studentId: match.studentId } : {}),
+    analyticsId: match.analyticsId,
+    gradedAt: match.recordedAt,
+    similarity: match.similarity
+  }));
+}
 
-  const command = new ScanCommand({
-      TableName: "assignment_analysis_data"
+/**
+ * Style profiles of a student's earlier submissions, for measuring drift:
+ * analyzeStyle results (see stylometry.js) from results stored before
+ * `analyticsId`, latest first, at most STYLOMETRY_HISTORY
+ */
+async function loadStyleHistory(studentId, analyticsId, { config = CONFIG, dynamodb = createDynamoDBClient(config) } = {}) {
+  const earlier = await getResultsForStudent(studentId, {
+    dynamodb,
+    table: config.DYNAMODB_TABLE,
+    before: analyticsId,
+    limit: config.STYLOMETRY_HISTORY,
+    filterExpression: 'attribute_exists(aiGeneratedAnalytics.stylometry.functionWords)'
   });
+  return earlier.map(item => fromDynamoDBFormat(item).aiGeneratedAnalytics.stylometry);
+}
 
-  const raw = await dynamodb.send(command);
+/**
+ * Allocate the analytics run ID for a grading run (atomically, from the
+ * counter in RUNS_TABLE) and create its run record. `details` (runId,
+ * source, ...) are stored on the record.
+ */
+async function getNextAnalyticsId({ config = CONFIG, dynamodb = createDynamoDBClient(config), details = {} } = {}) {
+  return allocateAnalyticsId({
+    dynamodb,
+    runsTable: config.RUNS_TABLE,
+    resultsTable: config.DYNAMODB_TABLE,
+    details
+  });
+}
 
-  // Convert all rows to normal JS
-  const allAssignments = raw.Items.map(item => convert(item));
+/**
+ * Rate limiter and circuit breaker for one grading batch, shared by all of
+ * its workers (see concurrency.js)
+ */
+function createGradingControls(config = CONFIG) {
+  return {
+    limiter: createTokenBucket({ ratePerSecond: config.MODEL_RATE_LIMIT, burst: config.MODEL_RATE_BURST || config.MODEL_RATE_LIMIT }),
+    breaker: createCircuitBreaker({
+      failureThreshold: config.CIRCUIT_FAILURE_THRESHOLD,
+      cooldownMs: config.CIRCUIT_COOLDOWN_MS,
+      onStateChange: (state, { failures, cooldownMs }) => {
+        if (state === 'open') console.warn(`⚠ Circuit open after ${failures} consecutive endpoint failures; pausing grading for ${cooldownMs / 1000}s`);
+        else if (state === 'half-open') console.log('Circuit half-open: sending one probe request');
+        else console.log('✓ Circuit closed: endpoint is responding again');
+      }
+    })
+  };
+}
 
-  // Find the highest numeric analyticsId
-  let maxId = -Infinity;
-  for (const a of allAssignments) {
-    const id = Number(a.analyticsId);
-    if (!Number.isNaN(id) && id > maxId) maxId = id;
-  }
+/**
+ * Grade the given converted files and save each result to DynamoDB.
+ * Files are graded GRADING_CONCURRENCY at a time, with model requests rate
+ * limited and paused by the circuit breaker while the endpoint keeps failing.
+ * `onResult` is called after every file (one call at a time) so callers can
+ * checkpoint progress.
+ * With a manifest, files whose source PDF was already graded at its current
+ * ETag are reported as UNCHANGED instead of being sent to the model again.
+ * Results that fail the result schema are QUARANTINED (see quarantineResult)
+ * and graded again on the next run. Each submission is graded against the
+ * rubric of its S3 folder (or nearest parent folder) when there is one.
+ * With a dead-letter store (see deadletter.js), failed and quarantined files
+ * are recorded for retry-failed, and removed from it once graded.
+ * Unless SIMILARITY_ENABLED/CODE_SIMILARITY_ENABLED are off, each saved
+ * result carries the other submissions its text and code are similar to
+ * (`similarityMatches`, `codeSimilarityMatches`, see findBatchSimilarity).
+ * Unless STYLOMETRY_ENABLED is off, `aiGeneratedAnalytics.stylometry` holds
+ * a local second opinion on AI use next to the model's estimate.
+ * Unless CORPUS_ENABLED is off, it is also checked against submissions of
+ * earlier runs (`historicalMatches`) and its fingerprint added to the corpus.
+ */
+async function gradeAssignments(txtFiles, analyticsId, { config = CONFIG, dynamodb = createDynamoDBClient(config), http = axios, sagemaker = null, gemini = null, manifest = null, deadLetters = null, runId = null, force = false, onResult, controls = createGradingControls(config) } = {}) {
+  const rubricCache = new Map();
+  const { limiter, breaker } = controls;
+  let completed = 0;
+  let reporting = Promise.resolve();
+  console.log(`Model provider(s): ${parseProviders(config.MODEL_PROVIDER).join(', ')}`);
+  const similarity = config.SIMILARITY_ENABLED || config.CODE_SIMILARITY_ENABLED ? await findBatchSimilarity({ config }) : null;
+  // Earlier style profiles per student, loaded once per batch when first needed
+  const styleHistories = new Map();
+  let styleHistoryAvailable = true;
+  const styleHistoryOf = (studentId) => {
+    if (!studentId || !styleHistoryAvailable) return Promise.resolve([]);
+    if (!styleHistories.has(studentId)) {
+      styleHistories.set(studentId, loadStyleHistory(studentId, analyticsId, { config, dynamodb }).catch(error => {
+        if (styleHistoryAvailable) console.warn(`⚠ Could not load earlier style profiles (${error.message}); style drift is not measured for this batch`);
+        styleHistoryAvailable = false;
+        return [];
+      }));
+    }
+    return styleHistories.get(studentId);
+  };
+  // Turned off for the rest of the batch when the corpus table cannot be used
+  let corpusEnabled = config.CORPUS_ENABLED;
+  const corpusUnavailable = (error) => {
+    if (corpusEnabled) console.warn(`⚠ Fingerprint corpus ${config.CORPUS_TABLE} unavailable (${error.message}); skipping historical checks for this batch`);
+    corpusEnabled = false;
+  };
+  console.log(`Grading ${txtFiles.length} file(s) with concurrency ${config.GRADING_CONCURRENCY}${config.MODEL_RATE_LIMIT > 0 ? `, at most ${config.MODEL_RATE_LIMIT} request(s)/s` : ''}`);
+
+  const report = (result, file) => {
+    // Counted and logged in one step, so concurrent workers never share a position
+    completed++;
+    console.log(`[${completed}/${txtFiles.length}] ${result.status}: ${file}`);
+    if (deadLetters) {
+      const ref = findKeyBy(manifest, 'textFile', result.textFile) || result.textFile;
+      if (result.status === 'FAILED' || result.status === 'QUARANTINED') {
+        const failure = recordFailure(deadLetters, {
+          stage: 'grade',
+          ref,
+          error: result.error,
+          errorClass: result.errorClass,
+          input: {
+            textFile: result.textFile,
+            textPath: path.join(config.LOCAL_CONVERTED_DIR, result.textFile),
+            ...(ref !== result.textFile ? { s3Key: ref } : {}),
+            ...(result.quarantinePath ? { quarantinePath: result.quarantinePath } : {})
+          },
+          runId,
+          analyticsId
+        });
+        result.attempts = failure.attempts;
+      } else {
+        resolveFailure(deadLetters, 'grade', ref);
+      }
+    }
+    if (onResult) reporting = reporting.then(() => onResult(result));
+    return result;
+  };
+
+  const outcomes = await mapWithConcurrency(txtFiles, config.GRADING_CONCURRENCY, async (file) => {
+    let result;
+    const s3Key = findKeyBy(manifest, 'textFile', file);
+    const fallbackId = file.replace('.txt', '');
+
+    if (s3Key && !force && isStageUpToDate(manifest, s3Key, 'grade')) {
+      const graded = manifest.entries[s3Key].stages.grade;
+      console.log(`= Unchanged: ${file} (graded in analyticsId ${graded.analyticsId})`);
+      return report({ assignmentId: fallbackId, textFile: file, status: 'UNCHANGED' }, file);
+    }
+
+    try {
+      console.log(`\n--- Processing ${file} ---`);
+      const { assignmentText, assignmentId, structure, submission } = await readAssignmentFromLocal(file, { config });
+      const rubric = await findRubric(submission.sourceKey, { dir: config.RUBRICS_DIR, fileName: config.RUBRIC_FILE_NAME, cache: rubricCache });
+      if (rubric) console.log(`Rubric: ${rubric.source} (${rubric.criteria.length} criteria)`);
+      const modelResult = await gradeSubmission(assignmentText, assignmentId, analyticsId, { http, sagemaker, gemini, config, structure, submission, rubric, limiter, breaker });
 
-  console.log('Highest analyticsId found:', maxId);
-  fs.writeFile(`.env`, `ANALYTICSID=${maxId+1}`, (err) => {
-    if (err) {
-        console.error('Error writing .env file:', err);
-    } else {
-        console.log('.env file updated successfully with new ANALYTICSID');
+      try {
+        const record = withSubmissionIdentity(modelResult, submission);
+        if (similarity) Object.assign(record, similarity.get(file));
+        if (record.codeSimilarityMatches) {
+          // Code copied from a classmate counts towards the plagiarism figures the summary aggregates
+          const highest = Math.max(0, ...record.codeSimilarityMatches.map(m => m.similarity));
+          record.plagarismAnalytics = { ...record.plagarismAnalytics, codeSimilarityPercentage: highest };
+        }
+        if (config.STYLOMETRY_ENABLED) {
+          const stylometry = assessStyle(assignmentText, {
+            modelPercentage: record.aiGeneratedAnalytics.percentageOfAIUsed,
+            history: await styleHistoryOf(submission.studentId && String(submission.studentId)),
+            threshold: config.STYLOMETRY_DISAGREEMENT
+          });
+          record.aiGeneratedAnalytics = { ...record.aiGeneratedAnalytics, stylometry };
+          if (stylometry.disagreement) console.warn(`⚠ ${assignmentId}: ${stylometry.disagreementReason}`);
+        }
+        const fingerprint = corpusEnabled ? fingerprintText(assignmentText, { shingleWords: config.SIMILARITY_SHINGLE_WORDS }) : null;
+        const source = { sourceKey: submission.sourceKey || s3Key, sourceEtag: manifest && s3Key ? manifest.entries[s3Key].etag : null };
+        if (fingerprint) {
+          try {
+            record.historicalMatches = await findHistoricalMatches(fingerprint, { ...source, analyticsId, config, dynamodb });
+            record.historicalMatches.forEach(m => console.warn(`⚠ ${m.similarity}% similar to ${m.assignmentId} (analyticsId ${m.analyticsId}, graded ${m.gradedAt})`));
+          } catch (corpusErr) {
+            corpusUnavailable(corpusErr);
+          }
+        }
+        await saveAnalysisToDynamoDB(toDynamoDBFormat(record), { config, dynamodb });
+        if (fingerprint && corpusEnabled) {
+          await recordFingerprint({ ...submission, ...source, analyticsId, signature: fingerprint.signature }, { dynamodb, table: config.CORPUS_TABLE, retentionDays: config.CORPUS_RETENTION_DAYS })
+            .catch(corpusUnavailable);
+        }
+
+        result = {
+          assignmentId,
+          textFile: file,
+          status: 'SUCCESS'
+        };
+        if (s3Key) recordStage(manifest, s3Key, 'grade', { analyticsId });
+      } catch (saveErr) {
+        console.error(`DynamoDB save failed for ${assignmentId}:`, saveErr.message || saveErr);
+        result = {
+          assignmentId,
+          textFile: file,
+          status: 'FAILED',
+          error: (saveErr && saveErr.message) || String(saveErr),
+          errorClass: classifyError(saveErr)
+        };
+      }
+
+    } catch (error) {
+      console.error(`Error processing ${file}:`, error.message);
+
+      result = {
+        assignmentId: fallbackId,
+        textFile: file,
+        status: 'FAILED',
+        error: error.message,
+        errorClass: classifyError(error)
+      };
+      if (error.invalidResult) {
+        try {
+          result.quarantinePath = await quarantineResult({ analyticsId, assignmentId: fallbackId, textFile: file, error }, { config });
+          result.status = 'QUARANTINED';
+          console.warn(`⚠ Quarantined ${file}: ${result.quarantinePath}`);
+        } catch (quarantineErr) {
+          console.error(`Could not quarantine ${file}:`, quarantineErr.message);
+        }
+      }
     }
-});
+
+    return report(result, file);
+  });
+
+  await reporting;
+  return outcomes.map((outcome, i) => outcome.error
+    ? { assignmentId: txtFiles[i].replace('.txt', ''), textFile: txtFiles[i], status: 'FAILED', error: outcome.error.message, errorClass: classifyError(outcome.error) }
+    : outcome.value);
+}
+
+/**
+ * Main handler — processes ALL files in /converted folder
+ */
+export async function handler(event = {}, context) {
+  console.log('Starting batch assignment analysis...');
+
+  const config = CONFIG;
+  const dynamodb = createDynamoDBClient(config);
+  const manifest = await loadManifest();
+  const deadLetters = await loadDeadLetters();
+  let analyticsId = null;
 
   try {
-    const files = await fsp.readdir(CONFIG.LOCAL_CONVERTED_DIR);
+    const files = await fsp.readdir(config.LOCAL_CONVERTED_DIR);
     const txtFiles = files.filter(f => f.endsWith('.txt'));
 
     if (txtFiles.length === 0) {
@@ -253,47 +681,22 @@ export async function handler(event, context) {
 
     console.log(`Found ${txtFiles.length} files to process`);
 
-    const results = [];
-
-    for (const file of txtFiles) {
-      try {
-        console.log(`\n--- Processing ${file} ---`);
-        const { assignmentText, assignmentId } = await readAssignmentFromLocal(file);
-        if(isNaN(Number(assignmentId))) continue;
-        const modelResult = await invokeModelEndpoint(assignmentText, assignmentId, maxId+1);
+    // part3 picks this run up from its run record (the latest graded run)
+    analyticsId = await getNextAnalyticsId({ config, dynamodb, details: { source: 'part2_Sagemaker.js' } });
+    await updateRun(analyticsId, 'grading', {}, { dynamodb, runsTable: config.RUNS_TABLE });
 
-        
+    const results = await gradeAssignments(txtFiles, analyticsId, { config, dynamodb, manifest, deadLetters, force: Boolean(event.force) });
+    await saveManifest(manifest);
+    // Failures are kept for `aithentic retry-failed`, not only returned
+    await saveDeadLetters(deadLetters);
+    await updateRun(analyticsId, 'graded', {
+      processed: results.length,
+      failed: results.filter(r => r.status === 'FAILED' || r.status === 'QUARANTINED').length,
+      quarantined: results.filter(r => r.status === 'QUARANTINED').length,
+      unchanged: results.filter(r => r.status === 'UNCHANGED').length
+    }, { dynamodb, runsTable: config.RUNS_TABLE });
 
-        // validateDynamoDBStructure(modelResult);
-
-        try {
-          await saveAnalysisToDynamoDB(modelResult);
-
-          results.push({
-            assignmentId,
-            status: 'SUCCESS'
-          });
-        } catch (saveErr) {
-          console.error(`DynamoDB save failed for ${assignmentId}:`, saveErr.message || saveErr);
-          results.push({
-            assignmentId,
-            status: 'FAILED',
-            error: (saveErr && saveErr.message) || String(saveErr)
-          });
-        }
-
-      } catch (error) {
-        console.error(`Error processing ${file}:`, error.message);
-
-        results.push({
-          assignmentId: file.replace('.txt', ''),
-          status: 'FAILED',
-          error: error.message
-        });
-      }
-    }
-
-    console.log('Batch processing complete.');
+    console.log(`Batch processing complete (analyticsId ${analyticsId}).`);
 
     return {
       statusCode: 200,
@@ -301,6 +704,10 @@ export async function handler(event, context) {
     };
   } catch (error) {
     console.error('Handler error:', error);
+    if (analyticsId !== null) {
+      await updateRun(analyticsId, 'failed', { error: error.message }, { dynamodb, runsTable: config.RUNS_TABLE })
+        .catch(updateErr => console.error(`Could not mark analyticsId ${analyticsId} as failed:`, updateErr.message));
+    }
     return {
       statusCode: 500,
       body: JSON.stringify({ error: error.message })
@@ -308,11 +715,25 @@ export async function handler(event, context) {
   }
 }
 
-handler();
+// Run the handler only when executed directly (not when imported by the pipeline)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  handler({ force: process.argv.includes('--force') });
+}
+
 // Export helpers for testing
 export {
+  CONFIG,
+  createDynamoDBClient,
   readAssignmentFromLocal,
   invokeModelEndpoint,
+  gradeSubmission,
+  createGradingControls,
   saveAnalysisToDynamoDB,
-  validateDynamoDBStructure
+  validateDynamoDBStructure,
+  quarantineResult,
+  findBatchSimilarity,
+  findHistoricalMatches,
+  loadStyleHistory,
+  getNextAnalyticsId,
+  gradeAssignments
 };
\ No newline at end of file
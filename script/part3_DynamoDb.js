@@ -1,84 +1,101 @@
-import {DynamoDBClient, PutItemCommand, ScanCommand} from "@aws-sdk/client-dynamodb";
-import dotenv from 'dotenv';
+import {DynamoDBClient, PutItemCommand, GetItemCommand, BatchGetItemCommand, UpdateItemCommand, TransactWriteItemsCommand} from "@aws-sdk/client-dynamodb";
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getRun, getLatestGradedRun, updateRun, DEFAULT_RUNS_TABLE } from './runs.js';
+import { getResultsForRun, scanAll, toDynamoDBFormat, fromDynamoDBFormat, DEFAULT_TABLES } from './datastore.js';
+import { sleep } from './concurrency.js';
+import { describe, histogram, letterFor, correlation, loadCourseThresholds, thresholdsFor, DEFAULT_THRESHOLDS, DEFAULT_COURSE_THRESHOLDS_FILE } from './statistics.js';
+import { numberFromEnv } from './env.js';
+
+const CONFIG = {
+    REGION: 'us-east-1',
+    // Point at DynamoDB Local (e.g. http://localhost:8000) to run without AWS
+    DYNAMODB_ENDPOINT: process.env.DYNAMODB_ENDPOINT || '',
+    // Results written by part2 (RESULTS_TABLE there too)
+    ASSIGNMENTS_TABLE: process.env.RESULTS_TABLE || DEFAULT_TABLES.assignmentsTable,
+    SUMMARY_TABLE: 'analysis_data',
+    HOME_TABLE: 'home_data',
+    // One item per submission fetched but not graded yet (by S3 key); home_data keeps only their count
+    PENDING_TABLE: process.env.PENDING_TABLE || DEFAULT_TABLES.pendingTable,
+    // Newest entries kept in home_data's lists of flagged submissions
+    HOME_LIST_LIMIT: numberFromEnv('HOME_LIST_LIMIT', 200, { integer: true, min: 0 }),
+    // Percentages above which submissions are listed as AI-generated or plagiarised,
+    // unless the course thresholds file sets them for a course (see statistics.js)
+    AI_THRESHOLD: numberFromEnv('AI_THRESHOLD', DEFAULT_THRESHOLDS.aiThreshold, { min: 0, max: 100 }),
+    PLAGIARISM_THRESHOLD: numberFromEnv('PLAGIARISM_THRESHOLD', DEFAULT_THRESHOLDS.plagiarismThreshold, { min: 0, max: 100 }),
+    COURSE_THRESHOLDS_FILE: process.env.COURSE_THRESHOLDS_FILE || DEFAULT_COURSE_THRESHOLDS_FILE,
+    // Bin widths of the grade and percentage histograms in summaries
+    GRADE_HISTOGRAM_BIN: numberFromEnv('GRADE_HISTOGRAM_BIN', 10, { positive: true }),
+    PERCENTAGE_HISTOGRAM_BIN: numberFromEnv('PERCENTAGE_HISTOGRAM_BIN', 10, { positive: true }),
+    // Analytics run records written by part2 (see runs.js)
+    RUNS_TABLE: process.env.RUNS_TABLE || DEFAULT_RUNS_TABLE
+};
 
-dotenv.config();
-
-// Initialize AWS clients
-const dynamodb = new DynamoDBClient({ region: 'us-east-1' });
-
-function convert(item) {
-    // Handle DynamoDB typed value wrappers (S, N, BOOL, M, L)
-    if (!item) return null;
-
-    // If the item itself is a typed wrapper, convert accordingly
-    if (typeof item === 'object' && ('S' in item || 'N' in item || 'BOOL' in item || 'M' in item || 'L' in item)) {
-        if (item.S !== undefined) return item.S;
-        if (item.N !== undefined) return Number(item.N);
-        if (item.BOOL !== undefined) return item.BOOL;
-        if (item.M !== undefined) return convert(item.M);
-        if (item.L !== undefined) return item.L.map(convert);
-    }
-
-    // Otherwise assume it's a map of attributeName -> typedValue
-    const out = {};
-    for (const key in item) {
-        out[key] = convert(item[key]);
-    }
-    return out;
+/**
+ * Create the DynamoDB client used for analytics tables
+ */
+function createDynamoDBClient(config = CONFIG) {
+    return new DynamoDBClient({ region: config.REGION, ...(config.DYNAMODB_ENDPOINT ? { endpoint: config.DYNAMODB_ENDPOINT } : {}) });
 }
 
 /**
- * Convert plain JS object to DynamoDB format
- * Recursively wraps values with their type markers (S, N, M, L, BOOL)
+ * Thresholds from the course thresholds file, falling back to AI_THRESHOLD
+ * and PLAGIARISM_THRESHOLD
  */
-let toDynamoDBFormat =  (obj) => {
-    if (obj === null || obj === undefined) {
-        return null;
-    }
-
-    const dynamoObj = {};
-
-    for (const key in obj) {
-        const val = obj[key];
-
-        if (typeof val === 'string') {
-            dynamoObj[key] = { S: val };
-        } else if (typeof val === 'number') {
-            dynamoObj[key] = { N: String(val) };
-        } else if (typeof val === 'boolean') {
-            dynamoObj[key] = { BOOL: val };
-        } else if (Array.isArray(val)) {
-            dynamoObj[key] = { L: val.map(item => {
-                if (typeof item === 'string') return { S: item };
-                if (typeof item === 'number') return { N: String(item) };
-                if (typeof item === 'boolean') return { BOOL: item };
-                if (typeof item === 'object') return { M: toDynamoDBFormat(item) };
-                return { S: String(item) };
-            })};
-        } else if (typeof val === 'object') {
-            dynamoObj[key] = { M: toDynamoDBFormat(val) };
-        } else {
-            dynamoObj[key] = { S: String(val) };
-        }
-    }
+function loadThresholds(config = CONFIG) {
+    return loadCourseThresholds(config.COURSE_THRESHOLDS_FILE, {
+        ...DEFAULT_THRESHOLDS,
+        aiThreshold: config.AI_THRESHOLD,
+        plagiarismThreshold: config.PLAGIARISM_THRESHOLD
+    });
+}
 
-    return dynamoObj;
+/**
+ * Class statistics of a run for the dashboard's distributions: grade,
+ * AI-use and plagiarism statistics with histograms, letter-grade counts
+ * (on each submission's course scale) and the AI use / grade correlation
+ */
+function classStatistics(samples, thresholds, config = CONFIG) {
+    const grades = samples.map(sample => sample.grade);
+    const aiPercentages = samples.map(sample => sample.aiPercentage);
+    const plagiarismPercentages = samples.map(sample => sample.plagiarismPercentage);
+
+    // Letters in scale order: the default scale's, then any only a course in this run uses
+    const letters = new Map();
+    [thresholds.default, ...new Set(samples.map(sample => thresholdsFor(sample.course, thresholds)))].forEach(scale => {
+        Object.entries(scale.letterGrades).sort((a, b) => b[1] - a[1]).forEach(([letter]) => {
+            if (!letters.has(letter)) letters.set(letter, 0);
+        });
+    });
+    samples.forEach(sample => {
+        const letter = letterFor(sample.grade, thresholdsFor(sample.course, thresholds).letterGrades);
+        letters.set(letter, letters.get(letter) + 1);
+    });
+
+    const aiGradeCorrelation = correlation(aiPercentages, grades);
+    return {
+        grades: {
+            ...describe(grades),
+            histogram: histogram(grades, { binWidth: config.GRADE_HISTOGRAM_BIN }),
+            letterGrades: [...letters].map(([letter, count]) => ({ letter, count }))
+        },
+        aiUsage: { ...describe(aiPercentages), histogram: histogram(aiPercentages, { binWidth: config.PERCENTAGE_HISTOGRAM_BIN }) },
+        plagiarism: { ...describe(plagiarismPercentages), histogram: histogram(plagiarismPercentages, { binWidth: config.PERCENTAGE_HISTOGRAM_BIN }) },
+        ...(aiGradeCorrelation !== undefined ? { aiGradeCorrelation } : {})
+    };
 }
 
-async function generateAnalyticsSummary(analyticsId) {
+async function generateAnalyticsSummary(analyticsId, { config = CONFIG, dynamodb = createDynamoDBClient(config), thresholds = null } = {}) {
 
     try {
-          const command = new ScanCommand({
-              TableName: "assignment_analysis_data"
-          });
-        
-          const raw = await dynamodb.send(command);
-        
+          // Only this run's results, queried by their analyticsId partition key
+          const raw = await getResultsForRun(analyticsId, { dynamodb, table: config.ASSIGNMENTS_TABLE });
+
           // Convert all rows to normal JS
-          const allAssignments = raw.Items.map(item => convert(item));
-          const filtered = allAssignments.filter(e => e.analyticsId === analyticsId);
+          const filtered = raw.map(item => fromDynamoDBFormat(item));
+          const courseThresholds = thresholds || await loadThresholds(config);
 
-          console.log(filtered);
+          console.log(`Summarizing ${filtered.length} result(s) of analyticsId ${analyticsId}`);
 
         // Initialize counters and collectors
         let submissionCount = 0;
@@ -87,11 +104,23 @@ async function generateAnalyticsSummary(analyticsId) {
         let bottomGrade = Infinity;
         let totalAIPercentage = 0;
         let countAIUsed = 0;
-        let countAIOver70 = 0;
+        let countAIOverThreshold = 0;
         let totalPlagiarism = 0;
         let countPlagiarized = 0;
-        let listAIAbove70 = [];
-        let listPlagiarismAbove50 = [];
+        let listAIAboveThreshold = [];
+        let listPlagiarismAboveThreshold = [];
+        // Submissions where the local style analysis and the model disagree (see stylometry.js)
+        const listStylometryDisagreements = [];
+        // Pairs of submissions found similar to each other, by text (similarityMatches, see similarity.js)
+        // or by code (codeSimilarityMatches, see codesim.js); both submissions of a pair usually list it,
+        // so pairs are keyed by method and their two assignment IDs
+        const similarPairs = new Map();
+        // Matches against submissions of earlier runs (historicalMatches, see corpus.js)
+        const historicalMatches = [];
+        // Per-submission values behind the class statistics
+        const samples = [];
+        // Thresholds of the courses in this run
+        const coursesSeen = new Set();
 
         // Process each assignment
         filtered.forEach(item => {
@@ -99,34 +128,84 @@ async function generateAnalyticsSummary(analyticsId) {
             
             // Grade analytics - extract from gradeReceived
             const grade = item.gradeReceived || 0;
+            const limits = thresholdsFor(item.course, courseThresholds);
+            if (item.course !== undefined && courseThresholds.courses[String(item.course)]) coursesSeen.add(String(item.course));
             totalGrade += grade;
             topGrade = Math.max(topGrade, grade);
             bottomGrade = Math.min(bottomGrade, grade);
 
-            // AI analytics - extract from aiGeneratedAnalytics
+            // AI analytics - extract from aiGeneratedAnalytics, with the local stylometric opinion next to it
             const aiPercentage = (item.aiGeneratedAnalytics && item.aiGeneratedAnalytics.percentageOfAIUsed) || 0;
+            const stylometry = (item.aiGeneratedAnalytics && item.aiGeneratedAnalytics.stylometry) || null;
+            const stylometryFields = stylometry && stylometry.score !== undefined
+                ? { stylometryScore: stylometry.score, stylometryDisagreement: Boolean(stylometry.disagreement) }
+                : {};
             totalAIPercentage += aiPercentage;
             if (aiPercentage > 0) countAIUsed++;
-            if (aiPercentage > 70) {
-                countAIOver70++;
-                listAIAbove70.push({
+            if (aiPercentage > limits.aiThreshold) {
+                countAIOverThreshold++;
+                listAIAboveThreshold.push({
                     assignmentId: item.assignmentId,
+                    ...(item.studentId ? { studentId: item.studentId } : {}),
                     aiPercentage: aiPercentage,
+                    threshold: limits.aiThreshold,
+                    ...stylometryFields,
                     grade: grade
                 });
             }
+            if (stylometry && stylometry.disagreement) {
+                listStylometryDisagreements.push({
+                    assignmentId: item.assignmentId,
+                    ...(item.studentId ? { studentId: item.studentId } : {}),
+                    aiPercentage: aiPercentage,
+                    stylometryScore: stylometry.score,
+                    reasons: (stylometry.signals || []).map(signal => signal.reading)
+                });
+            }
 
-            // Plagiarism analytics - extract from plagarismAnalytics
-            const plagiarismPercentage = (item.plagarismAnalytics && item.plagarismAnalytics.plagarisedPercentage) || 0;
+            // Plagiarism analytics - extract from plagarismAnalytics; code copied from a classmate
+            // (codeSimilarityPercentage) counts when it is higher than the model's estimate
+            const codeSimilarity = item.plagarismAnalytics && item.plagarismAnalytics.codeSimilarityPercentage;
+            const plagiarismPercentage = Math.max((item.plagarismAnalytics && item.plagarismAnalytics.plagarisedPercentage) || 0, codeSimilarity || 0);
             totalPlagiarism += plagiarismPercentage;
             if (plagiarismPercentage > 0) countPlagiarized++;
-            if (plagiarismPercentage > 50) {
-                listPlagiarismAbove50.push({
+            samples.push({ grade, aiPercentage, plagiarismPercentage, course: item.course });
+            if (plagiarismPercentage > limits.plagiarismThreshold) {
+                listPlagiarismAboveThreshold.push({
                     assignmentId: item.assignmentId,
+                    ...(item.studentId ? { studentId: item.studentId } : {}),
                     plagiarismPercentage: plagiarismPercentage,
+                    threshold: limits.plagiarismThreshold,
+                    ...(codeSimilarity !== undefined ? { codeSimilarityPercentage: codeSimilarity } : {}),
                     grade: grade
                 });
             }
+
+            [['text', item.similarityMatches], ['code', item.codeSimilarityMatches]].forEach(([method, matches]) => {
+                (matches || []).forEach(match => {
+                    const key = [method, ...[String(item.assignmentId), String(match.assignmentId)].sort()].join('\n');
+                    if (similarPairs.has(key) && similarPairs.get(key).similarity >= match.similarity) return;
+                    similarPairs.set(key, {
+                        method: method,
+                        assignmentId: item.assignmentId,
+                        ...(item.studentId ? { studentId: item.studentId } : {}),
+                        matchedAssignmentId: match.assignmentId,
+                        ...(match.studentId ? { matchedStudentId: match.studentId } : {}),
+                        similarity: match.similarity
+                    });
+                });
+            });
+
+            (item.historicalMatches || []).forEach(match => {
+                historicalMatches.push({
+                    assignmentId: item.assignmentId,
+                    ...(item.studentId ? { studentId: item.studentId } : {}),
+                    matchedAssignmentId: match.assignmentId,
+                    ...(match.studentId ? { matchedStudentId: match.studentId } : {}),
+                    matchedAnalyticsId: match.analyticsId,
+                    similarity: match.similarity
+                });
+            });
         });
 
         // Calculate averages
@@ -142,14 +221,38 @@ async function generateAnalyticsSummary(analyticsId) {
             aiGeneratedAnalytics: {
                 averagePercentageOfAIUsed: countAIUsed > 0 ? Math.round((totalAIPercentage / submissionCount) * 100) / 100 : 0,
                 countOfAssignmentsUsedAI: countAIUsed,
-                countOfAssignmentsUsedAIOver70: countAIOver70
+                countOfAssignmentsUsedAIOverThreshold: countAIOverThreshold,
+                // Deprecated: same as countOfAssignmentsUsedAIOverThreshold, whatever the threshold
+                countOfAssignmentsUsedAIOver70: countAIOverThreshold,
+                countOfStylometryDisagreements: listStylometryDisagreements.length
             },
             plagarismAnalytics: {
                 noOfPlagarisedAssignments: countPlagiarized,
-                averagePercentageOfPlagarism: countPlagiarized > 0 ? Math.round((totalPlagiarism / countPlagiarized) * 100) / 100 : 0
+                averagePercentageOfPlagarism: countPlagiarized > 0 ? Math.round((totalPlagiarism / countPlagiarized) * 100) / 100 : 0,
+                noOfSimilarSubmissionPairs: similarPairs.size,
+                noOfHistoricalMatches: historicalMatches.length
+            },
+            // Distributions for the dashboard (see statistics.js), and the thresholds submissions were flagged at
+            statistics: classStatistics(samples, courseThresholds, config),
+            thresholds: {
+                default: courseThresholds.default,
+                ...(coursesSeen.size > 0 ? { courses: Object.fromEntries([...coursesSeen].map(course => [course, courseThresholds.courses[course]])) } : {})
             },
-            listOfAIGeneratedAssignementsAbove70: listAIAbove70,
-            listOfPlagarisedAssignmentsAbove50: listPlagiarismAbove50
+            // Sums behind the averages, so home_data can weight runs by their submissions
+            totals: {
+                gradeSum: totalGrade,
+                percentageOfAIUsedSum: totalAIPercentage,
+                plagiarismPercentageSum: totalPlagiarism
+            },
+            // Entries carry the threshold they were over
+            listOfAIGeneratedAssignementsAboveThreshold: listAIAboveThreshold,
+            listOfStylometryDisagreements: listStylometryDisagreements,
+            listOfPlagarisedAssignmentsAboveThreshold: listPlagiarismAboveThreshold,
+            // Deprecated copies under the names of the original 70/50 cutoffs, until the dashboard reads the ones above
+            listOfAIGeneratedAssignementsAbove70: listAIAboveThreshold,
+            listOfPlagarisedAssignmentsAbove50: listPlagiarismAboveThreshold,
+            listOfSimilarSubmissionPairs: [...similarPairs.values()].sort((a, b) => b.similarity - a.similarity),
+            listOfHistoricalMatches: historicalMatches.sort((a, b) => b.similarity - a.similarity)
         };
         console.log("Generated Analytics Summary:", summary);
         return summary;
@@ -180,132 +283,249 @@ async function uploadAnalyticsSummary(summary, dynamodb, summaryTableName) {
 }
 
 
-async function main(){
-    let analyticsId = Number(process.env.ANALYTICSID);
-    const summary = await generateAnalyticsSummary(analyticsId);
-    await uploadAnalyticsSummary(summary, dynamodb, "analysis_data");
+// home_data is a single item; `version` changes with every summary folded into it
+const HOME_ID = 1;
+
+// Counters and sums home_data keeps as top-level attributes; every average it shows is derived from them
+const HOME_COUNTERS = [
+    'analyzedAssignments',
+    'totalNoAssignments',
+    'totalSubmissionCount',
+    'gradeSum',
+    'percentageOfAIUsedSum',
+    'countOfAssignmentsUsedAI',
+    'countOfAssignmentsUsedAIOver70',
+    'noOfPlagarisedAssignments',
+    'plagiarismPercentageSum'
+];
+
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const averageOf = (sum, count) => (count > 0 ? roundTo(sum / count, 2) : 0);
+
+/**
+ * What one analytics summary adds to the home_data counters (all zero for none)
+ */
+function summaryCounters(summary) {
+    if (!summary) return Object.fromEntries(HOME_COUNTERS.map(name => [name, 0]));
+    const count = summary.submissionCount || 0;
+    const totals = summary.totals || {};
+    const ai = summary.aiGeneratedAnalytics || {};
+    const plagiarism = summary.plagarismAnalytics || {};
+    const plagiarised = plagiarism.noOfPlagarisedAssignments || 0;
+    return {
+        analyzedAssignments: 1,
+        totalNoAssignments: 1,
+        totalSubmissionCount: count,
+        // Summaries written before `totals` existed only have (rounded) averages
+        gradeSum: totals.gradeSum ?? (summary.gradeDistribution?.averageGrade || 0) * count,
+        percentageOfAIUsedSum: totals.percentageOfAIUsedSum ?? (ai.averagePercentageOfAIUsed || 0) * count,
+        countOfAssignmentsUsedAI: ai.countOfAssignmentsUsedAI || 0,
+        countOfAssignmentsUsedAIOver70: ai.countOfAssignmentsUsedAIOver70 || 0,
+        noOfPlagarisedAssignments: plagiarised,
+        plagiarismPercentageSum: totals.plagiarismPercentageSum ?? (plagiarism.averagePercentageOfPlagarism || 0) * plagiarised
+    };
 }
 
-main();
+// Flagged-submission lists by their threshold-neutral names, with the
+// deprecated names of the original 70/50 cutoffs that summaries written
+// before the neutral ones existed only have
+const FLAGGED_LISTS = {
+    listOfAIGeneratedAssignementsAboveThreshold: 'listOfAIGeneratedAssignementsAbove70',
+    listOfPlagarisedAssignmentsAboveThreshold: 'listOfPlagarisedAssignmentsAbove50'
+};
 
-toDynamoDBFormat =  (obj) => {
-    if (obj === null || obj === undefined) {
-        return null;
+/**
+ * home_data's flagged-submission lists with a summary's entries in place of
+ * any earlier entries of the same run, newest runs last, at most `limit`.
+ * Each list is also written under its deprecated name.
+ */
+function mergeHomeLists(lists, summary, limit) {
+    const merged = {};
+    for (const [name, deprecatedName] of Object.entries(FLAGGED_LISTS)) {
+        const kept = ((lists && (lists[name] || lists[deprecatedName])) || []).filter(entry => entry.analyticsId !== summary.analyticsId);
+        const added = (summary[name] || summary[deprecatedName] || []).map(entry => ({ ...entry, analyticsId: summary.analyticsId }));
+        merged[name] = [...kept, ...added].sort((a, b) => (a.analyticsId || 0) - (b.analyticsId || 0)).slice(-limit);
+        merged[deprecatedName] = merged[name];
     }
+    return merged;
+}
 
-    const dynamoObj = {};
-
-    for (const key in obj) {
-        const val = obj[key];
-
-        if (typeof val === 'string') {
-            dynamoObj[key] = { S: val };
-        } else if (typeof val === 'number') {
-            dynamoObj[key] = { N: String(val) };
-        } else if (typeof val === 'boolean') {
-            dynamoObj[key] = { BOOL: val };
-        } else if (Array.isArray(val)) {
-            dynamoObj[key] = { L: val.map(item => {
-                if (typeof item === 'string') return { S: item };
-                if (typeof item === 'number') return { N: String(item) };
-                if (typeof item === 'boolean') return { BOOL: item };
-                if (typeof item === 'object') return { M: toDynamoDBFormat(item) };
-                return { S: String(item) };
-            })};
-        } else if (typeof val === 'object') {
-            dynamoObj[key] = { M: toDynamoDBFormat(val) };
-        } else {
-            dynamoObj[key] = { S: String(val) };
+/**
+ * The home_data fields shown on the home page, from its counters: averages
+ * are weighted by submissions, so a 300-student run counts 100 times as much
+ * as a 3-student one
+ */
+function homeDataFields(counters, { topGrade, bottomGrade }) {
+    return {
+        averageSubmissionCount: averageOf(counters.totalSubmissionCount, counters.analyzedAssignments),
+        gradeDistribution: {
+            topGrade: topGrade ?? 0,
+            bottomGrade: bottomGrade ?? 0,
+            averageGrade: averageOf(counters.gradeSum, counters.totalSubmissionCount)
+        },
+        aiGeneratedAnalytics: {
+            averagePercentageOfAIUsed: averageOf(counters.percentageOfAIUsedSum, counters.totalSubmissionCount),
+            countOfAssignmentsUsedAI: counters.countOfAssignmentsUsedAI,
+            countOfAssignmentsUsedAIOverThreshold: counters.countOfAssignmentsUsedAIOver70,
+            countOfAssignmentsUsedAIOver70: counters.countOfAssignmentsUsedAIOver70
+        },
+        plagarismAnalytics: {
+            noOfPlagarisedAssignments: counters.noOfPlagarisedAssignments,
+            averagePercentageOfPlagarism: averageOf(counters.plagiarismPercentageSum, counters.noOfPlagarisedAssignments)
+        }
+    };
+}
+
+/**
+ * Store an analytics summary and fold it into home_data in one transaction:
+ * counters and sums are advanced with ADD by the difference from the run's
+ * previous summary (so summarizing a run again replaces its contribution
+ * instead of counting it twice), and the averages are set from the result.
+ * Both writes are conditional on what was read; when another summary lands
+ * in between, the transaction is cancelled and retried.
+ */
+async function recordAnalyticsSummary(summary, { config = CONFIG, dynamodb = createDynamoDBClient(config), maxAttempts = 5 } = {}) {
+    const homeKey = { id: { N: String(HOME_ID) } };
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const [previousItem, homeItem] = await Promise.all([
+            dynamodb.send(new GetItemCommand({ TableName: config.SUMMARY_TABLE, Key: { analyticsId: { N: String(summary.analyticsId) } }, ConsistentRead: true })),
+            dynamodb.send(new GetItemCommand({ TableName: config.HOME_TABLE, Key: homeKey, ConsistentRead: true }))
+        ]);
+        const previous = previousItem.Item ? fromDynamoDBFormat(previousItem.Item) : null;
+        const home = homeItem.Item ? fromDynamoDBFormat(homeItem.Item) : null;
+        if (home && home.version === undefined) {
+            // Written by a full recomputation, without counters: rebuild it once with them
+            console.log('home_data has no counters yet; rebuilding it from all summaries');
+            await updateHomeData({ config, dynamodb });
+            continue;
+        }
+
+        const added = summaryCounters(summary);
+        const removed = summaryCounters(previous);
+        const delta = Object.fromEntries(HOME_COUNTERS.map(name => [name, roundTo(added[name] - removed[name], 4)]));
+        const counters = Object.fromEntries(HOME_COUNTERS.map(name => [name, ((home && home[name]) || 0) + delta[name]]));
+
+        // Extremes only grow: a run summarized again with a lower top grade leaves the old one until a rebuild
+        const grades = summary.submissionCount > 0 ? summary.gradeDistribution : null;
+        // Without graded submissions yet, home_data's extremes are placeholders
+        const homeGrades = home && home.totalSubmissionCount > 0 ? home.gradeDistribution || {} : {};
+        const extremes = {
+            topGrade: grades ? Math.max(grades.topGrade, homeGrades.topGrade ?? -Infinity) : homeGrades.topGrade,
+            bottomGrade: grades ? Math.min(grades.bottomGrade, homeGrades.bottomGrade ?? Infinity) : homeGrades.bottomGrade
+        };
+        const fields = {
+            ...homeDataFields(counters, extremes),
+            ...mergeHomeLists(home, summary, config.HOME_LIST_LIMIT),
+            timestamp: new Date().toISOString()
+        };
+
+        const names = {};
+        const values = { ':one': { N: '1' }, ':false': { BOOL: false } };
+        const adds = HOME_COUNTERS.map((name, i) => {
+            names[`#c${i}`] = name;
+            values[`:c${i}`] = { N: String(delta[name]) };
+            return `#c${i} :c${i}`;
+        });
+        const sets = Object.entries(toDynamoDBFormat(fields)).map(([name, value], i) => {
+            names[`#f${i}`] = name;
+            values[`:f${i}`] = value;
+            return `#f${i} = :f${i}`;
+        });
+        if (home) values[':version'] = { N: String(home.version) };
+
+        try {
+            await dynamodb.send(new TransactWriteItemsCommand({
+                TransactItems: [
+                    {
+                        Put: {
+                            TableName: config.SUMMARY_TABLE,
+                            Item: toDynamoDBFormat(summary),
+                            ConditionExpression: previous ? '#timestamp = :previousTimestamp' : 'attribute_not_exists(analyticsId)',
+                            ...(previous ? { ExpressionAttributeNames: { '#timestamp': 'timestamp' }, ExpressionAttributeValues: { ':previousTimestamp': { S: previous.timestamp } } } : {})
+                        }
+                    },
+                    {
+                        Update: {
+                            TableName: config.HOME_TABLE,
+                            Key: homeKey,
+                            UpdateExpression: `ADD ${adds.join(', ')}, version :one SET ${sets.join(', ')}, isAssignmentToBeAnalyzed = if_not_exists(isAssignmentToBeAnalyzed, :false)`,
+                            ConditionExpression: home ? 'version = :version' : 'attribute_not_exists(id)',
+                            ExpressionAttributeNames: names,
+                            ExpressionAttributeValues: values
+                        }
+                    }
+                ]
+            }));
+            console.log(`Analytics summary uploaded successfully with ID: ${summary.analyticsId}${previous ? ' (replacing its previous summary in home_data)' : ''}`);
+            return summary;
+        } catch (error) {
+            if (error.name !== 'TransactionCanceledException' || attempt === maxAttempts) {
+                console.error("Error uploading analytics summary:", error);
+                throw error;
+            }
+            console.log(`  home_data changed while summarizing analyticsId ${summary.analyticsId}, retrying (${attempt}/${maxAttempts})`);
         }
     }
+}
 
-    return dynamoObj;
+/**
+ * Summarize one analytics run, fold it into home_data and mark its run
+ * record `summarized`
+ */
+async function main(analyticsId, { config = CONFIG, dynamodb = createDynamoDBClient(config) } = {}){
+    const summary = await generateAnalyticsSummary(analyticsId, { config, dynamodb });
+    await recordAnalyticsSummary(summary, { config, dynamodb });
+    await updateRun(analyticsId, 'summarized', { submissionCount: summary.submissionCount, summarizedAt: new Date().toISOString() }, { dynamodb, runsTable: config.RUNS_TABLE });
+    return summary;
 }
-async function generateHomeDataSummary() {
+
+/**
+ * The analytics run to summarize when none is given: the latest run part2
+ * finished grading, from its run record
+ */
+async function resolveAnalyticsRun(analyticsId, { config = CONFIG, dynamodb = createDynamoDBClient(config) } = {}) {
+    if (analyticsId !== undefined && analyticsId !== null) {
+        const run = await getRun(analyticsId, { dynamodb, runsTable: config.RUNS_TABLE });
+        if (!run) console.warn(`⚠ No run record for analyticsId ${analyticsId}; summarizing it anyway`);
+        return run || { analyticsId };
+    }
+    const run = await getLatestGradedRun({ dynamodb, runsTable: config.RUNS_TABLE });
+    if (!run) throw new Error(`No graded analytics run found in ${config.RUNS_TABLE}. Run part2 first or pass --analytics-id.`);
+    return run;
+}
+
+/**
+ * Rebuild home_data from every summary in analysis_data, e.g. after summaries
+ * were deleted or to fill in the counters of a home_data item written before
+ * they existed. Runs are folded in by analyticsId like recordAnalyticsSummary
+ * does, except that top and bottom grades are exact.
+ */
+async function generateHomeDataSummary({ config = CONFIG, dynamodb = createDynamoDBClient(config) } = {}) {
     try {
         // Fetch all analytics summaries from the analysis_data table
-        const command = new ScanCommand({
-            TableName: "analysis_data"
-        });
-
-        const raw = await dynamodb.send(command);
+        const raw = await scanAll(dynamodb, { TableName: config.SUMMARY_TABLE });
 
         // Convert all rows to normal JS
-        const allSummaries = raw.Items.map(item => convert(item));
-
-        // Initialize aggregators
-        let totalNoAssignments = 0;
-        let analyzedAssignments = 0;
-        let totalSubmissionCount = 0;
-        let totalTopGrades = 0;
-        let totalBottomGrades = 0;
-        let totalAverageGrades = 0;
-        let totalAIPercentage = 0;
-        let totalCountAIUsed = 0;
-        let totalCountAIOver70 = 0;
-        let totalPlagiarizedAssignments = 0;
-        let totalPlagiarismPercentage = 0;
-        let aggregatedAIAbove70 = [];
-        let aggregatedPlagiarismAbove50 = [];
-
-        // Process each analytics summary
-        allSummaries.forEach(summary => {
-            totalNoAssignments++;
-            analyzedAssignments++;
-            totalSubmissionCount += summary.submissionCount || 0;
-
-            // Grade distribution
-            if (summary.gradeDistribution) {
-                totalTopGrades += summary.gradeDistribution.topGrade || 0;
-                totalBottomGrades += summary.gradeDistribution.bottomGrade || 0;
-                totalAverageGrades += summary.gradeDistribution.averageGrade || 0;
-            }
+        const allSummaries = raw.map(item => fromDynamoDBFormat(item)).sort((a, b) => a.analyticsId - b.analyticsId);
 
-            // AI analytics
-            if (summary.aiGeneratedAnalytics) {
-                totalAIPercentage += summary.aiGeneratedAnalytics.averagePercentageOfAIUsed || 0;
-                totalCountAIUsed += summary.aiGeneratedAnalytics.countOfAssignmentsUsedAI || 0;
-                totalCountAIOver70 += summary.aiGeneratedAnalytics.countOfAssignmentsUsedAIOver70 || 0;
-            }
-
-            // Plagiarism analytics
-            if (summary.plagarismAnalytics) {
-                totalPlagiarizedAssignments += summary.plagarismAnalytics.noOfPlagarisedAssignments || 0;
-                totalPlagiarismPercentage += summary.plagarismAnalytics.averagePercentageOfPlagarism || 0;
-            }
-
-            // Aggregate lists
-            if (summary.listOfAIGeneratedAssignementsAbove70) {
-                aggregatedAIAbove70.push(...summary.listOfAIGeneratedAssignementsAbove70);
-            }
-            if (summary.listOfPlagarisedAssignmentsAbove50) {
-                aggregatedPlagiarismAbove50.push(...summary.listOfPlagarisedAssignmentsAbove50);
-            }
+        const counters = summaryCounters(null);
+        let lists = {};
+        const graded = [];
+        allSummaries.forEach(summary => {
+            const added = summaryCounters(summary);
+            HOME_COUNTERS.forEach(name => { counters[name] += added[name]; });
+            lists = mergeHomeLists(lists, summary, config.HOME_LIST_LIMIT);
+            if (summary.submissionCount > 0 && summary.gradeDistribution) graded.push(summary.gradeDistribution);
         });
 
-        // Calculate averages
         const homeData = {
-            id: 1,
-            isAssignmentToBeAnalyzed: totalNoAssignments > analyzedAssignments,
-            totalNoAssignments: totalNoAssignments,
-            analyzedAssignments: analyzedAssignments,
-            averageSubmissionCount: analyzedAssignments > 0 ? Math.round((totalSubmissionCount / analyzedAssignments) * 100) / 100 : 0,
-            gradeDistribution: {
-                topGrade: totalTopGrades > 0 ? Math.max(...allSummaries.map(s => s.gradeDistribution?.topGrade || 0)) : 0,
-                bottomGrade: totalBottomGrades > 0 ? Math.min(...allSummaries.map(s => s.gradeDistribution?.bottomGrade || 0)) : 0,
-                averageGrade: analyzedAssignments > 0 ? Math.round((totalAverageGrades / analyzedAssignments) * 100) / 100 : 0
-            },
-            aiGeneratedAnalytics: {
-                averagePercentageOfAIUsed: analyzedAssignments > 0 ? Math.round((totalAIPercentage / analyzedAssignments) * 100) / 100 : 0,
-                countOfAssignmentsUsedAI: totalCountAIUsed,
-                countOfAssignmentsUsedAIOver70: totalCountAIOver70
-            },
-            plagarismAnalytics: {
-                noOfPlagarisedAssignments: totalPlagiarizedAssignments,
-                averagePercentageOfPlagarism: totalPlagiarizedAssignments > 0 ? Math.round((totalPlagiarismPercentage / analyzedAssignments) * 100) / 100 : 0
-            },
-            listOfAIGeneratedAssignementsAbove70: aggregatedAIAbove70,
-            listOfPlagarisedAssignmentsAbove50: aggregatedPlagiarismAbove50,
+            id: HOME_ID,
+            ...counters,
+            ...homeDataFields(counters, {
+                topGrade: graded.length > 0 ? Math.max(...graded.map(g => g.topGrade || 0)) : 0,
+                bottomGrade: graded.length > 0 ? Math.min(...graded.map(g => g.bottomGrade || 0)) : 0
+            }),
+            ...lists,
             timestamp: new Date().toISOString()
         };
 
@@ -318,21 +538,29 @@ async function generateHomeDataSummary() {
 }
 
 /**
- * Upload or update home_data with the aggregated summary
- * Always updates the item with id: 1
+ * Write a rebuilt home_data summary over the item with id 1. The pending
+ * submission count (markSubmissionsPending) is left as it is, and `version`
+ * is advanced so a summary being folded in at the same time retries.
  */
-async function uploadHomeDataSummary(homeData) {
+async function uploadHomeDataSummary(homeData, { config = CONFIG, dynamodb = createDynamoDBClient(config) } = {}) {
     try {
-        // Convert plain JS object to DynamoDB format
-        const dynamoDBItem = toDynamoDBFormat(homeData);
-
-        const command = new PutItemCommand({
-            TableName: "home_data",
-            Item: dynamoDBItem
+        const { id, ...fields } = homeData;
+        const names = {};
+        const values = { ':one': { N: '1' }, ':false': { BOOL: false } };
+        const sets = Object.entries(toDynamoDBFormat(fields)).map(([name, value], i) => {
+            names[`#f${i}`] = name;
+            values[`:f${i}`] = value;
+            return `#f${i} = :f${i}`;
         });
 
-        await dynamodb.send(command);
-        console.log("Home data summary uploaded/updated successfully with ID: 1");
+        await dynamodb.send(new UpdateItemCommand({
+            TableName: config.HOME_TABLE,
+            Key: { id: { N: String(id) } },
+            UpdateExpression: `SET ${sets.join(', ')}, isAssignmentToBeAnalyzed = if_not_exists(isAssignmentToBeAnalyzed, :false) ADD version :one`,
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values
+        }));
+        console.log(`Home data summary uploaded/updated successfully with ID: ${id}`);
         return homeData;
     } catch (error) {
         console.error("Error uploading home data summary:", error);
@@ -341,11 +569,141 @@ async function uploadHomeDataSummary(homeData) {
 }
 
 /**
- * Main execution: Generate and upload home data
+ * Rebuild home_data from all analytics summaries. Not needed after each run:
+ * recordAnalyticsSummary keeps it up to date incrementally.
+ */
+async function updateHomeData({ config = CONFIG, dynamodb = createDynamoDBClient(config) } = {}) {
+    const homeData = await generateHomeDataSummary({ config, dynamodb });
+    await uploadHomeDataSummary(homeData, { config, dynamodb });
+    return homeData;
+}
+
+// Keys per transaction: 100 items, one of them the home_data update
+const PENDING_BATCH = 99;
+const BATCH_GET_LIMIT = 100;
+
+/**
+ * The keys among `keys` that have an item in PENDING_TABLE
+ */
+async function pendingKeysAmong(keys, { config, dynamodb }) {
+    const pending = new Set();
+    for (let i = 0; i < keys.length; i += BATCH_GET_LIMIT) {
+        let request = { [config.PENDING_TABLE]: { Keys: keys.slice(i, i + BATCH_GET_LIMIT).map(key => ({ s3Key: { S: key } })), ProjectionExpression: 's3Key' } };
+        // DynamoDB may leave part of a batch unprocessed when throttled
+        for (let attempt = 0; request && Object.keys(request).length > 0; attempt++) {
+            if (attempt >= 5) throw new Error(`Could not read ${config.PENDING_TABLE}: reads kept being throttled`);
+            if (attempt > 0) await sleep(100 * 2 ** attempt);
+            const response = await dynamodb.send(new BatchGetItemCommand({ RequestItems: request }));
+            ((response.Responses && response.Responses[config.PENDING_TABLE]) || []).forEach(item => pending.add(item.s3Key.S));
+            request = response.UnprocessedKeys;
+        }
+    }
+    return pending;
+}
+
+/**
+ * Put or delete (`change`) PENDING_TABLE items for `keys`, up to 99 per
+ * transaction with the matching change of home_data's `pendingSubmissions`,
+ * so the count always equals the number of items. Keys already in the wanted
+ * state are skipped; a transaction cancelled because another run changed one
+ * of its keys in between is retried. Returns how many keys changed.
+ */
+async function changePendingSubmissions(keys, change, { config, dynamodb, maxAttempts = 5 }) {
+    const adding = change === 'add';
+    let changed = 0;
+    const unique = [...new Set(keys)];
+    for (let i = 0; i < unique.length; i += PENDING_BATCH) {
+        const batch = unique.slice(i, i + PENDING_BATCH);
+        for (let attempt = 1; ; attempt++) {
+            const pending = await pendingKeysAmong(batch, { config, dynamodb });
+            const todo = batch.filter(key => pending.has(key) !== adding);
+            if (todo.length === 0) break;
+            const now = new Date().toISOString();
+            try {
+                await dynamodb.send(new TransactWriteItemsCommand({
+                    TransactItems: [
+                        ...todo.map(key => (adding
+                            ? { Put: { TableName: config.PENDING_TABLE, Item: { s3Key: { S: key }, pendingSince: { S: now } }, ConditionExpression: 'attribute_not_exists(s3Key)' } }
+                            : { Delete: { TableName: config.PENDING_TABLE, Key: { s3Key: { S: key } }, ConditionExpression: 'attribute_exists(s3Key)' } })),
+                        {
+                            Update: {
+                                TableName: config.HOME_TABLE,
+                                Key: { id: { N: String(HOME_ID) } },
+                                UpdateExpression: adding ? 'ADD pendingSubmissions :count SET isAssignmentToBeAnalyzed = :true' : 'ADD pendingSubmissions :count',
+                                ExpressionAttributeValues: { ':count': { N: String(adding ? todo.length : -todo.length) }, ...(adding ? { ':true': { BOOL: true } } : {}) }
+                            }
+                        }
+                    ]
+                }));
+                changed += todo.length;
+                break;
+            } catch (error) {
+                if (error.name !== 'TransactionCanceledException' || attempt === maxAttempts) throw error;
+            }
+        }
+    }
+    return changed;
+}
+
+/**
+ * Record submissions (by S3 key) as fetched but not graded yet: an item per
+ * key in PENDING_TABLE, counted by home_data's `pendingSubmissions`, and
+ * `isAssignmentToBeAnalyzed` set. A key already pending is not counted
+ * twice. Returns how many were added.
+ */
+async function markSubmissionsPending(keys, { config = CONFIG, dynamodb = createDynamoDBClient(config) } = {}) {
+    return changePendingSubmissions(keys, 'add', { config, dynamodb });
+}
+
+/**
+ * Take graded submissions (by S3 key) off the pending ones, and clear
+ * `isAssignmentToBeAnalyzed` once none are left. Keys that were not pending
+ * are ignored. Returns how many were removed.
  */
-async function updateHomeData() {
-    const homeData = await generateHomeDataSummary();
-    await uploadHomeDataSummary(homeData);
+async function markSubmissionsGraded(keys, { config = CONFIG, dynamodb = createDynamoDBClient(config) } = {}) {
+    const removed = await changePendingSubmissions(keys, 'remove', { config, dynamodb });
+    if (removed > 0) {
+        try {
+            // Unless a submission was fetched in the meantime
+            await dynamodb.send(new UpdateItemCommand({
+                TableName: config.HOME_TABLE,
+                Key: { id: { N: String(HOME_ID) } },
+                UpdateExpression: 'SET isAssignmentToBeAnalyzed = :false',
+                ConditionExpression: 'pendingSubmissions = :zero',
+                ExpressionAttributeValues: { ':false': { BOOL: false }, ':zero': { N: '0' } }
+            }));
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') throw error;
+        }
+    }
+    return removed;
+}
+
+// Run only when executed directly (not when imported by the pipeline).
+// Summarizes `--analytics-id <id>`, or the latest run part2 finished grading;
+// `--rebuild-home-data` then recomputes home_data from every summary.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const dynamodb = createDynamoDBClient();
+    const flag = process.argv.indexOf('--analytics-id');
+    const run = await resolveAnalyticsRun(flag !== -1 ? Number(process.argv[flag + 1]) : undefined, { dynamodb });
+    console.log(`Summarizing analyticsId ${run.analyticsId}${run.status ? ` (${run.status})` : ''}`);
+    await main(run.analyticsId, { dynamodb });
+    if (process.argv.includes('--rebuild-home-data')) await updateHomeData({ dynamodb });
 }
 
-updateHomeData();
\ No newline at end of file
+export {
+    CONFIG,
+    createDynamoDBClient,
+    toDynamoDBFormat,
+    fromDynamoDBFormat,
+    main,
+    resolveAnalyticsRun,
+    generateAnalyticsSummary,
+    uploadAnalyticsSummary,
+    recordAnalyticsSummary,
+    generateHomeDataSummary,
+    uploadHomeDataSummary,
+    updateHomeData,
+    markSubmissionsPending,
+    markSubmissionsGraded
+};
@@ -3,10 +3,8 @@
 // Using AWS SDK v3
 
 import { EC2Client, TerminateInstancesCommand, DescribeInstancesCommand} from '@aws-sdk/client-ec2';
-
-// Configure AWS SDK v3
-// 🔴 IMPORTANT: Change 'us-east-1' to your AWS region if different
-const ec2Client = new EC2Client({ region: 'us-east-1' });
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 // ===== 🔴 CONFIGURATION: MODIFY THESE WITH YOUR AWS RESOURCES 🔴 =====
 const CONFIG = {
@@ -24,13 +22,21 @@ const CONFIG = {
 };
 // ===== 🔴 END OF REQUIRED CONFIGURATION 🔴 =====
 
+/**
+ * Create the EC2 client (AWS SDK v3)
+ * 🔴 IMPORTANT: Change CONFIG.awsRegion to your AWS region if different
+ */
+function createEC2Client(config = CONFIG) {
+  return new EC2Client({ region: config.awsRegion });
+}
+
 /**
  * Get EC2 Instance ID from metadata service
  */
-async function getInstanceId() {
+async function getInstanceId({ fetchFn = fetch } = {}) {
   try {
     // Get token for IMDSv2
-    const tokenResponse = await fetch('http://169.254.169.254/latest/api/token', {
+    const tokenResponse = await fetchFn('http://169.254.169.254/latest/api/token', {
       method: 'PUT',
       headers: {
         'X-aws-ec2-metadata-token-ttl-seconds': '21600'
@@ -39,7 +45,7 @@ async function getInstanceId() {
     const token = await tokenResponse.text();
     
     // Use token to get instance ID
-    const response = await fetch('http://169.254.169.254/latest/meta-data/instance-id', {
+    const response = await fetchFn('http://169.254.169.254/latest/meta-data/instance-id', {
       headers: {
         'X-aws-ec2-metadata-token': token
       }
@@ -55,11 +61,11 @@ async function getInstanceId() {
 /**
  * Part 10: Terminate EC2 instance
  */
-async function terminateEC2Instance() {
+async function terminateEC2Instance({ config = CONFIG, ec2Client = createEC2Client(config) } = {}) {
   console.log('\n--- Part 10: Terminating EC2 Instance ---');
 
   try {
-    let instanceId = CONFIG.ec2InstanceId;
+    let instanceId = config.ec2InstanceId;
 
     // If no instance ID provided, try to get from metadata service
     if (!instanceId) {
@@ -119,15 +125,15 @@ async function terminateEC2Instance() {
 }
 
 
-async function main(inferenceResults) {
+async function main({ config = CONFIG, ec2Client = createEC2Client(config) } = {}) {
   try {
     console.log('=== Aithentic 10 Processing Started ===');
     console.log(`Timestamp: ${new Date().toISOString()}`);
 
     // Part 10: Terminate EC2 (if enabled)
-    if (CONFIG.autoTerminateEC2) {
+    if (config.autoTerminateEC2) {
       console.log('\n🔔 EC2 Auto-termination is enabled');
-      await terminateEC2Instance();
+      await terminateEC2Instance({ config, ec2Client });
     } else {
       console.log('\n🔔 EC2 Auto-termination is disabled');
       console.log('To terminate manually, run:');
@@ -144,4 +150,14 @@ async function main(inferenceResults) {
 /**
  * Error handling wrapper
  */
-main()
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
+
+export {
+  CONFIG,
+  createEC2Client,
+  getInstanceId,
+  terminateEC2Instance,
+  main
+};
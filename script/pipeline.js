@@ -0,0 +1,687 @@
+// Aithentic Assignment Grading System - Pipeline Orchestrator
+// Runs parts 1-4 in-process as named stages and records per-run progress
+// in a state file so a failed run can be resumed from the last good stage.
+
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { createS3Client, setupEnvironment, fetchAssignmentsFromS3, convertPDFsToText, uploadConvertedToS3, CONFIG as S3_CONFIG } from './part1_S3PdfToText.js';
+import { createDynamoDBClient, getNextAnalyticsId, gradeAssignments, CONFIG as GRADING_CONFIG } from './part2_Sagemaker.js';
+import { main as summarizeAnalytics, resolveAnalyticsRun, markSubmissionsPending, markSubmissionsGraded, CONFIG as ANALYTICS_CONFIG } from './part3_DynamoDb.js';
+import { createEC2Client, main as terminateInstance, CONFIG as EC2_CONFIG } from './part4_Terminate.js';
+import { loadManifest, saveManifest, DEFAULT_MANIFEST_PATH } from './manifest.js';
+import { parseChain, baseNameOf, SUPPORTED_EXTENSIONS } from './extractors.js';
+import { updateRun } from './runs.js';
+import { tableDefinitions, createTables, copyResults } from './datastore.js';
+import { loadDeadLetters, saveDeadLetters, listFailures, DEFAULT_DEAD_LETTER_PATH, DEAD_LETTER_STAGES } from './deadletter.js';
+
+const fsp = fs.promises;
+
+// Stages in execution order. Submission-level stages track every file separately.
+const STAGES = ['fetch', 'convert', 'upload', 'grade', 'summarize', 'terminate'];
+const SUBMISSION_STAGES = ['fetch', 'convert', 'upload', 'grade'];
+
+// Stage whose output a submission-level stage consumes
+const STAGE_DEPENDS_ON = {
+  convert: 'fetch',
+  upload: 'convert',
+  grade: 'convert'
+};
+
+// Field a submission needs before a stage can work on it when the stage it
+// depends on is not part of this run (e.g. `--from convert` uses PDFs already on disk)
+const STAGE_INPUTS = {
+  convert: 'localPath',
+  upload: 'textPath',
+  grade: 'textPath'
+};
+
+const DEFAULTS = {
+  from: 'fetch',
+  to: 'summarize',
+  stateDir: process.env.AITHENTIC_STATE_DIR || './.aithentic/runs'
+};
+
+/**
+ * Merge per-part config overrides over each part's env-derived defaults.
+ * Sections: s3 (part1), grading (part2), analytics (part3), ec2 (part4).
+ */
+function resolveConfig(overrides = {}) {
+  return {
+    s3: { ...S3_CONFIG, ...overrides.s3 },
+    grading: { ...GRADING_CONFIG, ...overrides.grading },
+    analytics: { ...ANALYTICS_CONFIG, ...overrides.analytics },
+    ec2: { ...EC2_CONFIG, ...overrides.ec2 }
+  };
+}
+
+/**
+ * Create the AWS/HTTP clients the stages need. Clients passed in `overrides`
+ * are used as-is, so tests and host services can inject their own.
+ */
+function createClients(config = resolveConfig(), overrides = {}) {
+  return {
+    s3: overrides.s3 || createS3Client(config.s3),
+    dynamodb: overrides.dynamodb || createDynamoDBClient(config.grading),
+    http: overrides.http || axios,
+    // Model provider clients; providers create their own when these are unset
+    sagemaker: overrides.sagemaker || null,
+    gemini: overrides.gemini || null,
+    ec2: overrides.ec2 || createEC2Client(config.ec2)
+  };
+}
+
+/**
+ * Validate a stage name and return its position in the pipeline
+ */
+function stageIndex(stage) {
+  const index = STAGES.indexOf(stage);
+  if (index === -1) {
+    throw new Error(`Unknown stage "${stage}". Valid stages: ${STAGES.join(', ')}`);
+  }
+  return index;
+}
+
+/**
+ * Derive the run-state key from a local file name (the identity's local name,
+ * see identity.js)
+ */
+function submissionIdFor(fileName) {
+  return baseNameOf(fileName);
+}
+
+function stateFilePath(stateDir, runId) {
+  return path.join(stateDir, `${runId}.json`);
+}
+
+/**
+ * Persist run state atomically (write to a temp file, then rename)
+ */
+async function saveRunState(state, stateDir = DEFAULTS.stateDir) {
+  state.updatedAt = new Date().toISOString();
+  await fsp.mkdir(stateDir, { recursive: true });
+  const target = stateFilePath(stateDir, state.runId);
+  const tmp = `${target}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(state, null, 2));
+  await fsp.rename(tmp, target);
+}
+
+/**
+ * Load a run's state. With no runId, the most recently updated run is returned.
+ */
+async function loadRunState(runId, stateDir = DEFAULTS.stateDir) {
+  if (!runId) {
+    const runs = await listRuns(stateDir);
+    if (runs.length === 0) {
+      throw new Error(`No runs found in ${stateDir}`);
+    }
+    return runs[0];
+  }
+
+  try {
+    return JSON.parse(await fsp.readFile(stateFilePath(stateDir, runId), 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load run ${runId} from ${stateDir}: ${error.message}`);
+  }
+}
+
+/**
+ * List all runs in the state directory, most recently updated first
+ */
+async function listRuns(stateDir = DEFAULTS.stateDir) {
+  let files;
+  try {
+    files = await fsp.readdir(stateDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const runs = [];
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    runs.push(JSON.parse(await fsp.readFile(path.join(stateDir, file), 'utf8')));
+  }
+  return runs.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+function createRunState({ from, to, analyticsId, force, extractors }) {
+  const now = new Date().toISOString();
+  return {
+    runId: now.replace(/[:.]/g, '-'),
+    createdAt: now,
+    updatedAt: now,
+    status: 'running',
+    from,
+    to,
+    analyticsId: analyticsId ?? null,
+    force: Boolean(force),
+    extractors: extractors || null,
+    stages: {},
+    submissions: {}
+  };
+}
+
+function getSubmission(state, id) {
+  if (!state.submissions[id]) {
+    state.submissions[id] = { stages: {} };
+  }
+  return state.submissions[id];
+}
+
+/**
+ * Record the outcome of a stage for one submission, merging in any details
+ * (local paths, S3 key, ...) later stages need.
+ */
+function markSubmission(state, id, stage, status, details = {}) {
+  const submission = getSubmission(state, id);
+  Object.assign(submission, details);
+  submission.stages[stage] = status;
+  if (status === 'failed') {
+    submission.error = details.error || submission.error;
+  } else {
+    delete submission.error;
+  }
+}
+
+/**
+ * Submissions a stage still has to process: those whose input stage
+ * completed (or that have the stage's input on disk when the input stage
+ * is outside this run) and that have not completed this stage yet.
+ */
+function pendingSubmissions(state, stage) {
+  const dependency = STAGE_DEPENDS_ON[stage];
+  const dependencyInRun = stageIndex(dependency) >= stageIndex(state.from);
+
+  return Object.entries(state.submissions)
+    .filter(([, sub]) => sub.stages[stage] !== 'completed')
+    .filter(([, sub]) => dependencyInRun ? sub.stages[dependency] === 'completed' : Boolean(sub[STAGE_INPUTS[stage]]))
+    .map(([id, sub]) => ({ id, ...sub }));
+}
+
+/**
+ * Run state for `retry-failed`: one submission per open dead-letter entry
+ * (only `stage`'s when given), starting at the earliest stage with a failure.
+ * Conversion failures restart from their downloaded file and grading
+ * failures from their converted text; no other submission is picked up.
+ * Grading failures from a single analytics run are regraded under that run's
+ * ID unless `analyticsId` is given. Returns null when there is nothing to retry.
+ */
+function createRetryRunState(deadLetters, { stage, to, analyticsId, force }) {
+  if (stage && !DEAD_LETTER_STAGES.includes(stage)) {
+    throw new Error(`Cannot retry stage "${stage}". Failures are recorded for: ${DEAD_LETTER_STAGES.join(', ')}`);
+  }
+  const failures = listFailures(deadLetters, stage);
+  if (failures.length === 0) return null;
+
+  const from = DEAD_LETTER_STAGES.find(s => failures.some(failure => failure.stage === s));
+  const last = to || 'grade';
+  if (stageIndex(from) > stageIndex(last)) {
+    throw new Error(`--to ${last} comes before the failed ${from} stage`);
+  }
+  // Regrades go into the analytics run the failures belong to when there is just one
+  const failedRuns = [...new Set(failures.filter(failure => failure.analyticsId !== null && failure.analyticsId !== undefined).map(failure => failure.analyticsId))];
+  const state = createRunState({ from, to: last, analyticsId: analyticsId ?? (failedRuns.length === 1 ? failedRuns[0] : undefined), force });
+  state.retryOf = failures.map(failure => `${failure.stage}:${failure.ref}`);
+
+  for (const { stage: failedStage, input } of failures) {
+    if (failedStage === 'convert') {
+      markSubmission(state, submissionIdFor(input.fileName), 'fetch', 'completed', {
+        fileName: input.fileName,
+        localPath: input.localPath,
+        s3Key: input.s3Key
+      });
+    } else {
+      markSubmission(state, submissionIdFor(input.textFile), 'convert', 'completed', {
+        textFile: input.textFile,
+        textPath: input.textPath,
+        s3Key: input.s3Key
+      });
+    }
+  }
+  return state;
+}
+
+/**
+ * When a run starts part-way through the pipeline, seed its submissions from
+ * files already on disk (e.g. submissions in ./assignments for `--from convert`)
+ * whose extension is one of `extensions`.
+ */
+async function seedFromDirectory(state, stage, dir, extensions) {
+  if (stage !== state.from) return;
+  if (Object.values(state.submissions).some(sub => sub[STAGE_INPUTS[stage]])) return;
+
+  let files = [];
+  try {
+    files = (await fsp.readdir(dir)).filter(f => extensions.some(extension => f.toLowerCase().endsWith(extension)));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  for (const fileName of files) {
+    const submission = getSubmission(state, submissionIdFor(fileName));
+    if (stage === 'convert') {
+      Object.assign(submission, { fileName, localPath: path.join(dir, fileName) });
+    } else {
+      Object.assign(submission, { textFile: fileName, textPath: path.join(dir, fileName) });
+      // Pick up the structure JSON written next to the text, if any
+      const structureFile = `${submissionIdFor(fileName)}.json`;
+      if (await fsp.access(path.join(dir, structureFile)).then(() => true, () => false)) {
+        Object.assign(submission, { structureFile, structurePath: path.join(dir, structureFile) });
+      }
+    }
+  }
+  console.log(`Seeded ${files.length} submission(s) from ${dir}`);
+}
+
+/**
+ * Update home_data's count of submissions fetched but not graded yet. Only
+ * the dashboard depends on it, so a failure is logged and the run goes on.
+ */
+async function trackPendingSubmissions(mark, keys, { clients, config }) {
+  const known = keys.filter(Boolean);
+  if (known.length === 0) return;
+  try {
+    await mark(known, { config: config.analytics, dynamodb: clients.dynamodb });
+  } catch (error) {
+    console.warn(`⚠ Could not update pending submissions in ${config.analytics.PENDING_TABLE}: ${error.message}`);
+  }
+}
+
+/**
+ * Stage: download submissions from S3. Files in unsupported formats and keys
+ * without a unique submission identity are kept on the run state so the
+ * convert stage can list them in its summary.
+ */
+async function runFetchStage(state, { clients, config, manifest }) {
+  const verified = await setupEnvironment({ s3Client: clients.s3, config: config.s3 });
+  clients.s3 = verified.s3Client;
+  const files = await fetchAssignmentsFromS3({
+    s3Client: clients.s3,
+    config: config.s3,
+    manifest,
+    force: state.force,
+    onUnsupported: (unsupported) => { state.unsupportedFiles = unsupported; },
+    onIdentityIssues: (issues) => { state.identityIssues = issues; }
+  });
+
+  for (const file of files) {
+    markSubmission(state, submissionIdFor(file.fileName), 'fetch', 'completed', {
+      fileName: file.fileName,
+      localPath: file.localPath,
+      s3Key: file.s3Key,
+      submissionId: file.identity.submissionId,
+      identity: file.identity,
+      etag: file.etag
+    });
+  }
+  const downloaded = files.filter(file => !file.unchanged);
+  await trackPendingSubmissions(markSubmissionsPending, downloaded.map(file => file.s3Key), { clients, config });
+  return {
+    processed: files.length,
+    unchanged: files.length - downloaded.length,
+    failed: 0,
+    bytes: downloaded.reduce((sum, file) => sum + (file.size || 0), 0)
+  };
+}
+
+/**
+ * Stage: convert downloaded submissions to text
+ */
+async function runConvertStage(state, { config, manifest, deadLetters }) {
+  await seedFromDirectory(state, 'convert', config.s3.localAssignmentsDir, SUPPORTED_EXTENSIONS);
+  const pending = pendingSubmissions(state, 'convert');
+  if (pending.length === 0) {
+    console.log('No submissions pending conversion');
+    return { processed: 0, failed: 0 };
+  }
+
+  const converted = await convertPDFsToText(pending.map(sub => ({
+    fileName: sub.fileName,
+    localPath: sub.localPath,
+    s3Key: sub.s3Key,
+    identity: sub.identity
+  })), {
+    config: config.s3,
+    manifest,
+    deadLetters,
+    runId: state.runId,
+    force: state.force,
+    unsupportedFiles: state.unsupportedFiles || [],
+    identityIssues: state.identityIssues || []
+  });
+  const byOriginal = new Map(converted.map(file => [file.originalFile, file]));
+
+  let failed = 0;
+  const unchanged = converted.filter(file => file.unchanged).length;
+  for (const sub of pending) {
+    const file = byOriginal.get(sub.fileName);
+    if (file) {
+      markSubmission(state, sub.id, 'convert', 'completed', {
+        textFile: file.textFile,
+        textPath: file.textPath,
+        structureFile: file.structureFile,
+        structurePath: file.structurePath,
+        characterCount: file.characterCount,
+        needsReview: Boolean(file.needsReview),
+        ...(file.needsReview ? { reviewReasons: file.reviewReasons } : {})
+      });
+    } else {
+      failed++;
+      markSubmission(state, sub.id, 'convert', 'failed', { error: 'Conversion failed (see log output)' });
+    }
+  }
+  return { processed: pending.length, unchanged, failed };
+}
+
+/**
+ * Stage: upload converted text and the conversion summary to S3
+ */
+async function runUploadStage(state, { clients, config, manifest }) {
+  await seedFromDirectory(state, 'upload', config.s3.localConvertedDir, ['.txt']);
+  const pending = pendingSubmissions(state, 'upload');
+
+  if (!config.s3.uploadConverted) {
+    console.log('Upload disabled (UPLOAD_CONVERTED=false); converted files stay local');
+    pending.forEach(sub => markSubmission(state, sub.id, 'upload', 'skipped'));
+    return { processed: 0, failed: 0 };
+  }
+  if (pending.length === 0) {
+    console.log('No submissions pending upload');
+    return { processed: 0, failed: 0 };
+  }
+
+  // A file that fails (e.g. its text file disappeared) fails only its own submission
+  const errors = new Map();
+  const uploaded = await uploadConvertedToS3(pending.map(sub => ({
+    textFile: sub.textFile,
+    textPath: sub.textPath,
+    structureFile: sub.structureFile,
+    structurePath: sub.structurePath,
+    characterCount: sub.characterCount,
+    sourceKey: sub.s3Key,
+    sourceEtag: sub.etag,
+    submissionId: sub.submissionId
+  })), {
+    s3Client: clients.s3,
+    config: config.s3,
+    manifest,
+    force: state.force,
+    onFailure: (file, error) => errors.set(file.textFile, error && error.message ? error.message : String(error))
+  });
+  const byTextFile = new Map(uploaded.map(file => [file.textFile, file]));
+
+  let failed = 0;
+  for (const sub of pending) {
+    const file = byTextFile.get(sub.textFile);
+    if (!file) {
+      failed++;
+      markSubmission(state, sub.id, 'upload', 'failed', { error: errors.get(sub.textFile) || `${sub.textFile} was not uploaded` });
+      continue;
+    }
+    markSubmission(state, sub.id, 'upload', 'completed', { convertedKey: file.convertedKey, structureKey: file.structureKey });
+  }
+  return { processed: pending.length, unchanged: uploaded.filter(f => f.unchanged).length, failed };
+}
+
+/**
+ * Stage: grade converted text and store results in DynamoDB.
+ * The analytics ID is allocated once per run and saved before grading starts,
+ * so a resumed run keeps writing under the same ID.
+ */
+async function runGradeStage(state, { stateDir, clients, config, manifest, deadLetters }) {
+  await seedFromDirectory(state, 'grade', config.grading.LOCAL_CONVERTED_DIR, ['.txt']);
+  const pending = pendingSubmissions(state, 'grade');
+  if (pending.length === 0) {
+    console.log('No submissions pending grading');
+    return { processed: 0, failed: 0 };
+  }
+
+  if (state.analyticsId === null || state.analyticsId === undefined) {
+    state.analyticsId = await getNextAnalyticsId({
+      config: config.grading,
+      dynamodb: clients.dynamodb,
+      details: { runId: state.runId, source: 'pipeline' }
+    });
+    await saveRunState(state, stateDir);
+  }
+  console.log(`Using analyticsId ${state.analyticsId}`);
+  const runRecord = { dynamodb: clients.dynamodb, runsTable: config.grading.RUNS_TABLE };
+  await updateRun(state.analyticsId, 'grading', { runId: state.runId }, runRecord);
+
+  const idsByFile = new Map(pending.map(sub => [sub.textFile, sub.id]));
+  let failed = 0;
+  let unchanged = 0;
+  let quarantined = 0;
+  const gradedKeys = [];
+
+  await gradeAssignments(pending.map(sub => sub.textFile), state.analyticsId, {
+    config: config.grading,
+    dynamodb: clients.dynamodb,
+    http: clients.http,
+    sagemaker: clients.sagemaker,
+    gemini: clients.gemini,
+    manifest,
+    deadLetters,
+    runId: state.runId,
+    force: state.force,
+    onResult: async (result) => {
+      const id = idsByFile.get(result.textFile) || submissionIdFor(result.textFile);
+      if ((result.status === 'SUCCESS' || result.status === 'UNCHANGED') && state.submissions[id]) gradedKeys.push(state.submissions[id].s3Key);
+      if (result.status === 'SUCCESS') {
+        markSubmission(state, id, 'grade', 'completed');
+      } else if (result.status === 'UNCHANGED') {
+        unchanged++;
+        markSubmission(state, id, 'grade', 'unchanged');
+      } else if (result.status === 'QUARANTINED') {
+        // Not graded: counted as failed so resume grades it again
+        failed++;
+        quarantined++;
+        markSubmission(state, id, 'grade', 'failed', { error: `Result quarantined: ${result.error}`, quarantinePath: result.quarantinePath });
+      } else {
+        failed++;
+        markSubmission(state, id, 'grade', 'failed', { error: result.error });
+      }
+      await saveRunState(state, stateDir);
+      await saveManifest(manifest);
+      await saveDeadLetters(deadLetters);
+    }
+  });
+
+  await trackPendingSubmissions(markSubmissionsGraded, gradedKeys, { clients, config });
+  await updateRun(state.analyticsId, 'graded', { runId: state.runId, processed: pending.length, unchanged, failed, quarantined }, runRecord);
+  return { processed: pending.length, unchanged, failed, quarantined };
+}
+
+/**
+ * Stage: build the analytics summary for this run and fold it into home_data.
+ * A run that did not grade (e.g. `--from summarize`) summarizes the latest
+ * graded run from the run records.
+ */
+async function runSummarizeStage(state, { stateDir, clients, config }) {
+  const deps = { config: config.analytics, dynamodb: clients.dynamodb };
+  if (state.analyticsId === null || state.analyticsId === undefined) {
+    const run = await resolveAnalyticsRun(undefined, deps);
+    console.log(`Using latest graded analyticsId ${run.analyticsId}${run.runId ? ` (run ${run.runId})` : ''}`);
+    state.analyticsId = run.analyticsId;
+    await saveRunState(state, stateDir);
+  }
+  await summarizeAnalytics(Number(state.analyticsId), deps);
+  return {};
+}
+
+/**
+ * Stage: terminate the EC2 instance
+ */
+async function runTerminateStage(state, { clients, config }) {
+  await terminateInstance({ config: config.ec2, ec2Client: clients.ec2 });
+  return {};
+}
+
+const STAGE_RUNNERS = {
+  fetch: runFetchStage,
+  convert: runConvertStage,
+  upload: runUploadStage,
+  grade: runGradeStage,
+  summarize: runSummarizeStage,
+  terminate: runTerminateStage
+};
+
+/**
+ * Run the pipeline from `from` to `to` (inclusive).
+ * With `resume`, the stored run is continued from its first stage that did
+ * not complete, and submissions that already finished a stage are skipped.
+ * Across runs, the manifest skips submissions whose S3 ETag is unchanged
+ * since a stage last processed them; `force` reprocesses everything.
+ * `extractors` picks the text extractor chain for this run.
+ * `config` holds per-part overrides (see resolveConfig); `clients` injects
+ * pre-built clients (see createClients).
+ * With `retryFailed`, only the submissions in the dead-letter store are
+ * reprocessed (see createRetryRunState; `stage` limits them to one stage);
+ * resolves with null when there are none.
+ */
+async function runPipeline(options = {}) {
+  const stateDir = options.stateDir || DEFAULTS.stateDir;
+  const config = resolveConfig(options.config);
+  const clients = createClients(config, options.clients);
+  const manifest = await loadManifest(options.manifestPath || DEFAULT_MANIFEST_PATH);
+  const deadLetters = await loadDeadLetters(options.deadLettersPath || DEFAULT_DEAD_LETTER_PATH);
+  let state;
+
+  if (options.retryFailed) {
+    state = createRetryRunState(deadLetters, {
+      stage: options.stage,
+      to: options.to,
+      analyticsId: options.analyticsId,
+      force: options.force
+    });
+    if (!state) {
+      console.log(`No failed submissions to retry in ${deadLetters.filePath}`);
+      return null;
+    }
+    console.log(`Starting retry run ${state.runId} for ${state.retryOf.length} failed submission(s) (${state.from} → ${state.to})`);
+  } else if (options.resume) {
+    state = await loadRunState(options.runId, stateDir);
+    if (options.analyticsId !== undefined) state.analyticsId = options.analyticsId;
+    if (options.force) state.force = true;
+    if (options.extractors) state.extractors = parseChain(options.extractors);
+    console.log(`Resuming run ${state.runId} (status: ${state.status})`);
+  } else {
+    const from = options.from || DEFAULTS.from;
+    const to = options.to || DEFAULTS.to;
+    if (stageIndex(from) > stageIndex(to)) {
+      throw new Error(`--from ${from} comes after --to ${to}`);
+    }
+    state = createRunState({
+      from,
+      to,
+      analyticsId: options.analyticsId,
+      force: options.force,
+      extractors: options.extractors ? parseChain(options.extractors) : null
+    });
+    console.log(`Starting run ${state.runId} (${from} → ${to})`);
+  }
+
+  // The extractor chain chosen for a run sticks to it when resumed
+  if (state.extractors) config.s3.extractors = state.extractors;
+
+  // A resumed run restarts at its first stage that did not complete; later
+  // stages run again but only pick up submissions they have not finished.
+  let stages = STAGES.slice(stageIndex(state.from), stageIndex(state.to) + 1);
+  if (options.resume) {
+    const firstIncomplete = stages.findIndex(stage => state.stages[stage]?.status !== 'completed');
+    stages = firstIncomplete === -1 ? [] : stages.slice(firstIncomplete);
+  }
+
+  state.status = 'running';
+  await saveRunState(state, stateDir);
+
+  for (const stage of stages) {
+    console.log(`\n=== Stage: ${stage} ===`);
+    state.stages[stage] = { status: 'running', startedAt: new Date().toISOString() };
+    await saveRunState(state, stateDir);
+
+    try {
+      const outcome = await STAGE_RUNNERS[stage](state, { stateDir, clients, config, manifest, deadLetters });
+      await saveManifest(manifest);
+      await saveDeadLetters(deadLetters);
+      state.stages[stage] = {
+        ...state.stages[stage],
+        ...outcome,
+        status: outcome.failed ? 'partial' : 'completed',
+        finishedAt: new Date().toISOString()
+      };
+      await saveRunState(state, stateDir);
+
+      if (outcome.failed) {
+        console.warn(`⚠ Stage ${stage} finished with ${outcome.failed} failed submission(s); continuing with the rest`);
+      } else {
+        console.log(`✓ Stage ${stage} completed`);
+      }
+    } catch (error) {
+      state.stages[stage] = {
+        ...state.stages[stage],
+        status: 'failed',
+        error: error && error.message ? error.message : String(error),
+        finishedAt: new Date().toISOString()
+      };
+      state.status = 'failed';
+      await saveRunState(state, stateDir);
+      await saveManifest(manifest);
+      await saveDeadLetters(deadLetters);
+      console.error(`✗ Stage ${stage} failed: ${state.stages[stage].error}`);
+      console.error(`  Resume with: aithentic run --resume --run-id ${state.runId}`);
+      throw error;
+    }
+  }
+
+  const incomplete = Object.values(state.stages).some(s => s.status !== 'completed');
+  state.status = incomplete ? 'partial' : 'completed';
+  await saveRunState(state, stateDir);
+  return state;
+}
+
+/**
+ * Create the DynamoDB tables the pipeline writes to that do not exist yet,
+ * named as configured (see tableDefinitions in datastore.js)
+ */
+async function createPipelineTables({ config = resolveConfig(), clients = createClients(config) } = {}) {
+  const definitions = tableDefinitions({
+    assignmentsTable: config.grading.DYNAMODB_TABLE,
+    summaryTable: config.analytics.SUMMARY_TABLE,
+    homeTable: config.analytics.HOME_TABLE,
+    runsTable: config.grading.RUNS_TABLE,
+    corpusTable: config.grading.CORPUS_TABLE,
+    pendingTable: config.analytics.PENDING_TABLE
+  });
+  return createTables({ dynamodb: clients.dynamodb, definitions });
+}
+
+/**
+ * Copy the results in `sourceTable` (a results table with an older key
+ * schema) into the configured results table, creating the missing tables
+ * first. Returns { copied, skipped }.
+ */
+async function migrateResultsTable(sourceTable, { config = resolveConfig(), clients = createClients(config) } = {}) {
+  const target = config.grading.DYNAMODB_TABLE;
+  if (sourceTable === target) {
+    throw new Error(`${sourceTable} is the configured results table; set RESULTS_TABLE to the new table to copy into`);
+  }
+  await createPipelineTables({ config, clients });
+  console.log(`Copying results from ${sourceTable} to ${target}...`);
+  const { copied, skipped } = await copyResults({ dynamodb: clients.dynamodb, from: sourceTable, to: target });
+  console.log(`✓ Copied ${copied} result(s)${skipped > 0 ? `; skipped ${skipped} without an analyticsId or submission ID` : ''}`);
+  return { copied, skipped };
+}
+
+export {
+  STAGES,
+  SUBMISSION_STAGES,
+  resolveConfig,
+  createClients,
+  createPipelineTables,
+  migrateResultsTable,
+  runPipeline,
+  loadRunState,
+  listRuns,
+  saveRunState
+};
@@ -0,0 +1,311 @@
+// Aithentic Assignment Grading System - Model Providers
+// Every grading backend (the API Gateway/Lambda endpoint, a SageMaker
+// endpoint, Gemini, a local stub) implements grade(request, context) and its
+// output is normalized to the same result object, so providers can be
+// swapped or A/B tested by config (MODEL_PROVIDER).
+
+import crypto from 'crypto';
+import { fromDynamoDBFormat } from './datastore.js';
+import { describeRubric } from './rubric.js';
+import { parseRetryAfter } from './concurrency.js';
+
+const DEFAULT_PROVIDER = 'api-gateway';
+
+/**
+ * Convert text into a single-line JSON-safe string
+ */
+function normalizeForOneLine(text) {
+  return text
+    .replace(/\u0000/g, '')
+    .replace(/\f/g, ' ')
+    .replace(/\r\n/g, ' ')
+    .replace(/\r/g, ' ')
+    .replace(/\n/g, ' ')
+    .replace(/\t/g, ' ')
+    .replace(/\s\s+/g, ' ')   // collapse multiple spaces
+    .trim();
+}
+
+/**
+ * Grading instructions for providers that take a prompt (SageMaker, Gemini).
+ * The API Gateway Lambda builds its own prompt.
+ */
+function buildGradingPrompt({ text, assignmentId, submission, pageCount, outline, chunk, rubric }) {
+  const outlineText = outline && outline.length > 0
+    ? `\nSections: ${outline.map(s => `[Section ${s.section}] ${s.title || '(untitled)'} (pages ${s.pages})`).join('; ')}`
+    : '';
+  return [
+    'You are grading a student assignment. Respond with a single JSON object and nothing else, with these fields:',
+    '  "gradeReceived": number from 0 to 100,',
+    '  "aiGeneratedAnalytics": { "percentageOfAIUsed": number from 0 to 100, "reasoning": string },',
+    '  "plagarismAnalytics": { "plagarisedPercentage": number from 0 to 100, "reasoning": string },',
+    '  "gradeReasoning": string (cite [Page N] / [Section K] markers where relevant),',
+    `  "remarks": string (feedback for the student)${rubric ? ',' : ''}`,
+    ...(rubric ? ['  "criteriaScores": [{ "criterionId": string, "points": number, "justification": string }] (one entry per rubric criterion)', '', describeRubric(rubric)] : []),
+    '',
+    `Assignment: ${assignmentId}${submission && submission.course ? ` (course ${submission.course})` : ''}${pageCount ? `, ${pageCount} page(s)` : ''}${outlineText}`,
+    ...(chunk ? [`This is part ${chunk.index} of ${chunk.count} (pages ${chunk.pages}) of a longer submission. Grade and score only this part.`] : []),
+    '',
+    '<<RAW_TEXT_START>>',
+    text,
+    '<<RAW_TEXT_END>>'
+  ].join('\n');
+}
+
+/**
+ * Parse the JSON object in a model's text output (bare, or in a ```json fence,
+ * or surrounded by prose)
+ */
+function parseJsonOutput(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error(`Model output contains no JSON object: ${text.substring(0, 200)}`);
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+/**
+ * True when every attribute is a DynamoDB type wrapper ({ S }, { N }, { M }, ...)
+ */
+function isDynamoDBItem(value) {
+  const attributes = Object.values(value);
+  return attributes.length > 0 && attributes.every(attribute =>
+    attribute && typeof attribute === 'object' && !Array.isArray(attribute) &&
+    Object.keys(attribute).length === 1 && ['S', 'N', 'BOOL', 'M', 'L'].includes(Object.keys(attribute)[0]));
+}
+
+/**
+ * Bring any provider response into one plain result object (checked against
+ * the result schema afterwards, see schema.js):
+ * - DynamoDB JSON (the Lambda's format) is converted to plain values
+ * - `[{ generated_text }]` / `{ generated_text }` (the Lambda's older format,
+ *   SageMaker) and plain text are parsed as JSON
+ * analyticsId/assignmentId always come from the request.
+ */
+function normalizeModelResult(raw, { assignmentId, analyticsId }) {
+  let result = typeof raw === 'string' ? parseJsonOutput(raw) : raw;
+
+  if (Array.isArray(result) && result.length > 0 && result[0] && typeof result[0].generated_text === 'string') {
+    result = parseJsonOutput(result[0].generated_text);
+  } else if (result && typeof result.generated_text === 'string') {
+    result = parseJsonOutput(result.generated_text);
+  }
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    throw new Error(`Unknown response format. Expected DynamoDB JSON, SageMaker output or a JSON object. Got: ${String(JSON.stringify(raw)).substring(0, 200)}`);
+  }
+  if (isDynamoDBItem(result)) result = fromDynamoDBFormat(result);
+
+  return { ...result, analyticsId: Number(analyticsId), assignmentId };
+}
+
+// Network failures worth retrying (no HTTP response was received)
+const NETWORK_ERROR_CODES = new Set(['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK']);
+
+/**
+ * Mark an error as worth retrying (throttling, 5xx, network errors), with the
+ * server's Retry-After delay when it sent one
+ */
+function retryable(error, retryAfter) {
+  error.retryable = true;
+  const retryAfterMs = parseRetryAfter(retryAfter);
+  if (retryAfterMs !== null) error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+/**
+ * True for HTTP statuses worth retrying: 429 and 5xx
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * The API Gateway endpoint in front of the grading Lambda (MODEL_ENDPOINT_URL).
+ * `http` is an axios-compatible client.
+ */
+const apiGatewayProvider = {
+  name: 'api-gateway',
+  async grade(request, { config, http }) {
+    const payload = {
+      assignmentText: `<<RAW_TEXT_START>>${normalizeForOneLine(request.text)}<<RAW_TEXT_END>>`,
+      assignmentId: request.assignmentId,
+      analyticsId: request.analyticsId
+    };
+    if (request.submission) payload.submission = request.submission;
+    if (request.chunk) payload.chunk = request.chunk;
+    if (request.rubric) payload.rubric = { key: request.rubric.source, title: request.rubric.title, criteria: request.rubric.criteria };
+    if (request.outline) {
+      payload.pageCount = request.pageCount;
+      payload.outline = request.outline;
+    }
+    console.log(`Calling Lambda for assignment (length: ${payload.assignmentText.length})`);
+
+    let response;
+    try {
+      response = await http.post(config.MODEL_ENDPOINT_URL, payload, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: config.TIMEOUT_MS
+      });
+    } catch (error) {
+      // axios rejects every non-2xx response, so HTTP errors arrive here
+      if (error.response) {
+        const httpError = new Error(`Lambda returned HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}`, { cause: error });
+        throw isRetryableStatus(error.response.status) ? retryable(httpError, error.response.headers?.['retry-after']) : httpError;
+      }
+      if (NETWORK_ERROR_CODES.has(error.code)) throw retryable(error);
+      throw error;
+    }
+    console.log('Lambda HTTP status:', response.status);
+    console.log('Lambda raw response:', JSON.stringify(response.data).substring(0, 500)); // Log first 500 chars
+    return response.data;
+  }
+};
+
+/**
+ * A SageMaker real-time endpoint (SAGEMAKER_ENDPOINT_NAME) serving a
+ * text-generation container (Hugging Face TGI request/response format)
+ */
+const sagemakerProvider = {
+  name: 'sagemaker',
+  async grade(request, { config, sagemaker }) {
+    if (!config.SAGEMAKER_ENDPOINT_NAME) throw new Error('SAGEMAKER_ENDPOINT_NAME is not set');
+    const { SageMakerRuntimeClient, InvokeEndpointCommand } = await import('@aws-sdk/client-sagemaker-runtime');
+    const client = sagemaker || new SageMakerRuntimeClient({ region: config.REGION });
+
+    console.log(`Invoking SageMaker endpoint ${config.SAGEMAKER_ENDPOINT_NAME}`);
+    let response;
+    try {
+      response = await client.send(new InvokeEndpointCommand({
+        EndpointName: config.SAGEMAKER_ENDPOINT_NAME,
+        ContentType: 'application/json',
+        Accept: 'application/json',
+        Body: JSON.stringify({
+          inputs: buildGradingPrompt(request),
+          parameters: { max_new_tokens: config.MODEL_MAX_TOKENS, temperature: 0.01, return_full_text: false }
+        })
+      }), { abortSignal: AbortSignal.timeout(config.TIMEOUT_MS) });
+    } catch (error) {
+      const status = error.$metadata && error.$metadata.httpStatusCode;
+      if (error.name === 'ThrottlingException' || error.name === 'AbortError' || isRetryableStatus(status) || NETWORK_ERROR_CODES.has(error.code)) {
+        throw retryable(error, error.$response?.headers?.['retry-after']);
+      }
+      throw error;
+    }
+    return JSON.parse(Buffer.from(response.Body).toString('utf8'));
+  }
+};
+
+/**
+ * Google Gemini (GEMINI_API_KEY, GEMINI_MODEL), asked for JSON output
+ */
+const geminiProvider = {
+  name: 'gemini',
+  async grade(request, { config, gemini }) {
+    let client = gemini;
+    if (!client) {
+      if (!config.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is not set');
+      const { GoogleGenerativeAI } = await import('@google/generative-ai');
+      client = new GoogleGenerativeAI(config.GEMINI_API_KEY);
+    }
+    const model = client.getGenerativeModel({
+      model: config.GEMINI_MODEL,
+      generationConfig: { temperature: 0, maxOutputTokens: config.MODEL_MAX_TOKENS, responseMimeType: 'application/json' }
+    });
+
+    console.log(`Calling Gemini model ${config.GEMINI_MODEL}`);
+    try {
+      const result = await model.generateContent(buildGradingPrompt(request), { timeout: config.TIMEOUT_MS });
+      return result.response.text();
+    } catch (error) {
+      if (isRetryableStatus(error.status) || NETWORK_ERROR_CODES.has(error.cause?.code)) {
+        // Gemini sends its retry delay as RetryInfo ("30s") rather than a header
+        const retryInfo = (error.errorDetails || []).find(detail => String(detail['@type']).endsWith('RetryInfo'));
+        throw retryable(error, retryInfo && parseFloat(retryInfo.retryDelay));
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Deterministic offline grader: scores are derived from a hash of the text,
+ * so the same submission always gets the same result and no network is used
+ */
+const stubProvider = {
+  name: 'stub',
+  async grade(request) {
+    const digest = crypto.createHash('sha256').update(request.text).digest();
+    const words = (request.text.match(/\S+/g) || []).length;
+    return {
+      gradeReceived: 40 + (digest[0] % 61),
+      aiGeneratedAnalytics: { percentageOfAIUsed: digest[1] % 101, reasoning: 'Stub provider: derived from a hash of the text.' },
+      plagarismAnalytics: { plagarisedPercentage: digest[2] % 101, reasoning: 'Stub provider: derived from a hash of the text.' },
+      gradeReasoning: `Stub grade for ${words} words${request.pageCount ? ` on ${request.pageCount} page(s)` : ''}.`,
+      remarks: 'Graded offline by the stub provider; not a real assessment.',
+      ...(request.rubric ? {
+        criteriaScores: request.rubric.criteria.map((criterion, i) => ({
+          criterionId: criterion.id,
+          points: Math.round(criterion.maxPoints * (digest[3 + (i % 29)] / 255) * 10) / 10,
+          justification: 'Stub provider: derived from a hash of the text.'
+        }))
+      } : {})
+    };
+  }
+};
+
+const PROVIDERS = new Map([
+  [apiGatewayProvider.name, apiGatewayProvider],
+  [sagemakerProvider.name, sagemakerProvider],
+  [geminiProvider.name, geminiProvider],
+  [stubProvider.name, stubProvider]
+]);
+
+/**
+ * Add (or replace) a provider. A provider is { name, grade(request, context) }
+ * where `request` is { text, assignmentId, analyticsId, submission, pageCount, outline, chunk, rubric }
+ * and `context` is { config, http, sagemaker, gemini }.
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.grade !== 'function') {
+    throw new Error('Provider must have a name and a grade(request, context) function');
+  }
+  PROVIDERS.set(provider.name, provider);
+}
+
+/**
+ * Parse MODEL_PROVIDER: one provider name, or a comma-separated list to split
+ * submissions between providers (A/B)
+ */
+function parseProviders(value) {
+  const names = (Array.isArray(value) ? value : String(value || DEFAULT_PROVIDER).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  return names.length > 0 ? names : [DEFAULT_PROVIDER];
+}
+
+/**
+ * The provider for one submission. With several providers configured, the
+ * choice is a stable hash of the assignment ID, so a submission always goes
+ * to the same provider across runs.
+ */
+function providerFor(assignmentId, providerNames) {
+  const names = parseProviders(providerNames);
+  const name = names.length === 1
+    ? names[0]
+    : names[crypto.createHash('sha256').update(String(assignmentId)).digest().readUInt32BE(0) % names.length];
+  const provider = PROVIDERS.get(name);
+  if (!provider) throw new Error(`Unknown model provider "${name}". Available: ${[...PROVIDERS.keys()].join(', ')}`);
+  return provider;
+}
+
+export {
+  DEFAULT_PROVIDER,
+  normalizeForOneLine,
+  buildGradingPrompt,
+  parseJsonOutput,
+  normalizeModelResult,
+  registerProvider,
+  parseProviders,
+  providerFor
+};
@@ -0,0 +1,189 @@
+// Aithentic Assignment Grading System - Rubrics
+// Per-assignment rubric files (criteria, weights, max points, descriptors)
+// live next to the submissions in S3. The grader scores each criterion and
+// gradeReceived is computed from the weighted criterion scores.
+
+import fs from 'fs';
+import path from 'path';
+import { validateResult } from './schema.js';
+
+const fsp = fs.promises;
+
+const DEFAULT_RUBRIC_FILE = 'rubric.json';
+
+/**
+ * True when an S3 key is a rubric file (any folder, matched by file name)
+ */
+function isRubricKey(key, fileName = DEFAULT_RUBRIC_FILE) {
+  return path.posix.basename(key).toLowerCase() === fileName.toLowerCase();
+}
+
+/**
+ * Local path of an S3 key under `dir`, mirroring the key's folders. Keys with
+ * "." or ".." segments are rejected so a key can never write outside `dir`.
+ */
+function localRubricPath(key, dir) {
+  const segments = key.split('/').filter(Boolean);
+  if (segments.some(segment => segment === '.' || segment === '..')) {
+    throw new Error(`Unsafe rubric key: ${key}`);
+  }
+  return path.join(dir, ...segments);
+}
+
+/**
+ * Criterion ID from its name when the rubric gives none ("Code Quality" -> "code-quality")
+ */
+function slugOf(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Validate a rubric's JSON and bring it into one shape:
+ *   { source, title, criteria: [{ id, name, weight, maxPoints, descriptors: [{ points, description }] }] }
+ * Descriptors may be given as { "<points>": "description" } or as a list.
+ * Weights default to 1. Throws listing every problem found.
+ */
+function parseRubric(json, source = '(rubric)') {
+  const errors = [];
+  if (!json || typeof json !== 'object' || !Array.isArray(json.criteria) || json.criteria.length === 0) {
+    throw new Error(`Invalid rubric ${source}: "criteria" must be a non-empty list`);
+  }
+
+  const ids = new Set();
+  const criteria = json.criteria.map((criterion, i) => {
+    const label = `criteria[${i}]`;
+    if (!criterion || typeof criterion !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    const name = typeof criterion.name === 'string' && criterion.name.trim() ? criterion.name.trim() : null;
+    const id = criterion.id !== undefined ? String(criterion.id).trim() : name && slugOf(name);
+    if (!id) errors.push(`${label} needs an id or a name`);
+    else if (ids.has(id)) errors.push(`${label} repeats criterion id "${id}"`);
+    ids.add(id);
+
+    const maxPoints = Number(criterion.maxPoints);
+    if (!(maxPoints > 0)) errors.push(`${label}.maxPoints must be a positive number`);
+    const weight = criterion.weight === undefined ? 1 : Number(criterion.weight);
+    if (!(weight > 0)) errors.push(`${label}.weight must be a positive number`);
+
+    const rawDescriptors = criterion.descriptors || [];
+    const descriptors = (Array.isArray(rawDescriptors)
+      ? rawDescriptors.map(d => ({ points: Number(d && d.points), description: d && d.description }))
+      : Object.entries(rawDescriptors).map(([points, description]) => ({ points: Number(points), description })))
+      .sort((a, b) => b.points - a.points);
+    descriptors.forEach(d => {
+      if (!Number.isFinite(d.points) || d.points < 0 || d.points > maxPoints) errors.push(`${label} has a descriptor outside 0-${criterion.maxPoints} points`);
+      if (typeof d.description !== 'string' || !d.description.trim()) errors.push(`${label} has a descriptor without a description`);
+    });
+
+    return { id, name: name || id, weight, maxPoints, descriptors };
+  });
+
+  if (errors.length > 0) throw new Error(`Invalid rubric ${source}: ${errors.join('; ')}`);
+  return { source, title: typeof json.title === 'string' ? json.title : null, criteria };
+}
+
+/**
+ * The rubric for a submission: the rubric file in its S3 folder, else in the
+ * nearest parent folder, read from the local copy under `dir` (see
+ * syncRubrics in part1). Returns null when no folder has one. `cache` (a Map)
+ * avoids re-reading the same file for every submission.
+ */
+async function findRubric(sourceKey, { dir, fileName = DEFAULT_RUBRIC_FILE, cache = new Map() }) {
+  if (!sourceKey) return null;
+  let folder = path.posix.dirname(sourceKey);
+
+  while (true) {
+    const key = folder === '.' ? fileName : `${folder}/${fileName}`;
+    if (!cache.has(key)) {
+      let rubric = null;
+      try {
+        const json = JSON.parse(await fsp.readFile(localRubricPath(key, dir), 'utf8'));
+        rubric = parseRubric(json, key);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(error.message.startsWith('Invalid rubric') ? error.message : `Could not read rubric ${key}: ${error.message}`);
+      }
+      cache.set(key, rubric);
+    }
+    if (cache.get(key)) return cache.get(key);
+    if (folder === '.') return null;
+    folder = path.posix.dirname(folder);
+  }
+}
+
+/**
+ * Rubric instructions for grading prompts
+ */
+function describeRubric(rubric) {
+  return [
+    `Rubric${rubric.title ? ` "${rubric.title}"` : ''}: score every criterion from 0 to its max points and justify each score.`,
+    ...rubric.criteria.map(c => {
+      const levels = c.descriptors.map(d => `${d.points}: ${d.description}`).join('; ');
+      return `- ${c.id}: ${c.name} (max ${c.maxPoints} points, weight ${c.weight})${levels ? ` — ${levels}` : ''}`;
+    })
+  ].join('\n');
+}
+
+/**
+ * Check a result's criteriaScores against the rubric and compute
+ * gradeReceived (0-100) from them:
+ *   sum(weight * points / maxPoints) / sum(weight) * 100
+ * Scores are matched to criteria by criterionId (or criterion name). Returns
+ *   { value, errors }
+ * where `value` carries one score per criterion, each with the criterion's
+ * name, weight and maxPoints, and `errors` lists missing or invalid scores.
+ */
+function applyRubric(result, rubric) {
+  const errors = [];
+  const given = Array.isArray(result.criteriaScores) ? result.criteriaScores : [];
+  if (!Array.isArray(result.criteriaScores)) errors.push('criteriaScores must be a list with one score per rubric criterion');
+
+  const matches = (entry, criterion) => entry && typeof entry === 'object' && [entry.criterionId, entry.id, entry.name]
+    .some(value => value !== undefined && value !== null && [criterion.id, criterion.name].some(name => String(value).trim().toLowerCase() === name.toLowerCase()));
+
+  const criteriaScores = rubric.criteria.map(criterion => {
+    const entry = given.find(candidate => matches(candidate, criterion));
+    if (!entry) {
+      errors.push(`criteriaScores has no score for criterion "${criterion.id}"`);
+      return null;
+    }
+    const checked = validateResult(entry, {
+      points: { type: 'number', min: 0, max: criterion.maxPoints, required: true },
+      justification: { type: 'string', required: true, minLength: 1 }
+    });
+    errors.push(...checked.errors.map(error => `criteriaScores[${criterion.id}].${error}`));
+    return {
+      criterionId: criterion.id,
+      name: criterion.name,
+      points: checked.value.points,
+      maxPoints: criterion.maxPoints,
+      weight: criterion.weight,
+      justification: checked.value.justification
+    };
+  });
+
+  if (errors.length > 0) return { value: result, errors };
+
+  const totalWeight = rubric.criteria.reduce((sum, c) => sum + c.weight, 0);
+  const weighted = criteriaScores.reduce((sum, s) => sum + s.weight * (s.points / s.maxPoints), 0);
+  return {
+    value: {
+      ...result,
+      criteriaScores,
+      gradeReceived: Math.round((weighted / totalWeight) * 10000) / 100,
+      rubricKey: rubric.source
+    },
+    errors
+  };
+}
+
+export {
+  DEFAULT_RUBRIC_FILE,
+  isRubricKey,
+  localRubricPath,
+  parseRubric,
+  findRubric,
+  describeRubric,
+  applyRubric
+};
@@ -0,0 +1,134 @@
+// Aithentic Assignment Grading System - Analytics Runs
+// Allocates analytics run IDs from a counter item with a conditional update,
+// so concurrent instances never get the same ID, and keeps one run record per
+// ID (status, counts, timestamps) that the grade and summarize stages share.
+
+import { GetItemCommand, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { scanAll, toAttributeValue, fromDynamoDBFormat } from './datastore.js';
+
+const DEFAULT_RUNS_TABLE = 'analytics_runs';
+
+// The counter lives in the runs table under an ID no run ever gets
+const COUNTER_ID = 0;
+
+const RUN_STATUSES = ['allocated', 'grading', 'graded', 'summarized', 'failed'];
+
+/**
+ * Highest analyticsId already stored in the results table (0 when empty).
+ * Only used once, to seed the counter so new IDs continue after existing data.
+ */
+async function highestExistingAnalyticsId({ dynamodb, resultsTable }) {
+  let highest = 0;
+  for (const item of await scanAll(dynamodb, { TableName: resultsTable, ProjectionExpression: 'analyticsId' })) {
+    const id = Number(item.analyticsId && item.analyticsId.N);
+    if (Number.isFinite(id) && id > highest) highest = id;
+  }
+  return highest;
+}
+
+/**
+ * Allocate the next analytics run ID and create its run record with status
+ * `allocated`. The counter is advanced with a conditional update on its
+ * previous value; a concurrent allocation makes the condition fail and the
+ * allocation is retried with the new value.
+ */
+async function allocateAnalyticsId({ dynamodb, runsTable = DEFAULT_RUNS_TABLE, resultsTable, details = {}, maxAttempts = 10 }) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const counter = await dynamodb.send(new GetItemCommand({
+      TableName: runsTable,
+      Key: { analyticsId: { N: String(COUNTER_ID) } },
+      ConsistentRead: true
+    }));
+    const current = counter.Item && counter.Item.lastAnalyticsId ? Number(counter.Item.lastAnalyticsId.N) : null;
+    const base = current ?? (resultsTable ? await highestExistingAnalyticsId({ dynamodb, resultsTable }) : 0);
+    const next = base + 1;
+
+    try {
+      await dynamodb.send(new UpdateItemCommand({
+        TableName: runsTable,
+        Key: { analyticsId: { N: String(COUNTER_ID) } },
+        UpdateExpression: 'SET lastAnalyticsId = :next',
+        ConditionExpression: current === null ? 'attribute_not_exists(lastAnalyticsId)' : 'lastAnalyticsId = :current',
+        ExpressionAttributeValues: {
+          ':next': { N: String(next) },
+          ...(current === null ? {} : { ':current': { N: String(current) } })
+        }
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException' && attempt < maxAttempts) {
+        console.log(`  analyticsId ${next} was taken by another run, retrying (${attempt}/${maxAttempts})`);
+        continue;
+      }
+      throw error;
+    }
+
+    await updateRun(next, 'allocated', { ...details, createdAt: new Date().toISOString() }, { dynamodb, runsTable });
+    console.log(`✓ Allocated analyticsId ${next}`);
+    return next;
+  }
+  throw new Error(`Could not allocate an analyticsId after ${maxAttempts} attempts`);
+}
+
+/**
+ * Set a run's status and merge `details` (counts, runId, error, ...) into its
+ * record. Marking a run `graded` also advances the counter's
+ * `lastGradedAnalyticsId`, which is what summarize uses by default.
+ */
+async function updateRun(analyticsId, status, details = {}, { dynamodb, runsTable = DEFAULT_RUNS_TABLE }) {
+  if (!RUN_STATUSES.includes(status)) throw new Error(`Unknown run status "${status}". Valid: ${RUN_STATUSES.join(', ')}`);
+  const fields = { ...details, status, updatedAt: new Date().toISOString() };
+  const entries = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null);
+
+  await dynamodb.send(new UpdateItemCommand({
+    TableName: runsTable,
+    Key: { analyticsId: { N: String(analyticsId) } },
+    UpdateExpression: `SET ${entries.map((_, i) => `#f${i} = :v${i}`).join(', ')}`,
+    ExpressionAttributeNames: Object.fromEntries(entries.map(([name], i) => [`#f${i}`, name])),
+    ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], i) => [`:v${i}`, toAttributeValue(value)]))
+  }));
+
+  if (status === 'graded') {
+    try {
+      await dynamodb.send(new UpdateItemCommand({
+        TableName: runsTable,
+        Key: { analyticsId: { N: String(COUNTER_ID) } },
+        UpdateExpression: 'SET lastGradedAnalyticsId = :id',
+        ConditionExpression: 'attribute_not_exists(lastGradedAnalyticsId) OR lastGradedAnalyticsId < :id',
+        ExpressionAttributeValues: { ':id': { N: String(analyticsId) } }
+      }));
+    } catch (error) {
+      // A later run was already graded; it stays the latest
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+}
+
+/**
+ * A run record as a plain object, or null when there is none
+ */
+async function getRun(analyticsId, { dynamodb, runsTable = DEFAULT_RUNS_TABLE }) {
+  const response = await dynamodb.send(new GetItemCommand({
+    TableName: runsTable,
+    Key: { analyticsId: { N: String(analyticsId) } },
+    ConsistentRead: true
+  }));
+  return response.Item ? fromDynamoDBFormat(response.Item) : null;
+}
+
+/**
+ * The most recently graded run, or null when no run was graded yet
+ */
+async function getLatestGradedRun({ dynamodb, runsTable = DEFAULT_RUNS_TABLE }) {
+  const counter = await getRun(COUNTER_ID, { dynamodb, runsTable });
+  if (!counter || counter.lastGradedAnalyticsId === undefined) return null;
+  return getRun(counter.lastGradedAnalyticsId, { dynamodb, runsTable });
+}
+
+export {
+  DEFAULT_RUNS_TABLE,
+  RUN_STATUSES,
+  allocateAnalyticsId,
+  updateRun,
+  getRun,
+  getLatestGradedRun
+};
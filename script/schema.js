@@ -0,0 +1,140 @@
+// Aithentic Assignment Grading System - Result Schema
+// Declares the shape of a grading result (types, ranges, required text) and
+// coerces model output into one canonical plain object, so only results that
+// pass are written to DynamoDB and anything else is quarantined.
+
+// Field specs: type is 'integer', 'number', 'string', 'id' (number or
+// string; digit strings become numbers) or 'object' (with its own `fields`)
+const RESULT_SCHEMA = {
+  analyticsId: { type: 'integer', min: 1, required: true },
+  assignmentId: { type: 'id', required: true },
+  gradeReceived: { type: 'number', min: 0, max: 100, required: true },
+  aiGeneratedAnalytics: {
+    type: 'object',
+    required: true,
+    fields: {
+      percentageOfAIUsed: { type: 'number', min: 0, max: 100, required: true },
+      reasoning: { type: 'string' }
+    }
+  },
+  plagarismAnalytics: {
+    type: 'object',
+    required: true,
+    fields: {
+      plagarisedPercentage: { type: 'number', min: 0, max: 100, required: true },
+      reasoning: { type: 'string' }
+    }
+  },
+  gradeReasoning: { type: 'string', required: true, minLength: 1 },
+  remarks: { type: 'string', required: true }
+};
+
+/**
+ * Read a number from a model value: numbers as they are, numeric strings
+ * ("85", " 85.5 ", "85%") parsed; anything else is undefined
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value !== 'string') return undefined;
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*%?$/);
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Check and coerce one value against its spec. Returns the coerced value and
+ * pushes a message per problem (prefixed with the field path) onto `errors`.
+ */
+function coerceField(value, spec, fieldPath, errors) {
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '' && spec.type !== 'string')) {
+    if (spec.required) errors.push(`${fieldPath} is required`);
+    return undefined;
+  }
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const number = toNumber(value);
+      if (number === undefined) {
+        errors.push(`${fieldPath} must be a number (got ${JSON.stringify(value)})`);
+        return undefined;
+      }
+      if (spec.type === 'integer' && !Number.isInteger(number)) errors.push(`${fieldPath} must be an integer (got ${number})`);
+      if (spec.min !== undefined && number < spec.min) errors.push(`${fieldPath} must be at least ${spec.min} (got ${number})`);
+      if (spec.max !== undefined && number > spec.max) errors.push(`${fieldPath} must be at most ${spec.max} (got ${number})`);
+      return number;
+    }
+    case 'id': {
+      if (typeof value !== 'number' && typeof value !== 'string') {
+        errors.push(`${fieldPath} must be a number or string`);
+        return undefined;
+      }
+      const id = String(value).trim();
+      return /^\d+$/.test(id) ? Number(id) : id;
+    }
+    case 'string': {
+      if (typeof value !== 'string') {
+        errors.push(`${fieldPath} must be text (got ${typeof value})`);
+        return undefined;
+      }
+      const text = value.trim();
+      if (spec.minLength && text.length < spec.minLength) errors.push(`${fieldPath} must not be empty`);
+      return text;
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${fieldPath} must be an object`);
+        return undefined;
+      }
+      return coerceObject(value, spec.fields, `${fieldPath}.`, errors);
+    }
+    default:
+      throw new Error(`Unknown schema type "${spec.type}" for ${fieldPath}`);
+  }
+}
+
+/**
+ * Coerce the declared fields of an object; undeclared fields are kept as
+ * they are (modelProvider, chunks, submission identity, ...)
+ */
+function coerceObject(value, fields, prefix, errors) {
+  const out = { ...value };
+  for (const [name, spec] of Object.entries(fields)) {
+    const coerced = coerceField(value[name], spec, `${prefix}${name}`, errors);
+    if (coerced === undefined) delete out[name];
+    else out[name] = coerced;
+  }
+  return out;
+}
+
+/**
+ * Validate a plain result object against RESULT_SCHEMA. Returns
+ *   { valid, value, errors }
+ * where `value` is the coerced result and `errors` lists every problem found.
+ */
+function validateResult(result, schema = RESULT_SCHEMA) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return { valid: false, value: null, errors: ['result must be an object'] };
+  }
+  const errors = [];
+  const value = coerceObject(result, schema, '', errors);
+  return { valid: errors.length === 0, value, errors };
+}
+
+/**
+ * Error for model output that could not be parsed or failed validation.
+ * Carries the validation errors and the raw response for quarantine.
+ */
+function invalidResultError(message, { errors = [message], raw, provider } = {}) {
+  const error = new Error(message);
+  error.invalidResult = true;
+  error.validationErrors = errors;
+  error.rawResponse = raw;
+  error.provider = provider;
+  return error;
+}
+
+export {
+  RESULT_SCHEMA,
+  validateResult,
+  invalidResultError
+};
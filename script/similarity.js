@@ -0,0 +1,207 @@
+// Aithentic Assignment Grading System - Submission Similarity
+// Fingerprints converted submissions (word shingles, a MinHash signature to
+// estimate how much two texts share, and winnowed fingerprints to find the
+// shared passages) and reports pairs of submissions above a threshold. Unlike
+// the model's plagiarism estimate, this compares students with each other.
+
+const DEFAULT_SHINGLE_WORDS = 5;
+const DEFAULT_WINNOW_WINDOW = 4;
+const DEFAULT_NUM_HASHES = 128;
+const DEFAULT_THRESHOLD = 40; // percent
+const DEFAULT_MAX_PASSAGES = 3;
+const PASSAGE_MAX_CHARS = 300;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mix a 32-bit value (murmur3 finalizer); with a different seed per slot this
+ * gives the MinHash family of hash functions
+ */
+function mix(value, seed) {
+  let h = (value ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+const SEEDS = Array.from({ length: 1024 }, (_, i) => mix(i + 1, 0x9e3779b9));
+
+/**
+ * Lower-cased words of a text with their character offsets; punctuation,
+ * spacing and case differences do not hide copied text
+ */
+function tokenize(text) {
+  const words = [];
+  const spans = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    words.push(match[0].toLowerCase());
+    spans.push([match.index, match.index + match[0].length]);
+  }
+  return { words, spans };
+}
+
+/**
+ * Winnowing: the smallest hash of every `window` consecutive shingle hashes
+ * (the rightmost on ties), each kept once. Any passage of at least
+ * window + shingle - 1 words shared by two texts yields a shared fingerprint.
+ */
+function winnow(hashes, window) {
+  const fingerprints = [];
+  if (hashes.length === 0) return fingerprints;
+  const size = Math.min(window, hashes.length);
+  let last = -1;
+  for (let start = 0; start + size <= hashes.length; start++) {
+    let min = start;
+    for (let i = start + 1; i < start + size; i++) {
+      if (hashes[i] <= hashes[min]) min = i;
+    }
+    if (min !== last) {
+      fingerprints.push({ hash: hashes[min], position: min });
+      last = min;
+    }
+  }
+  return fingerprints;
+}
+
+/**
+ * Fingerprint a text:
+ *   { signature, fingerprints: [{ hash, position }], wordCount, spans }
+ * `signature` is the MinHash of its word shingles (empty when the text is
+ * shorter than one shingle), `position` a fingerprint's first word and
+ * `spans` each word's character offsets (used to quote passages).
+ */
+function fingerprintText(text, { shingleWords = DEFAULT_SHINGLE_WORDS, window = DEFAULT_WINNOW_WINDOW, numHashes = DEFAULT_NUM_HASHES } = {}) {
+  if (numHashes > SEEDS.length) throw new Error(`At most ${SEEDS.length} MinHash functions are supported`);
+  const { words, spans } = tokenize(text);
+  const hashes = [];
+  for (let i = 0; i + shingleWords <= words.length; i++) {
+    hashes.push(hashString(words.slice(i, i + shingleWords).join(' ')));
+  }
+
+  const signature = hashes.length === 0 ? [] : new Array(numHashes).fill(0xffffffff);
+  for (const hash of new Set(hashes)) {
+    for (let i = 0; i < signature.length; i++) {
+      const value = mix(hash, SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+
+  return { signature, fingerprints: winnow(hashes, window), wordCount: words.length, spans, shingleWords, window };
+}
+
+/**
+ * Estimated share of word shingles two texts have in common (Jaccard
+ * similarity from their MinHash signatures), as a percentage
+ */
+function estimateSimilarity(a, b) {
+  const size = Math.min(a.signature.length, b.signature.length);
+  if (size === 0) return 0;
+  let same = 0;
+  for (let i = 0; i < size; i++) {
+    if (a.signature[i] === b.signature[i]) same++;
+  }
+  return Math.round((same / size) * 1000) / 10;
+}
+
+/**
+ * Quote a word range of a text, whitespace collapsed and cut at `maxChars`
+ */
+function excerpt(text, spans, fromWord, toWord, maxChars) {
+  const quoted = text.slice(spans[fromWord][0], spans[toWord][1]).replace(/\s+/g, ' ').trim();
+  return quoted.length > maxChars ? `${quoted.slice(0, maxChars - 1)}…` : quoted;
+}
+
+/**
+ * Passages two texts share, longest first: runs of winnowed fingerprints found
+ * in both, in the same order. Returns up to `maxPassages` of
+ *   { text, matchedText, words }
+ * quoting text `a` and text `b`; `words` is the passage's length in `a`.
+ */
+function matchingPassages(a, textA, b, textB, { maxPassages = DEFAULT_MAX_PASSAGES, maxChars = PASSAGE_MAX_CHARS } = {}) {
+  const positionsInB = new Map();
+  for (const { hash, position } of b.fingerprints) {
+    if (!positionsInB.has(hash)) positionsInB.set(hash, []);
+    positionsInB.get(hash).push(position);
+  }
+
+  const shingle = a.shingleWords;
+  const gap = shingle + a.window;
+  const runs = [];
+  let run = null;
+  for (const { hash, position } of a.fingerprints) {
+    const candidates = positionsInB.get(hash);
+    if (!candidates) continue;
+    // Continue the current run when b has this fingerprint shortly after it
+    const next = run && candidates.find(p => p >= run.bStart && p - run.bEnd <= gap);
+    if (run && next !== undefined && position - run.aEnd <= gap) {
+      run.aEnd = position;
+      run.bEnd = Math.max(run.bEnd, next);
+    } else {
+      run = { aStart: position, aEnd: position, bStart: candidates[0], bEnd: candidates[0] };
+      runs.push(run);
+    }
+  }
+
+  return runs
+    .map(r => ({ ...r, words: r.aEnd - r.aStart + shingle }))
+    .sort((x, y) => y.words - x.words)
+    .slice(0, maxPassages)
+    .sort((x, y) => x.aStart - y.aStart)
+    .map(r => ({
+      text: excerpt(textA, a.spans, r.aStart, r.aEnd + shingle - 1, maxChars),
+      matchedText: excerpt(textB, b.spans, r.bStart, r.bEnd + shingle - 1, maxChars),
+      words: r.words
+    }));
+}
+
+/**
+ * Compare every pair of documents in a batch. Each document is
+ *   { id, text, fingerprint, group, owner }
+ * Only documents in the same `group` (e.g. the same course and assignment)
+ * are compared, and never two of the same `owner` (student). Returns the
+ * pairs at or above `threshold` percent, most similar first:
+ *   [{ a, b, similarity, passages }]
+ * with `a`/`b` the documents' ids and passages quoting both.
+ */
+function findSimilarPairs(documents, { threshold = DEFAULT_THRESHOLD, maxPassages = DEFAULT_MAX_PASSAGES } = {}) {
+  const pairs = [];
+  for (let i = 0; i < documents.length; i++) {
+    for (let j = i + 1; j < documents.length; j++) {
+      const a = documents[i];
+      const b = documents[j];
+      if ((a.group || '') !== (b.group || '')) continue;
+      if (a.owner && a.owner === b.owner) continue;
+      const similarity = estimateSimilarity(a.fingerprint, b.fingerprint);
+      if (similarity < threshold || similarity === 0) continue;
+      pairs.push({
+        a: a.id,
+        b: b.id,
+        similarity,
+        passages: matchingPassages(a.fingerprint, a.text, b.fingerprint, b.text, { maxPassages })
+      });
+    }
+  }
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+export {
+  DEFAULT_SHINGLE_WORDS,
+  DEFAULT_THRESHOLD,
+  DEFAULT_MAX_PASSAGES,
+  hashString,
+  winnow,
+  fingerprintText,
+  estimateSimilarity,
+  matchingPassages,
+  findSimilarPairs
+};
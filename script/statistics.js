@@ -0,0 +1,187 @@
+// Aithentic Assignment Grading System - Class Statistics
+// Distributions behind an analytics summary: descriptive statistics,
+// histograms, letter-grade buckets and the correlation between AI use and
+// grade, plus the per-course thresholds at which submissions are flagged.
+
+import fs from 'fs';
+
+const fsp = fs.promises;
+
+const DEFAULT_COURSE_THRESHOLDS_FILE = './course-thresholds.json';
+
+const DEFAULT_THRESHOLDS = {
+  aiThreshold: 70,
+  plagiarismThreshold: 50,
+  letterGrades: { A: 90, B: 80, C: 70, D: 60, F: 0 }
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Value at quantile `q` (0-1) of sorted values, interpolating between the
+ * two nearest ones (the method spreadsheets and numpy use by default)
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * Descriptive statistics of a list of numbers:
+ *   { count, mean, median, standardDeviation, min, max, quartiles: { q1, q2, q3 } }
+ * The standard deviation is the population one: a class is all of its
+ * submissions, not a sample of them. All zero for an empty list.
+ */
+function describe(values) {
+  if (values.length === 0) {
+    return { count: 0, mean: 0, median: 0, standardDeviation: 0, min: 0, max: 0, quartiles: { q1: 0, q2: 0, q3: 0 } };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sorted.length;
+  return {
+    count: sorted.length,
+    mean: round(mean),
+    median: round(quantile(sorted, 0.5)),
+    standardDeviation: round(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    quartiles: { q1: round(quantile(sorted, 0.25)), q2: round(quantile(sorted, 0.5)), q3: round(quantile(sorted, 0.75)) }
+  };
+}
+
+/**
+ * Counts of values in bins of `binWidth` from `min` up to `max`:
+ *   [{ from, to, count }]
+ * Bins include `from` and exclude `to`, except the last, which includes
+ * `max` (a grade of 100 falls in 90-100). Values above `max` widen the range.
+ */
+function histogram(values, { binWidth = 10, min = 0, max = 100 } = {}) {
+  const top = Math.max(max, ...values);
+  const bins = [];
+  for (let from = min; from < top || bins.length === 0; from += binWidth) {
+    bins.push({ from, to: from + binWidth, count: 0 });
+  }
+  for (const value of values) {
+    const index = Math.min(bins.length - 1, Math.max(0, Math.floor((value - min) / binWidth)));
+    bins[index].count++;
+  }
+  return bins;
+}
+
+/**
+ * Letter of a grade on a scale of { letter: minimum grade }; the lowest
+ * letter when it is below every minimum
+ */
+function letterFor(grade, letterGrades) {
+  const scale = Object.entries(letterGrades).sort((a, b) => b[1] - a[1]);
+  const found = scale.find(([, minimum]) => grade >= minimum);
+  return (found || scale[scale.length - 1])[0];
+}
+
+/**
+ * Pearson correlation of two equally long lists, from -1 to 1; undefined
+ * with fewer than three pairs or when either list does not vary
+ */
+function correlation(xs, ys) {
+  if (xs.length < 3 || xs.length !== ys.length) return undefined;
+  const meanX = xs.reduce((sum, v) => sum + v, 0) / xs.length;
+  const meanY = ys.reduce((sum, v) => sum + v, 0) / ys.length;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < xs.length; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return undefined;
+  return round(covariance / Math.sqrt(varianceX * varianceY), 3);
+}
+
+/**
+ * Validate one course's thresholds (a partial override of `base`) and
+ * return them complete. Problems are added to `errors`.
+ */
+function parseThresholds(json, label, base, errors) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    errors.push(`${label} must be an object`);
+    return base;
+  }
+  const parsed = { ...base };
+  for (const name of ['aiThreshold', 'plagiarismThreshold']) {
+    if (json[name] === undefined) continue;
+    const value = Number(json[name]);
+    if (!(value >= 0 && value <= 100)) errors.push(`${label}.${name} must be a percentage from 0 to 100`);
+    else parsed[name] = value;
+  }
+  if (json.letterGrades !== undefined) {
+    const entries = json.letterGrades && typeof json.letterGrades === 'object' ? Object.entries(json.letterGrades) : [];
+    if (entries.length === 0) errors.push(`${label}.letterGrades must map letters to minimum grades`);
+    else if (entries.some(([, minimum]) => !Number.isFinite(Number(minimum)))) errors.push(`${label}.letterGrades minimums must be numbers`);
+    else parsed.letterGrades = Object.fromEntries(entries.map(([letter, minimum]) => [letter, Number(minimum)]));
+  }
+  return parsed;
+}
+
+/**
+ * Parse a course thresholds file:
+ *   { "default": { aiThreshold, plagiarismThreshold, letterGrades }, "<course>": { ... } }
+ * Every entry may set only some fields; the rest come from "default", which
+ * itself falls back to `defaults`. Returns { default, courses: { <course>: thresholds } }.
+ * Throws listing every problem found.
+ */
+function parseCourseThresholds(json, source = '(course thresholds)', defaults = DEFAULT_THRESHOLDS) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error(`Invalid course thresholds ${source}: expected an object keyed by course`);
+  }
+  const errors = [];
+  const fallback = json.default !== undefined ? parseThresholds(json.default, 'default', defaults, errors) : defaults;
+  const courses = {};
+  for (const [course, entry] of Object.entries(json)) {
+    if (course !== 'default') courses[course] = parseThresholds(entry, course, fallback, errors);
+  }
+  if (errors.length > 0) throw new Error(`Invalid course thresholds ${source}: ${errors.join('; ')}`);
+  return { default: fallback, courses };
+}
+
+/**
+ * Load a course thresholds file; only `defaults` when the file does not exist
+ */
+async function loadCourseThresholds(filePath = DEFAULT_COURSE_THRESHOLDS_FILE, defaults = DEFAULT_THRESHOLDS) {
+  let text;
+  try {
+    text = await fsp.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { default: defaults, courses: {} };
+    throw error;
+  }
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid course thresholds ${filePath}: ${error.message}`);
+  }
+  return parseCourseThresholds(json, filePath, defaults);
+}
+
+/**
+ * Thresholds for a submission's course
+ */
+function thresholdsFor(course, thresholds) {
+  return (course !== undefined && course !== null && thresholds.courses[String(course)]) || thresholds.default;
+}
+
+export {
+  DEFAULT_COURSE_THRESHOLDS_FILE,
+  DEFAULT_THRESHOLDS,
+  describe,
+  histogram,
+  letterFor,
+  correlation,
+  parseCourseThresholds,
+  loadCourseThresholds,
+  thresholdsFor
+};
@@ -0,0 +1,267 @@
+// Aithentic Assignment Grading System - Document Structure
+// Builds a page/section outline of extracted text (headings, sections, lists,
+// tables, word counts) so grading output and reviewers can point at
+// "page 3, section 2" instead of an offset in one flat string.
+
+const STRUCTURE_VERSION = 1;
+const MAX_TABLE_ROWS = 50; // rows kept per table in the JSON (the rest are only counted)
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+const FILE_MARKER = /^----- FILE: (.+?)(?: \(([\w+#-]+)\))? -----$/;
+const END_FILE_MARKER = /^----- END FILE: .+ -----$/;
+const PROSE_LANGUAGES = new Set([undefined, 'markdown', 'text', 'rst', 'notebook']);
+const KEYWORD_HEADING = /^(question|q|part|section|chapter|task|exercise|problem|assignment|appendix|unit)\s*[\dA-Z][\w.]*\b\s*[:.)\-–]?/i;
+const NUMBERED_HEADING = /^(\d+(?:\.\d+){0,3})[.)]?\s+(\S.*)$/;
+const LIST_ITEM = /^([-*•◦▪‣]|\d+[.)]|[a-zA-Z][.)]|\(\w{1,4}\))\s+\S/;
+const MARKDOWN_TABLE_SEPARATOR = /^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/;
+
+function countWords(text) {
+  const words = text.match(/\S+/g);
+  return words ? words.length : 0;
+}
+
+/**
+ * Split a line into table cells (tab-, pipe- or wide-space-separated), or
+ * null when it does not look like a table row
+ */
+function tableCells(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+  let cells;
+  if (trimmed.includes('\t')) cells = trimmed.split('\t');
+  else if (/^\|.*\|$/.test(trimmed) || (trimmed.match(/\|/g) || []).length >= 2) cells = trimmed.replace(/^\||\|$/g, '').split('|');
+  else cells = trimmed.split(/\s{3,}/);
+  cells = cells.map(cell => cell.trim());
+  return cells.filter(Boolean).length >= 2 ? cells : null;
+}
+
+/**
+ * Lines repeated on at least half of the pages (3+ pages) are running
+ * headers/footers ("Name: ...", "PRN: ..."), never section headings.
+ * Digits are ignored so page numbers still match.
+ */
+function repeatedLines(pages) {
+  if (pages.length < 3) return new Set();
+  const counts = new Map();
+  for (const page of pages) {
+    const unique = new Set(page.split('\n').map(line => line.trim().replace(/\d+/g, '#')).filter(Boolean));
+    unique.forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+  }
+  return new Set([...counts].filter(([, count]) => count >= pages.length / 2).map(([line]) => line));
+}
+
+/**
+ * Heading level and title for a line, or null. `inList` is true when the
+ * line is part of a run of list items (so "1. Intro" in a list stays an item),
+ * `standalone` when it follows a blank line or starts the page, and
+ * `followedByText` when the next line is not blank.
+ */
+function headingOf(line, { inList, standalone, followedByText }) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 100) return null;
+
+  let match = trimmed.match(MARKDOWN_HEADING);
+  if (match) return { level: match[1].length, title: match[2] };
+  match = trimmed.match(FILE_MARKER);
+  if (match) return { level: 1, title: match[1] };
+  if (inList) return null;
+
+  if (trimmed.length <= 80 && KEYWORD_HEADING.test(trimmed)) return { level: 1, title: trimmed };
+
+  match = trimmed.match(NUMBERED_HEADING);
+  if (match && /^[A-Z]/.test(match[2]) && countWords(match[2]) <= 10 && !/[.,;]$/.test(match[2])) {
+    return { level: match[1].split('.').filter(Boolean).length, title: trimmed };
+  }
+
+  // Short ALL-CAPS lines ("INTRODUCTION", "RESULTS AND DISCUSSION")
+  const letters = trimmed.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 3 && letters === letters.toUpperCase() && countWords(trimmed) <= 8 && !/[.,;]$/.test(trimmed)) {
+    return { level: 1, title: trimmed };
+  }
+
+  // Short standalone title lines ("Introduction", "Architecture Diagram").
+  // Single words also need text right below them, which rules out the
+  // one-word-per-line runs PDF extraction produces for justified text.
+  const words = countWords(trimmed);
+  if (standalone && /^[A-Z]/.test(trimmed) && trimmed.length <= 50 && words <= 6 && !/[.,;:!?]$/.test(trimmed) && (words > 1 || followedByText)) {
+    return { level: 1, title: trimmed };
+  }
+  return null;
+}
+
+/**
+ * Analyse extracted pages (text split on form feeds). Returns
+ *   { version, pageCount, wordCount, pages, sections, tables, lists }
+ * Pages, sections and lines are numbered from 1; section 0 is the text
+ * before the first heading, when there is any.
+ */
+function analyzeStructure(pages, { sourceFile, format } = {}) {
+  const structure = {
+    version: STRUCTURE_VERSION,
+    sourceFile,
+    format,
+    pageCount: pages.length,
+    wordCount: 0,
+    pages: [],
+    sections: [],
+    tables: [],
+    lists: []
+  };
+
+  let section = { index: 0, title: null, level: 0, page: 1, line: 1, endPage: 1, wordCount: 0 };
+  let nextSection = 1;
+  const boilerplate = repeatedLines(pages);
+  // Code fences and source files from archive bundles carry over page breaks
+  let inFence = false;
+  let inSourceFile = false;
+
+  pages.forEach((pageText, pageIndex) => {
+    const pageNumber = pageIndex + 1;
+    const lines = pageText.split('\n');
+    const pageInfo = { page: pageNumber, wordCount: countWords(pageText), characterCount: pageText.length, headings: [], tables: 0, lists: 0, text: pageText };
+    structure.wordCount += pageInfo.wordCount;
+
+    // Code is never split into headings, lists or tables
+    const inCode = lines.map((line) => {
+      const trimmed = line.trim();
+      const marker = trimmed.match(FILE_MARKER);
+      if (marker) {
+        inSourceFile = !PROSE_LANGUAGES.has(marker[2]);
+        return false;
+      }
+      if (END_FILE_MARKER.test(trimmed)) {
+        inSourceFile = false;
+        return true;
+      }
+      if (trimmed.startsWith('```')) {
+        inFence = !inFence;
+        return true;
+      }
+      return inFence || inSourceFile;
+    });
+
+    // Tables: runs of 2+ rows with similar column counts
+    const inTable = new Array(lines.length).fill(false);
+    for (let i = 0; i < lines.length;) {
+      const first = inCode[i] ? null : tableCells(lines[i]);
+      if (!first) { i++; continue; }
+      const rows = [first];
+      let j = i + 1;
+      while (j < lines.length) {
+        if (MARKDOWN_TABLE_SEPARATOR.test(lines[j].trim())) { j++; continue; }
+        const cells = inCode[j] ? null : tableCells(lines[j]);
+        if (!cells || Math.abs(cells.length - first.length) > 1) break;
+        rows.push(cells);
+        j++;
+      }
+      if (rows.length >= 2) {
+        structure.tables.push({
+          index: structure.tables.length + 1,
+          page: pageNumber,
+          line: i + 1,
+          rows: rows.length,
+          columns: Math.max(...rows.map(row => row.length)),
+          cells: rows.slice(0, MAX_TABLE_ROWS)
+        });
+        pageInfo.tables++;
+        for (let k = i; k < j; k++) inTable[k] = true;
+        i = j;
+      } else {
+        i++;
+      }
+    }
+
+    // Lists: runs of 2+ list items outside tables. A line continues the
+    // previous item when that item's text has not ended a sentence yet.
+    const inList = new Array(lines.length).fill(false);
+    for (let i = 0; i < lines.length;) {
+      if (inTable[i] || inCode[i] || !LIST_ITEM.test(lines[i].trim())) { i++; continue; }
+      let j = i;
+      let items = 0;
+      while (j < lines.length && !inTable[j] && !inCode[j]) {
+        const trimmed = lines[j].trim();
+        if (LIST_ITEM.test(trimmed)) items++;
+        else if (!trimmed || /[.!?:;]$/.test(lines[j - 1].trim())) break;
+        j++;
+      }
+      if (items >= 2) {
+        structure.lists.push({
+          page: pageNumber,
+          line: i + 1,
+          ordered: /^(\d+|[a-zA-Z])[.)]|^\(/.test(lines[i].trim()),
+          items
+        });
+        pageInfo.lists++;
+        for (let k = i; k < j; k++) inList[k] = true;
+      }
+      i = j;
+    }
+
+    lines.forEach((line, lineIndex) => {
+      const heading = inTable[lineIndex] || inCode[lineIndex] || boilerplate.has(line.trim().replace(/\d+/g, '#'))
+        ? null
+        : headingOf(line, {
+          inList: inList[lineIndex],
+          standalone: lineIndex === 0 || !lines[lineIndex - 1].trim(),
+          followedByText: lineIndex + 1 < lines.length && Boolean(lines[lineIndex + 1].trim())
+        });
+      if (heading) {
+        if (section.index > 0 || section.wordCount > 0) structure.sections.push(section);
+        section = {
+          index: nextSection++,
+          title: heading.title,
+          level: heading.level,
+          page: pageNumber,
+          line: lineIndex + 1,
+          endPage: pageNumber,
+          wordCount: 0
+        };
+        pageInfo.headings.push({ section: section.index, title: heading.title, level: heading.level, line: lineIndex + 1 });
+        return;
+      }
+      const words = countWords(line);
+      if (words > 0) {
+        section.wordCount += words;
+        section.endPage = pageNumber;
+      }
+    });
+
+    structure.pages.push(pageInfo);
+  });
+
+  if (section.index > 0 || section.wordCount > 0) structure.sections.push(section);
+  return structure;
+}
+
+/**
+ * Text with `[Page N]` markers before every page and `[Section K]` before
+ * every heading, so references survive whitespace normalisation
+ */
+function annotateText(structure) {
+  return structure.pages.map((page) => {
+    const headingsByLine = new Map(page.headings.map(h => [h.line, h.section]));
+    const lines = page.text.split('\n').map((line, i) => (headingsByLine.has(i + 1) ? `[Section ${headingsByLine.get(i + 1)}] ${line}` : line));
+    return `[Page ${page.page}]\n${lines.join('\n')}`;
+  }).join('\f');
+}
+
+/**
+ * Compact outline for the grading payload: one entry per section
+ */
+function outlineOf(structure) {
+  return structure.sections.map(s => ({
+    section: s.index,
+    title: s.title,
+    level: s.level,
+    pages: s.page === s.endPage ? String(s.page) : `${s.page}-${s.endPage}`,
+    wordCount: s.wordCount
+  }));
+}
+
+export {
+  STRUCTURE_VERSION,
+  countWords,
+  analyzeStructure,
+  annotateText,
+  outlineOf
+};
@@ -0,0 +1,211 @@
+// Aithentic Assignment Grading System - Stylometry
+// An offline second opinion on AI authorship. Measures writing style
+// (sentence-length burstiness, vocabulary richness, punctuation and
+// function-word profiles), compares it with the same student's earlier
+// submissions, and turns the readings into a score with a reason for each
+// signal, so a disputed model estimate can be checked against evidence.
+
+const MIN_WORDS = 100;
+const MIN_SENTENCES = 5;
+const TTR_WINDOW = 50;
+const DEFAULT_DISAGREEMENT = 40; // points between the model's and the local score
+
+// Common function words; how often a writer uses them is a stable habit that
+// topic barely changes, which makes them a good fingerprint of style
+const FUNCTION_WORDS = [
+  'the', 'of', 'and', 'to', 'a', 'in', 'that', 'is', 'it', 'for', 'as', 'with', 'was', 'on', 'be', 'by',
+  'this', 'are', 'or', 'not', 'but', 'from', 'at', 'which', 'an', 'have', 'has', 'can', 'also', 'however',
+  'so', 'if', 'there', 'their', 'they', 'we', 'i', 'my', 'our', 'these', 'such', 'more', 'would', 'could',
+  'very', 'just', 'really', 'thus', 'moreover', 'furthermore'
+];
+
+const PUNCTUATION = {
+  comma: /,/g,
+  semicolon: /;/g,
+  colon: /:/g,
+  exclamation: /!/g,
+  question: /\?/g,
+  dash: /—|–|\s-\s/g,
+  parenthesis: /\(/g,
+  quote: /["“”]/g
+};
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * The prose of a submission: source files of archive bundles and fenced
+ * code blocks are left out, since code says nothing about writing style
+ */
+function proseOf(text) {
+  const kept = [];
+  let inside = null;
+  for (const line of text.split(/\n|\f/)) {
+    if (inside) {
+      if (inside === 'fence' ? /^```\s*$/.test(line) : line.startsWith('----- END FILE: ')) inside = null;
+      continue;
+    }
+    if (line.startsWith('----- FILE: ')) inside = 'file';
+    else if (/^```/.test(line)) inside = 'fence';
+    else kept.push(line);
+  }
+  return kept.join('\n');
+}
+
+/**
+ * Moving-average type/token ratio: the share of distinct words in every
+ * TTR_WINDOW-word window, averaged, so long and short texts compare fairly
+ */
+function movingTypeTokenRatio(words) {
+  if (words.length <= TTR_WINDOW) return words.length === 0 ? 0 : new Set(words).size / words.length;
+  let total = 0;
+  const windows = words.length - TTR_WINDOW + 1;
+  for (let i = 0; i < windows; i++) total += new Set(words.slice(i, i + TTR_WINDOW)).size / TTR_WINDOW;
+  return total / windows;
+}
+
+/**
+ * Stylometric features of a text, or null when it has too little prose
+ * (MIN_WORDS words in MIN_SENTENCES sentences) to say anything:
+ *   { features: { wordCount, sentenceCount, meanSentenceLength, sentenceLengthStdDev,
+ *                 burstiness, typeTokenRatio, averageWordLength, punctuationPer1000Words },
+ *     functionWords: { the: <share of words>, ... } }
+ * Burstiness is (sd - mean) / (sd + mean) of sentence lengths: close to -1
+ * when every sentence is about as long as the others, higher when short and
+ * long sentences alternate.
+ */
+function analyzeStyle(text) {
+  const prose = proseOf(text);
+  const words = (prose.toLowerCase().match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu) || []);
+  const sentences = prose
+    .split(/(?<=[.!?])\s+|\n\s*\n/)
+    .map(s => (s.match(/[\p{L}\p{N}]+/gu) || []).length)
+    .filter(length => length > 0);
+  if (words.length < MIN_WORDS || sentences.length < MIN_SENTENCES) return null;
+
+  const mean = sentences.reduce((sum, n) => sum + n, 0) / sentences.length;
+  const sd = Math.sqrt(sentences.reduce((sum, n) => sum + (n - mean) ** 2, 0) / sentences.length);
+  const per1000 = (count) => round((count / words.length) * 1000, 2);
+  const counts = new Map();
+  for (const word of words) counts.set(word, (counts.get(word) || 0) + 1);
+
+  return {
+    features: {
+      wordCount: words.length,
+      sentenceCount: sentences.length,
+      meanSentenceLength: round(mean, 2),
+      sentenceLengthStdDev: round(sd, 2),
+      burstiness: round((sd - mean) / (sd + mean)),
+      typeTokenRatio: round(movingTypeTokenRatio(words)),
+      averageWordLength: round(words.reduce((sum, w) => sum + w.length, 0) / words.length, 2),
+      punctuationPer1000Words: Object.fromEntries(Object.entries(PUNCTUATION).map(([name, pattern]) => [name, per1000((prose.match(pattern) || []).length)]))
+    },
+    functionWords: Object.fromEntries(FUNCTION_WORDS.map(word => [word, round((counts.get(word) || 0) / words.length, 5)]))
+  };
+}
+
+/**
+ * Cosine distance (0 = same direction, 1 = nothing in common) of two profiles
+ */
+function cosineDistance(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const x = a[key] || 0;
+    const y = b[key] || 0;
+    dot += x * y;
+    normA += x * x;
+    normB += y * y;
+  }
+  if (normA === 0 || normB === 0) return normA === normB ? 0 : 1;
+  return 1 - dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * How far a submission's style is from the average of the same student's
+ * earlier ones (`history`, analyzeStyle results). Returns
+ *   { comparedWith, score, functionWordDistance, punctuationDistance, sentenceLengthChange }
+ * with `score` from 0 (same style) to 1, or null without history.
+ */
+function styleDrift(style, history = []) {
+  if (history.length === 0) return null;
+  const average = (pick) => {
+    const out = {};
+    for (const past of history) {
+      for (const [key, value] of Object.entries(pick(past))) out[key] = (out[key] || 0) + value / history.length;
+    }
+    return out;
+  };
+  const functionWordDistance = cosineDistance(style.functionWords, average(h => h.functionWords));
+  const punctuationDistance = cosineDistance(style.features.punctuationPer1000Words, average(h => h.features.punctuationPer1000Words));
+  const baseLength = history.reduce((sum, h) => sum + h.features.meanSentenceLength, 0) / history.length;
+  const sentenceLengthChange = baseLength > 0 ? Math.abs(style.features.meanSentenceLength - baseLength) / baseLength : 0;
+  return {
+    comparedWith: history.length,
+    // Function words are the most reliable of the three, so they count double
+    score: round(clamp((2 * clamp(functionWordDistance / 0.3) + clamp(punctuationDistance / 0.5) + clamp(sentenceLengthChange)) / 4)),
+    functionWordDistance: round(functionWordDistance),
+    punctuationDistance: round(punctuationDistance),
+    sentenceLengthChange: round(sentenceLengthChange)
+  };
+}
+
+/**
+ * Local AI-authorship opinion for a text, next to the model's estimate
+ * (`modelPercentage`, 0-100). `history` holds analyzeStyle results of the
+ * same student's earlier submissions. Returns
+ *   { score, disagreement, features, functionWords, drift, signals: [{ name, value, weight, reading }] }
+ * `score` (0-100) weighs the signals that could be measured: uniform
+ * sentence lengths (low burstiness) and, with history, drift from the
+ * student's usual style. `disagreement` is set when the score and the model
+ * are `threshold` points or more apart. With too little prose there is no
+ * score, only a signal saying so.
+ */
+function assessStyle(text, { modelPercentage, history = [], threshold = DEFAULT_DISAGREEMENT } = {}) {
+  const style = analyzeStyle(text);
+  if (!style) {
+    return { disagreement: false, signals: [{ name: 'insufficientText', reading: `fewer than ${MIN_WORDS} words or ${MIN_SENTENCES} sentences of prose; no stylometric opinion` }] };
+  }
+
+  const { burstiness, meanSentenceLength, sentenceLengthStdDev, typeTokenRatio } = style.features;
+  const drift = styleDrift(style, history);
+  const signals = [
+    {
+      name: 'sentenceUniformity',
+      // Human prose typically has burstiness around -0.3 to -0.1, generated text below -0.4
+      value: round(clamp((-0.25 - burstiness) / 0.3)),
+      weight: 1,
+      reading: `sentences average ${meanSentenceLength} words (sd ${sentenceLengthStdDev}, burstiness ${burstiness}); ${burstiness < -0.4 ? 'unusually uniform' : burstiness < -0.25 ? 'somewhat uniform' : 'varied, as in most human writing'}`
+    },
+    ...(drift ? [{
+      name: 'styleDrift',
+      value: round(clamp((drift.score - 0.15) / 0.35)),
+      weight: 1,
+      reading: `${drift.score >= 0.5 ? 'differs strongly from' : drift.score >= 0.15 ? 'differs somewhat from' : 'matches'} this student's ${drift.comparedWith} earlier submission(s) (function words ${drift.functionWordDistance}, punctuation ${drift.punctuationDistance}, sentence length ${Math.round(drift.sentenceLengthChange * 100)}% change)`
+    }] : [{ name: 'styleDrift', reading: 'no earlier submissions from this student to compare with' }]),
+    { name: 'vocabulary', reading: `type/token ratio ${typeTokenRatio} over ${TTR_WINDOW}-word windows (reported only; not scored)` }
+  ];
+
+  const scored = signals.filter(s => s.weight);
+  const score = Math.round((scored.reduce((sum, s) => sum + s.value * s.weight, 0) / scored.reduce((sum, s) => sum + s.weight, 0)) * 100);
+  const disagreement = typeof modelPercentage === 'number' && Math.abs(modelPercentage - score) >= threshold;
+  return {
+    score,
+    disagreement,
+    ...(disagreement ? { disagreementReason: `model estimates ${modelPercentage}% AI use, style analysis ${score}` } : {}),
+    features: style.features,
+    functionWords: style.functionWords,
+    ...(drift ? { drift } : {}),
+    signals
+  };
+}
+
+export {
+  DEFAULT_DISAGREEMENT,
+  FUNCTION_WORDS,
+  proseOf,
+  analyzeStyle,
+  styleDrift,
+  assessStyle
+};
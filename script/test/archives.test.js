@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import JSZip from 'jszip';
+import { readArchive, isUnsafePath, ignoredReason } from '../archives.js';
+
+const fsp = fs.promises;
+
+/**
+ * One tar entry: a 512-byte header (with `prefix` as a ustar prefix) and its
+ * data padded to a whole block
+ */
+function tarEntry(name, data = '', { type = '0', prefix = '' } = {}) {
+  const body = Buffer.from(data);
+  const header = Buffer.alloc(512);
+  header.write(name.slice(0, 100), 0, 'utf8');
+  header.write('0000644\0', 100, 'ascii');
+  header.write(`${body.length.toString(8).padStart(11, '0')}\0`, 124, 'ascii');
+  header.write(type, 156, 'ascii');
+  if (prefix) {
+    header.write('ustar\0', 257, 'ascii');
+    header.write('00', 263, 'ascii');
+    header.write(prefix, 345, 'utf8');
+  }
+  header.fill(' ', 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 'ascii');
+  return Buffer.concat([header, body, Buffer.alloc((512 - (body.length % 512)) % 512)]);
+}
+
+/**
+ * A pax extended header record setting `path`
+ */
+function paxPath(entryPath) {
+  const record = ` path=${entryPath}\n`;
+  let length = record.length + 1;
+  while (`${length}${record}`.length !== length) length++;
+  return `${length}${record}`;
+}
+
+const tarOf = (...entries) => Buffer.concat([...entries, Buffer.alloc(1024)]);
+
+async function withTempDir(fn) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'aithentic-archives-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('isUnsafePath rejects absolute, drive-letter and .. paths', () => {
+  for (const unsafe of ['/etc/passwd', '../escape.txt', 'src/../../escape.txt', 'C:/Windows/win.ini', 'c:evil', '..\\escape.txt']) {
+    assert.equal(isUnsafePath(unsafe), true, unsafe);
+  }
+  for (const safe of ['src/main.py', 'notes..txt', './src/main.py', 'a/..b/c']) {
+    assert.equal(isUnsafePath(safe), false, safe);
+  }
+});
+
+test('ignoredReason leaves out dependencies, system files and nested archives', () => {
+  assert.equal(ignoredReason('project/node_modules/x/index.js'), 'dependency or build directory');
+  assert.equal(ignoredReason('__MACOSX/._main.py'), 'dependency or build directory');
+  assert.equal(ignoredReason('src/.DS_Store'), 'generated or system file');
+  assert.equal(ignoredReason('vendor.tar.gz'), 'nested archive');
+  assert.equal(ignoredReason('src/build.py'), null);
+});
+
+test('readArchive reads tar entries with ustar prefixes, GNU long names and pax paths', async () => {
+  const longPath = `project/${'very-long-directory-name/'.repeat(5)}main.py`;
+  const paxEntryPath = `project/${'pax-directory/'.repeat(8)}app.js`;
+  await withTempDir(async (dir) => {
+    const filePath = path.join(dir, 'submission.tar');
+    await fsp.writeFile(filePath, tarOf(
+      tarEntry('project/', '', { type: '5' }),
+      tarEntry('README.md', '# Project', { prefix: 'project' }),
+      tarEntry('././@LongLink', `${longPath}\0`, { type: 'L' }),
+      tarEntry(longPath.slice(0, 100), 'print("hi")'),
+      tarEntry('PaxHeaders/app.js', paxPath(paxEntryPath), { type: 'x' }),
+      tarEntry('app.js', 'console.log(1);'),
+      tarEntry('project/after.txt', 'after')
+    ));
+
+    const { files, skipped } = await readArchive(filePath);
+    assert.deepEqual(files.map(f => [f.path, f.data.toString()]), [
+      ['project/README.md', '# Project'],
+      [longPath, 'print("hi")'],
+      [paxEntryPath, 'console.log(1);'],
+      ['project/after.txt', 'after']
+    ]);
+    assert.deepEqual(skipped, []);
+  });
+});
+
+test('readArchive skips unsafe paths, links and files over the per-file limit in tars', async () => {
+  await withTempDir(async (dir) => {
+    const filePath = path.join(dir, 'submission.tgz');
+    await fsp.writeFile(filePath, zlib.gzipSync(tarOf(
+      tarEntry('../escape.txt', 'x'),
+      tarEntry('/etc/passwd', 'x'),
+      tarEntry('project/link', '', { type: '2' }),
+      tarEntry('project/big.txt', 'b'.repeat(2000)),
+      tarEntry('project/ok.txt', 'ok')
+    )));
+
+    const { files, skipped } = await readArchive(filePath, { maxFileBytes: 1000 });
+    assert.deepEqual(files.map(f => f.path), ['project/ok.txt']);
+    assert.deepEqual(skipped, [
+      { path: '../escape.txt', reason: 'unsafe path (absolute or contains ..)' },
+      { path: '/etc/passwd', reason: 'unsafe path (absolute or contains ..)' },
+      { path: 'project/link', reason: 'symbolic or hard link' },
+      { path: 'project/big.txt', reason: 'larger than 1000 bytes' }
+    ]);
+  });
+});
+
+test('readArchive rejects tars over the total size or file count', async () => {
+  await withTempDir(async (dir) => {
+    const filePath = path.join(dir, 'submission.tar');
+    await fsp.writeFile(filePath, tarOf(tarEntry('a.txt', 'a'.repeat(600)), tarEntry('b.txt', 'b'.repeat(600)), tarEntry('c.txt', 'c')));
+    await assert.rejects(readArchive(filePath, { maxTotalBytes: 1000 }), /more than 1000 bytes \(ARCHIVE_MAX_BYTES\)/);
+    await assert.rejects(readArchive(filePath, { maxFiles: 2 }), /more than 2 files \(ARCHIVE_MAX_FILES\)/);
+    assert.equal((await readArchive(filePath, { maxTotalBytes: 1201, maxFiles: 3 })).files.length, 3);
+
+    // A gzip that inflates far beyond the limit is cut off while inflating
+    const bombPath = path.join(dir, 'bomb.tar.gz');
+    await fsp.writeFile(bombPath, zlib.gzipSync(tarOf(tarEntry('zeros.txt', Buffer.alloc(2 * 1024 * 1024)))));
+    await assert.rejects(readArchive(bombPath, { maxTotalBytes: 0 }), /more than 0 bytes \(ARCHIVE_MAX_BYTES\)/);
+  });
+});
+
+test('readArchive skips unsafe zip entries and symlinks and cuts off oversized entries while streaming', async () => {
+  await withTempDir(async (dir) => {
+    const zip = new JSZip();
+    zip.file('src/main.py', 'print("hi")');
+    zip.file('../evil.txt', 'x');
+    zip.file('link', 'src/main.py', { unixPermissions: 0o120777 });
+    zip.file('big.txt', 'a'.repeat(200000));
+    const filePath = path.join(dir, 'submission.zip');
+    await fsp.writeFile(filePath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', platform: 'UNIX' }));
+
+    const { files, skipped } = await readArchive(filePath, { maxFileBytes: 1000 });
+    assert.deepEqual(files.map(f => [f.path, f.data.toString()]), [['src/main.py', 'print("hi")']]);
+    assert.deepEqual(skipped, [
+      { path: '../evil.txt', reason: 'unsafe path (absolute or contains ..)' },
+      { path: 'link', reason: 'symbolic link' },
+      { path: 'big.txt', reason: 'larger than 1000 bytes' }
+    ]);
+
+    // An entry cut off still counts its limit towards the archive total
+    await assert.rejects(readArchive(filePath, { maxFileBytes: 1000, maxTotalBytes: 1005 }), /ARCHIVE_MAX_BYTES/);
+  });
+});
+
+test('readArchive refuses files that are not archives', async () => {
+  await assert.rejects(readArchive('essay.pdf'), /Not an archive: essay.pdf/);
+});
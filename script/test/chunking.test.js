@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkSubmission, mergeChunkResults, estimateTokens } from '../chunking.js';
+import { parseRubric, applyRubric } from '../rubric.js';
+
+test('chunkSubmission keeps text that fits in one chunk', () => {
+  const chunks = chunkSubmission('A short essay.', null);
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0], {
+    index: 1,
+    count: 1,
+    text: 'A short essay.',
+    pages: '1',
+    sections: [],
+    characterCount: 14,
+    tokens: estimateTokens('A short essay.')
+  });
+});
+
+test('chunkSubmission splits at pages and reports the page range of each chunk', () => {
+  const page = (letter) => letter.repeat(40); // 10 tokens
+  const text = [page('a'), page('b'), page('c')].join('\f');
+
+  assert.deepEqual(chunkSubmission(text, null, { maxTokens: 15 }).map(c => c.pages), ['1', '2', '3']);
+
+  const chunks = chunkSubmission(text, null, { maxTokens: 25 });
+  assert.deepEqual(chunks.map(c => [c.index, c.count, c.pages]), [[1, 2, '1-2'], [2, 2, '3']]);
+  assert.equal(chunks[0].text, `${page('a')}\n${page('b')}`);
+});
+
+test('chunkSubmission splits where a section starts and carries the page and section markers', () => {
+  const structure = {
+    pages: [{ page: 1, text: 'Intro line\nmore intro\nMethods\nmethod text', headings: [{ line: 3, section: 1 }] }],
+    sections: [{ index: 0 }, { index: 1 }]
+  };
+  const text = structure.pages[0].text;
+
+  const whole = chunkSubmission(text, structure);
+  assert.equal(whole.length, 1);
+  assert.deepEqual(whole[0].sections, [0, 1]);
+
+  const split = chunkSubmission(text, structure, { maxTokens: 12 });
+  assert.deepEqual(split.map(c => [c.pages, c.sections]), [['1', [0]], ['1', [1]]]);
+  assert.equal(split[0].text, '[Page 1]\nIntro line\nmore intro');
+  assert.equal(split[1].text, '[Page 1]\n[Section 1] Methods\nmethod text');
+});
+
+test('chunkSubmission splits over-budget text at blank lines, then at the character limit', () => {
+  const paragraphs = chunkSubmission(`${'a'.repeat(30)}\n\n${'b'.repeat(30)}`, null, { maxTokens: 10 });
+  assert.deepEqual(paragraphs.map(c => c.text), ['a'.repeat(30), 'b'.repeat(30)]);
+
+  const unbroken = chunkSubmission('x'.repeat(100), null, { maxTokens: 10 });
+  assert.deepEqual(unbroken.map(c => c.characterCount), [40, 40, 20]);
+  assert.ok(unbroken.every(c => c.tokens <= 10));
+  assert.equal(unbroken.map(c => c.text).join(''), 'x'.repeat(100));
+});
+
+const CHUNKS = [
+  { index: 1, pages: '1-2', characterCount: 300 },
+  { index: 2, pages: '3', characterCount: 100 }
+];
+
+test('mergeChunkResults weights the grade and percentages by chunk length', () => {
+  const merged = mergeChunkResults([
+    { analyticsId: 7, assignmentId: 'essay', gradeReceived: 80, aiGeneratedAnalytics: { percentageOfAIUsed: 10, reasoning: 'Varied style.' }, plagarismAnalytics: { plagarisedPercentage: 0, isPlagiarised: false }, remarks: 'Same remark' },
+    { analyticsId: 7, assignmentId: 'essay', gradeReceived: 40, aiGeneratedAnalytics: { percentageOfAIUsed: 50, reasoning: 'Uniform phrasing.' }, plagarismAnalytics: { plagarisedPercentage: 100, isPlagiarised: true }, remarks: 'Same remark' }
+  ], CHUNKS);
+
+  assert.equal(merged.analyticsId, 7);
+  assert.equal(merged.assignmentId, 'essay');
+  assert.equal(merged.gradeReceived, 70);
+  assert.equal(merged.aiGeneratedAnalytics.percentageOfAIUsed, 20);
+  assert.equal(merged.aiGeneratedAnalytics.reasoning, '[Part 1, pages 1-2] Varied style.\n[Part 2, pages 3] Uniform phrasing.');
+  assert.equal(merged.plagarismAnalytics.plagarisedPercentage, 25);
+  assert.equal(merged.plagarismAnalytics.isPlagiarised, true);
+  assert.equal(merged.remarks, 'Same remark');
+  assert.equal(merged.chunkCount, 2);
+  assert.deepEqual(merged.chunks, [
+    { index: 1, pages: '1-2', characterCount: 300, gradeReceived: 80, percentageOfAIUsed: 10, plagarisedPercentage: 0 },
+    { index: 2, pages: '3', characterCount: 100, gradeReceived: 40, percentageOfAIUsed: 50, plagarisedPercentage: 100 }
+  ]);
+});
+
+test('mergeChunkResults merges rubric scores per criterion, whatever their order', () => {
+  const rubric = parseRubric({
+    criteria: [
+      { id: 'thesis', name: 'Thesis', maxPoints: 10, weight: 2 },
+      { id: 'evidence', name: 'Evidence', maxPoints: 5 }
+    ]
+  }, 'course/rubric.json');
+  const merged = mergeChunkResults([
+    { criteriaScores: [{ criterionId: 'thesis', points: 10, justification: 'Clear.' }, { criterionId: 'evidence', points: 5, justification: 'Cited.' }] },
+    { criteriaScores: [{ criterionId: 'evidence', points: 1, justification: 'Cited.' }, { criterionId: 'thesis', points: 6, justification: 'Drifts.' }] }
+  ], CHUNKS);
+
+  assert.deepEqual(merged.criteriaScores, [
+    { criterionId: 'thesis', points: 9, justification: '[Part 1, pages 1-2] Clear.\n[Part 2, pages 3] Drifts.' },
+    { criterionId: 'evidence', points: 4, justification: 'Cited.' }
+  ]);
+
+  // (2 * 9/10 + 1 * 4/5) / 3
+  const { value, errors } = applyRubric(merged, rubric);
+  assert.deepEqual(errors, []);
+  assert.equal(value.gradeReceived, 86.67);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractCodeSegments, tokenizeCode, fingerprintCode, codeSimilarity, findSimilarCodePairs, DEFAULT_CODE_THRESHOLD } from '../codesim.js';
+
+const fenced = (language, source) => `My solution:\n\n\`\`\`${language}\n${source}\n\`\`\`\n`;
+
+const SOLUTION = `def average(values):
+    total = 0
+    for value in values:
+        total += value
+    return total / len(values)
+
+def largest(values):
+    best = values[0]
+    for value in values[1:]:
+        if value > best:
+            best = value
+    return best
+
+print(average([1, 2, 3]), largest([4, 5, 6]))`;
+
+// The same program with every identifier renamed and the comments and layout changed
+const RENAMED = `# compute the mean
+def mean_of(nums):
+    acc = 0
+    for n in nums:
+        acc += n
+    return acc / len(nums)
+
+# find the maximum
+def maximum(nums):
+    top = nums[0]
+    for n in nums[1:]:
+        if n > top:
+            top = n
+    return top
+
+print(mean_of([7, 8, 9]), maximum([1, 1, 2]))`;
+
+const UNRELATED = `import json
+
+class Inventory:
+    def __init__(self, path):
+        with open(path) as handle:
+            self.items = json.load(handle)
+
+    def restock(self, name, amount):
+        self.items.setdefault(name, 0)
+        self.items[name] = self.items[name] + amount
+        return {"name": name, "stock": self.items[name]}`;
+
+test('identical code is 100% similar', () => {
+  const a = fingerprintCode(fenced('python', SOLUTION));
+  assert.equal(codeSimilarity(a, fingerprintCode(fenced('python', SOLUTION))), 100);
+});
+
+test('renamed identifiers, comments and layout leave similarity unchanged', () => {
+  const a = fingerprintCode(fenced('python', SOLUTION));
+  const b = fingerprintCode(fenced('python', RENAMED));
+  assert.equal(codeSimilarity(a, b), 100);
+});
+
+test('renamed identifiers normalize to the same tokens', () => {
+  const values = source => tokenizeCode(source, 'python').map(t => t.value);
+  assert.deepEqual(values('total = count + 1'), values('acc = n + 2'));
+  assert.deepEqual(values('total = count + 1'), ['V', '=', 'V', '+', 'N']);
+});
+
+test('unrelated code is not similar', () => {
+  const similarity = codeSimilarity(fingerprintCode(fenced('python', SOLUTION)), fingerprintCode(fenced('python', UNRELATED)));
+  assert.ok(similarity < 20, `expected under 20%, got ${similarity}%`);
+});
+
+test('text without code, and code shorter than one k-gram, match nothing', () => {
+  assert.equal(fingerprintCode('An essay without any code in it.'), null);
+  const tiny = fingerprintCode(fenced('python', 'x = 1'));
+  assert.equal(tiny.fingerprints.length, 0);
+  assert.equal(codeSimilarity(tiny, fingerprintCode(fenced('python', 'x = 1'))), 0);
+  assert.equal(codeSimilarity(null, fingerprintCode(fenced('python', SOLUTION))), 0);
+});
+
+test('archive files and fenced blocks in supported languages are extracted', () => {
+  const text = [
+    '----- FILE: src/stats.py (python) -----',
+    'print(1)',
+    '----- END FILE: src/stats.py -----',
+    '```text',
+    'not code',
+    '```',
+    '```java',
+    'int x = 1;',
+    '```'
+  ].join('\n');
+  assert.deepEqual(extractCodeSegments(text), [
+    { file: 'src/stats.py', language: 'python', source: 'print(1)' },
+    { file: 'code block 2', language: 'java', source: 'int x = 1;' }
+  ]);
+});
+
+test('findSimilarCodePairs reports copied code with the shared line ranges', () => {
+  const documentOf = (id, source, owner) => ({ id, owner, group: 'hw1', codeFingerprint: fingerprintCode(fenced('python', source)) });
+  const pairs = findSimilarCodePairs([
+    documentOf('a', SOLUTION, 's1'),
+    documentOf('b', RENAMED, 's2'),
+    documentOf('c', UNRELATED, 's3'),
+    { id: 'd', owner: 's4', group: 'hw1', codeFingerprint: null }
+  ]);
+  assert.equal(pairs.length, 1);
+  assert.deepEqual([pairs[0].a, pairs[0].b], ['a', 'b']);
+  assert.ok(pairs[0].similarity >= DEFAULT_CODE_THRESHOLD);
+  assert.ok(pairs[0].ranges.length > 0);
+  assert.equal(pairs[0].ranges[0].file, 'code block 1');
+});
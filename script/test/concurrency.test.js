@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency, createTokenBucket, createCircuitBreaker, backoffDelay, parseRetryAfter } from '../concurrency.js';
+
+/**
+ * A clock that only moves when something waits on it
+ */
+function fakeClock(start = 0) {
+  const clock = { time: start, waits: [] };
+  clock.now = () => clock.time;
+  clock.wait = async (ms) => {
+    clock.waits.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+test('mapWithConcurrency keeps input order, returns failures as entries and caps calls in flight', async () => {
+  let active = 0;
+  let maxActive = 0;
+  const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (item, index) => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setImmediate(resolve));
+    active--;
+    if (item === 3) throw new Error('bad item');
+    return item * 10 + index;
+  });
+
+  assert.equal(maxActive, 2);
+  assert.deepEqual(results.map(r => r.value), [10, 21, undefined, 43, 54]);
+  assert.equal(results[2].error.message, 'bad item');
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  assert.deepEqual(await mapWithConcurrency(['a'], 0, async (item) => item), [{ value: 'a' }]);
+});
+
+test('createTokenBucket serves the burst at once, then waits for tokens to refill', async () => {
+  const clock = fakeClock(1000);
+  const bucket = createTokenBucket({ ratePerSecond: 2, burst: 2, now: clock.now, wait: clock.wait });
+
+  await bucket.take();
+  await bucket.take();
+  assert.deepEqual(clock.waits, []);
+  await bucket.take();
+  assert.deepEqual(clock.waits, [500]);
+
+  clock.time += 1000; // two tokens refilled
+  await bucket.take();
+  await bucket.take();
+  assert.deepEqual(clock.waits, [500]);
+});
+
+test('createTokenBucket without a rate never waits', async () => {
+  const clock = fakeClock();
+  const bucket = createTokenBucket({ ratePerSecond: 0, now: clock.now, wait: clock.wait });
+  for (let i = 0; i < 10; i++) await bucket.take();
+  assert.deepEqual(clock.waits, []);
+});
+
+test('createCircuitBreaker opens after the threshold, probes when half-open and closes on success', async () => {
+  const clock = fakeClock();
+  const states = [];
+  const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, onStateChange: (state) => states.push(state), now: clock.now, wait: clock.wait });
+
+  breaker.failure();
+  assert.equal(breaker.state, 'closed');
+  breaker.success(); // resets the consecutive failure count
+  breaker.failure();
+  assert.equal(breaker.state, 'closed');
+  breaker.failure();
+  assert.equal(breaker.state, 'open');
+
+  // The first caller waits out the cooldown and goes through as the probe
+  await breaker.acquire();
+  assert.equal(breaker.state, 'half-open');
+  assert.deepEqual(clock.waits, [1000]);
+
+  // Others wait for the probe; its failure opens the circuit for another cooldown
+  let released = false;
+  const waiting = breaker.acquire().then(() => { released = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(released, false);
+  breaker.failure();
+  await waiting;
+  assert.equal(breaker.state, 'half-open');
+  assert.deepEqual(clock.waits, [1000, 1000]);
+
+  breaker.success();
+  assert.equal(breaker.state, 'closed');
+  await breaker.acquire();
+  assert.deepEqual(clock.waits, [1000, 1000]);
+  assert.deepEqual(states, ['open', 'half-open', 'open', 'half-open', 'closed']);
+});
+
+test('backoffDelay grows exponentially with full jitter, is capped and honours Retry-After', () => {
+  const half = () => 0.5;
+  assert.equal(backoffDelay(1, { baseMs: 1000, random: half }), 500);
+  assert.equal(backoffDelay(3, { baseMs: 1000, random: half }), 2000);
+  assert.equal(backoffDelay(10, { baseMs: 1000, maxMs: 30000, random: half }), 15000);
+  assert.equal(backoffDelay(2, { baseMs: 1000, random: () => 1 }), 2000);
+  assert.equal(backoffDelay(1, { baseMs: 1000, random: () => 0 }), 0);
+  assert.equal(backoffDelay(1, { baseMs: 1000, retryAfterMs: 20000, random: half }), 20000);
+  assert.equal(backoffDelay(5, { baseMs: 1000, retryAfterMs: 100, random: half }), 8000);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('0.5', now), 500);
+  assert.equal(parseRetryAfter('-5', now), 0);
+  assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+  assert.equal(parseRetryAfter('', now), null);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadDeadLetters, saveDeadLetters, classifyError, recordFailure, resolveFailure, listFailures } from '../deadletter.js';
+
+const fsp = fs.promises;
+
+const emptyStore = () => ({ version: 1, filePath: null, entries: {} });
+
+test('repeated failures of a submission update one entry and count attempts', () => {
+  const store = emptyStore();
+  const first = recordFailure(store, { stage: 'grade', ref: 'a/essay.pdf', error: new Error('timeout'), input: { textFile: 'essay.txt' }, runId: 'run-1', analyticsId: 4 });
+  assert.equal(first.attempts, 1);
+  assert.equal(first.errorClass, 'Error');
+
+  const second = recordFailure(store, { stage: 'grade', ref: 'a/essay.pdf', error: new Error('bad output'), errorClass: 'InvalidModelOutput', input: { textPath: './converted/essay.txt' }, runId: 'run-2', analyticsId: 4 });
+  assert.equal(Object.keys(store.entries).length, 1);
+  assert.equal(second.attempts, 2);
+  assert.equal(second.error, 'bad output');
+  assert.equal(second.errorClass, 'InvalidModelOutput');
+  assert.equal(second.runId, 'run-2');
+  assert.equal(second.firstFailedAt, first.firstFailedAt);
+  assert.deepEqual(second.input, { textFile: 'essay.txt', textPath: './converted/essay.txt' });
+
+  // The same submission failing another stage is a separate entry
+  recordFailure(store, { stage: 'convert', ref: 'a/essay.pdf', error: 'unreadable' });
+  assert.equal(Object.keys(store.entries).length, 2);
+  assert.equal(store.entries['convert:a/essay.pdf'].error, 'unreadable');
+});
+
+test('resolveFailure removes only the entry of the stage that succeeded', () => {
+  const store = emptyStore();
+  recordFailure(store, { stage: 'convert', ref: 'a.pdf', error: new Error('x') });
+  recordFailure(store, { stage: 'grade', ref: 'a.pdf', error: new Error('y') });
+
+  assert.equal(resolveFailure(store, 'convert', 'a.pdf'), true);
+  assert.equal(resolveFailure(store, 'convert', 'a.pdf'), false);
+  assert.deepEqual(Object.keys(store.entries), ['grade:a.pdf']);
+});
+
+test('listFailures filters by stage and lists the oldest failure first', () => {
+  const store = emptyStore();
+  store.entries = {
+    'grade:b.pdf': { stage: 'grade', ref: 'b.pdf', firstFailedAt: '2026-10-03T00:00:00.000Z' },
+    'convert:c.pdf': { stage: 'convert', ref: 'c.pdf', firstFailedAt: '2026-10-02T00:00:00.000Z' },
+    'grade:a.pdf': { stage: 'grade', ref: 'a.pdf', firstFailedAt: '2026-10-01T00:00:00.000Z' }
+  };
+  assert.deepEqual(listFailures(store).map(f => f.ref), ['a.pdf', 'c.pdf', 'b.pdf']);
+  assert.deepEqual(listFailures(store, 'grade').map(f => f.ref), ['a.pdf', 'b.pdf']);
+  assert.deepEqual(listFailures(store, 'convert').map(f => f.ref), ['c.pdf']);
+});
+
+test('classifyError groups failures by their innermost cause', () => {
+  const invalid = Object.assign(new Error('bad'), { invalidResult: true });
+  const throttled = Object.assign(new Error('429'), { retryable: true });
+  assert.equal(classifyError(invalid), 'InvalidModelOutput');
+  assert.equal(classifyError(Object.assign(new Error('no text'), { attempts: [] })), 'ExtractionFailed');
+  assert.equal(classifyError(throttled), 'EndpointUnavailable');
+  assert.equal(classifyError(new Error('wrapped', { cause: invalid })), 'InvalidModelOutput');
+  assert.equal(classifyError(new TypeError('x')), 'TypeError');
+  assert.equal(classifyError(Object.assign(new Error('gone'), { code: 'ENOENT' })), 'ENOENT');
+  assert.equal(classifyError(null), 'Error');
+});
+
+test('the store survives a save and load', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'aithentic-dead-letters-'));
+  try {
+    const filePath = path.join(dir, 'dead-letters.json');
+    const store = await loadDeadLetters(filePath);
+    recordFailure(store, { stage: 'grade', ref: 'a.pdf', error: new Error('x') });
+    await saveDeadLetters(store);
+
+    const loaded = await loadDeadLetters(filePath);
+    assert.equal(loaded.filePath, filePath);
+    assert.equal(listFailures(loaded)[0].attempts, 1);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { numberFromEnv } from '../env.js';
+
+test('numberFromEnv falls back when unset or empty and keeps 0', () => {
+  assert.equal(numberFromEnv('LIMIT', 200, { env: {} }), 200);
+  assert.equal(numberFromEnv('LIMIT', 200, { env: { LIMIT: '  ' } }), 200);
+  assert.equal(numberFromEnv('LIMIT', 200, { env: { LIMIT: '0' } }), 0);
+  assert.equal(numberFromEnv('LIMIT', 200, { env: { LIMIT: ' 12.5 ' } }), 12.5);
+});
+
+test('numberFromEnv rejects values that are not numbers or out of range, naming the variable', () => {
+  assert.throws(() => numberFromEnv('AI_THRESHOLD', 70, { env: { AI_THRESHOLD: 'seventy' } }), /AI_THRESHOLD="seventy" is not a number/);
+  assert.throws(() => numberFromEnv('AI_THRESHOLD', 70, { min: 0, max: 100, env: { AI_THRESHOLD: '101' } }), /must be at most 100/);
+  assert.throws(() => numberFromEnv('AI_THRESHOLD', 70, { min: 0, max: 100, env: { AI_THRESHOLD: '-1' } }), /must be at least 0/);
+  assert.throws(() => numberFromEnv('GRADE_HISTOGRAM_BIN', 10, { positive: true, env: { GRADE_HISTOGRAM_BIN: '0' } }), /GRADE_HISTOGRAM_BIN="0" must be greater than 0/);
+  assert.throws(() => numberFromEnv('MAX_RETRIES', 3, { integer: true, env: { MAX_RETRIES: '2.5' } }), /must be a whole number/);
+  assert.equal(numberFromEnv('AI_THRESHOLD', 70, { min: 0, max: 100, env: { AI_THRESHOLD: '100' } }), 100);
+});
+
+test('the parts read their numeric settings through numberFromEnv', async (t) => {
+  const saved = { ...process.env };
+  t.after(() => {
+    for (const name of ['STYLOMETRY_DISAGREEMENT', 'AI_THRESHOLD', 'GRADE_HISTOGRAM_BIN']) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+
+  // A query string loads a fresh copy of the module, so its CONFIG reads the env again
+  process.env.STYLOMETRY_DISAGREEMENT = '0';
+  process.env.AI_THRESHOLD = '0';
+  const part2 = await import('../part2_Sagemaker.js?env-zero');
+  const part3 = await import('../part3_DynamoDb.js?env-zero');
+  assert.equal(part2.CONFIG.STYLOMETRY_DISAGREEMENT, 0);
+  assert.equal(part3.CONFIG.AI_THRESHOLD, 0);
+
+  process.env.GRADE_HISTOGRAM_BIN = '0';
+  await assert.rejects(import('../part3_DynamoDb.js?env-zero-bin'), /GRADE_HISTOGRAM_BIN="0" must be greater than 0/);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileKeyPattern, parseSubmissionKey, assignIdentities, identityAttributes, localNameFor } from '../identity.js';
+
+const PATTERN = '{course}/{assignment}/{studentId}/{file}';
+const PREFIX = 'assignments/';
+
+test('parseSubmissionKey takes the identity fields from the key pattern', () => {
+  const identity = parseSubmissionKey('assignments/CS101/hw1/123/report.pdf', { pattern: PATTERN, prefix: PREFIX });
+  assert.deepEqual(identity, {
+    key: 'assignments/CS101/hw1/123/report.pdf',
+    file: 'report.pdf',
+    submissionId: 'CS101/hw1/123/report',
+    localName: 'CS101__hw1__123__report',
+    fields: { course: 'CS101', assignment: 'hw1', studentId: '123' },
+    course: 'CS101',
+    assignment: 'hw1',
+    studentId: '123'
+  });
+  assert.deepEqual(identityAttributes(identity), {
+    submissionId: 'CS101/hw1/123/report',
+    sourceKey: 'assignments/CS101/hw1/123/report.pdf',
+    fileName: 'report.pdf',
+    course: 'CS101',
+    assignment: 'hw1',
+    studentId: '123'
+  });
+  assert.equal(parseSubmissionKey('assignments/project.tar.gz', { prefix: PREFIX }).submissionId, 'project');
+});
+
+test('keys that do not match the pattern fall back to their relative key and are reported', () => {
+  const { identities, issues } = assignIdentities(['assignments/CS101/late.pdf', 'assignments/CS101/hw1/123/report.pdf'], { pattern: PATTERN, prefix: PREFIX });
+  const fallback = identities.get('assignments/CS101/late.pdf');
+  assert.equal(fallback.submissionId, 'CS101/late');
+  assert.equal(fallback.localName, 'CS101__late');
+  assert.deepEqual(fallback.fields, {});
+  assert.deepEqual(issues, [{ key: 'assignments/CS101/late.pdf', submissionId: 'CS101/late', issue: `key does not match pattern ${PATTERN}` }]);
+});
+
+test('keys sharing a submission id get their extension appended and are reported', () => {
+  const pdf = 'assignments/CS101/hw1/123/report.pdf';
+  const docx = 'assignments/CS101/hw1/123/report.docx';
+  const { identities, issues } = assignIdentities([pdf, docx, 'assignments/CS101/hw1/456/report.pdf'], { pattern: PATTERN, prefix: PREFIX });
+
+  assert.equal(identities.get(pdf).submissionId, 'CS101/hw1/123/report_pdf');
+  assert.equal(identities.get(docx).submissionId, 'CS101/hw1/123/report_docx');
+  assert.equal(identities.get(docx).localName, 'CS101__hw1__123__report_docx');
+  assert.equal(identities.get('assignments/CS101/hw1/456/report.pdf').submissionId, 'CS101/hw1/456/report');
+  assert.deepEqual(issues.map(i => i.issue), [
+    `submission id CS101/hw1/123/report is shared with ${docx}`,
+    `submission id CS101/hw1/123/report is shared with ${pdf}`
+  ]);
+});
+
+test('keys differing only in unsafe characters still get distinct local names', () => {
+  const spaced = 'assignments/CS101/hw 1/123/a.pdf';
+  const underscored = 'assignments/CS101/hw_1/123/a.pdf';
+  const { identities } = assignIdentities([spaced, underscored], { pattern: PATTERN, prefix: PREFIX });
+
+  assert.notEqual(identities.get(spaced).submissionId, identities.get(underscored).submissionId);
+  const localNames = [identities.get(spaced).localName, identities.get(underscored).localName];
+  assert.equal(new Set(localNames.map(name => name.toLowerCase())).size, 2);
+  assert.deepEqual(localNames, ['CS101__hw_1__123__a_pdf', 'CS101__hw_1__123__a_pdf_2']);
+
+  // Case-only differences collide on case-insensitive file systems
+  const { identities: cased } = assignIdentities(['Report.pdf', 'report.txt']);
+  assert.deepEqual([...cased.values()].map(identity => identity.localName), ['Report_pdf', 'report_txt']);
+});
+
+test('localNameFor keeps file names inside their directory', () => {
+  assert.equal(localNameFor('../../etc/passwd'), '______etc__passwd');
+  assert.equal(localNameFor('.hidden'), '_hidden');
+});
+
+test('compileKeyPattern rejects patterns without a final {file} or with repeated placeholders', () => {
+  assert.throws(() => compileKeyPattern('{course}/{file}/{studentId}'), /must end with \{file\}/);
+  assert.throws(() => compileKeyPattern('{course}/{course}/{file}'), /repeats \{course\}/);
+  assert.deepEqual(compileKeyPattern('/{course}/{file}').fields, ['course', 'file']);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadManifest, saveManifest, trackObject, isStageUpToDate, recordStage, findKeyBy } from '../manifest.js';
+
+const fsp = fs.promises;
+
+const emptyManifest = () => ({ version: 1, filePath: null, entries: {} });
+
+test('a stage is up to date only for the version it processed', () => {
+  const manifest = emptyManifest();
+  assert.equal(isStageUpToDate(manifest, 'a/essay.pdf', 'convert'), false);
+
+  trackObject(manifest, 'a/essay.pdf', { etag: '"v1"', size: 10, localPath: './assignments/essay.pdf' });
+  assert.equal(isStageUpToDate(manifest, 'a/essay.pdf', 'convert'), false);
+  recordStage(manifest, 'a/essay.pdf', 'convert', { textFile: 'essay.txt' });
+  recordStage(manifest, 'a/essay.pdf', 'grade');
+  assert.equal(isStageUpToDate(manifest, 'a/essay.pdf', 'convert'), true);
+  assert.equal(isStageUpToDate(manifest, 'a/essay.pdf', 'grade'), true);
+  assert.equal(manifest.entries['a/essay.pdf'].stages.convert.textFile, 'essay.txt');
+  assert.equal(manifest.entries['a/essay.pdf'].localPath, './assignments/essay.pdf');
+});
+
+test('a new ETag invalidates every stage recorded for the old one', () => {
+  const manifest = emptyManifest();
+  trackObject(manifest, 'a/essay.pdf', { etag: '"v1"' });
+  recordStage(manifest, 'a/essay.pdf', 'convert');
+  recordStage(manifest, 'a/essay.pdf', 'grade');
+
+  // Listing the same ETag again changes nothing
+  trackObject(manifest, 'a/essay.pdf', { size: 12 });
+  assert.equal(isStageUpToDate(manifest, 'a/essay.pdf', 'grade'), true);
+
+  trackObject(manifest, 'a/essay.pdf', { etag: '"v2"' });
+  assert.equal(isStageUpToDate(manifest, 'a/essay.pdf', 'convert'), false);
+  assert.equal(isStageUpToDate(manifest, 'a/essay.pdf', 'grade'), false);
+
+  // Reconverting leaves grade stale until it runs too
+  recordStage(manifest, 'a/essay.pdf', 'convert');
+  assert.equal(isStageUpToDate(manifest, 'a/essay.pdf', 'convert'), true);
+  assert.equal(isStageUpToDate(manifest, 'a/essay.pdf', 'grade'), false);
+});
+
+test('without an ETag the last-modified time is the version', () => {
+  const manifest = emptyManifest();
+  trackObject(manifest, 'a/essay.pdf', { lastModified: '2026-10-01T10:00:00Z' });
+  recordStage(manifest, 'a/essay.pdf', 'convert');
+  assert.equal(manifest.entries['a/essay.pdf'].stages.convert.version, '2026-10-01T10:00:00.000Z');
+  trackObject(manifest, 'a/essay.pdf', { lastModified: '2026-10-02T10:00:00Z' });
+  assert.equal(isStageUpToDate(manifest, 'a/essay.pdf', 'convert'), false);
+
+  // No version at all is never up to date
+  recordStage(manifest, 'local.pdf', 'convert');
+  assert.equal(isStageUpToDate(manifest, 'local.pdf', 'convert'), false);
+});
+
+test('findKeyBy finds the S3 key of a local file', () => {
+  const manifest = emptyManifest();
+  trackObject(manifest, 'a/essay.pdf', { etag: '"v1"', textFile: 'essay.txt' });
+  assert.equal(findKeyBy(manifest, 'textFile', 'essay.txt'), 'a/essay.pdf');
+  assert.equal(findKeyBy(manifest, 'textFile', 'other.txt'), null);
+  assert.equal(findKeyBy(null, 'textFile', 'essay.txt'), null);
+});
+
+test('the manifest survives a save and load', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'aithentic-manifest-'));
+  try {
+    const filePath = path.join(dir, 'nested', 'manifest.json');
+    const manifest = await loadManifest(filePath);
+    assert.deepEqual(manifest, { version: 1, filePath, entries: {} });
+
+    trackObject(manifest, 'a/essay.pdf', { etag: '"v1"' });
+    recordStage(manifest, 'a/essay.pdf', 'convert');
+    await saveManifest(manifest);
+
+    const loaded = await loadManifest(filePath);
+    assert.equal(loaded.filePath, filePath);
+    assert.equal(isStageUpToDate(loaded, 'a/essay.pdf', 'convert'), true);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runPipeline, saveRunState } from '../pipeline.js';
+
+const fsp = fs.promises;
+
+/**
+ * A run stopped before its upload stage, with the converted text of
+ * `submissions` (id -> whether its text file exists)
+ */
+async function runBeforeUpload(dir, submissions) {
+  const state = {
+    runId: 'upload-test',
+    createdAt: new Date().toISOString(),
+    status: 'partial',
+    from: 'upload',
+    to: 'upload',
+    analyticsId: null,
+    force: false,
+    extractors: null,
+    stages: {},
+    submissions: {}
+  };
+  for (const [id, exists] of Object.entries(submissions)) {
+    const textPath = path.join(dir, `${id}.txt`);
+    if (exists) await fsp.writeFile(textPath, `text of ${id}`);
+    state.submissions[id] = { stages: {}, textFile: `${id}.txt`, textPath, s3Key: `assignments/${id}.pdf` };
+  }
+  await saveRunState(state, path.join(dir, 'runs'));
+  return state;
+}
+
+test('a missing text file fails only its own submission in the upload stage', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'aithentic-upload-'));
+  try {
+    await runBeforeUpload(dir, { a: true, b: false, c: true });
+    const uploadedKeys = [];
+    const s3 = {
+      async send(command) {
+        if (command.input.Body && command.input.Body.destroy) command.input.Body.destroy();
+        uploadedKeys.push(command.input.Key);
+        return {};
+      }
+    };
+
+    const state = await runPipeline({
+      resume: true,
+      runId: 'upload-test',
+      stateDir: path.join(dir, 'runs'),
+      manifestPath: path.join(dir, 'manifest.json'),
+      deadLettersPath: path.join(dir, 'dead-letters.json'),
+      config: { s3: { localConvertedDir: dir, bucketName: 'bucket', convertedFolder: 'converted/', uploadConverted: true, uploadConcurrency: 1 } },
+      clients: { s3, dynamodb: {}, ec2: {} }
+    });
+
+    assert.deepEqual(uploadedKeys.sort(), ['converted/a.txt', 'converted/c.txt']);
+    assert.equal(state.submissions.a.stages.upload, 'completed');
+    assert.equal(state.submissions.a.convertedKey, 'converted/a.txt');
+    assert.equal(state.submissions.c.stages.upload, 'completed');
+    assert.equal(state.submissions.b.stages.upload, 'failed');
+    assert.match(state.submissions.b.error, /ENOENT/);
+    assert.equal(state.stages.upload.status, 'partial');
+    assert.equal(state.stages.upload.failed, 1);
+    assert.equal(state.status, 'partial');
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * A dead-letter store with a convert failure of essay.md (on disk in `dir`)
+ * and a grade failure of report.txt from analytics run 7
+ */
+async function deadLettersWithFailures(dir) {
+  const localPath = path.join(dir, 'assignments', 'essay.md');
+  await fsp.mkdir(path.dirname(localPath), { recursive: true });
+  await fsp.writeFile(localPath, 'An essay long enough to pass the extracted text minimum.\n');
+  const store = { version: 1, entries: {} };
+  store.entries['convert:assignments/essay.md'] = {
+    stage: 'convert', ref: 'assignments/essay.md', errorClass: 'ExtractionFailed', error: 'no text', attempts: 2,
+    input: { fileName: 'essay.md', localPath, s3Key: 'assignments/essay.md' },
+    runId: 'run-1', analyticsId: null, firstFailedAt: '2026-10-01T00:00:00.000Z', lastFailedAt: '2026-10-02T00:00:00.000Z'
+  };
+  store.entries['grade:assignments/report.pdf'] = {
+    stage: 'grade', ref: 'assignments/report.pdf', errorClass: 'EndpointUnavailable', error: '503', attempts: 1,
+    input: { textFile: 'report.txt', textPath: path.join(dir, 'converted', 'report.txt'), s3Key: 'assignments/report.pdf' },
+    runId: 'run-1', analyticsId: 7, firstFailedAt: '2026-10-01T00:00:00.000Z', lastFailedAt: '2026-10-01T00:00:00.000Z'
+  };
+  await fsp.writeFile(path.join(dir, 'dead-letters.json'), JSON.stringify(store));
+}
+
+const retryOptions = (dir, options) => ({
+  retryFailed: true,
+  stateDir: path.join(dir, 'runs'),
+  manifestPath: path.join(dir, 'manifest.json'),
+  deadLettersPath: path.join(dir, 'dead-letters.json'),
+  config: { s3: { localAssignmentsDir: path.join(dir, 'assignments'), localConvertedDir: path.join(dir, 'converted'), uploadConverted: false } },
+  clients: { s3: {}, dynamodb: {}, ec2: {} },
+  ...options
+});
+
+test('retry-failed --stage convert reprocesses only the convert failures and resolves them on success', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'aithentic-retry-'));
+  try {
+    await deadLettersWithFailures(dir);
+    const state = await runPipeline(retryOptions(dir, { stage: 'convert', to: 'convert' }));
+
+    assert.equal(state.from, 'convert');
+    assert.equal(state.to, 'convert');
+    assert.deepEqual(state.retryOf, ['convert:assignments/essay.md']);
+    assert.deepEqual(Object.keys(state.submissions), ['essay']);
+    assert.equal(state.submissions.essay.stages.convert, 'completed');
+    assert.equal(state.status, 'completed');
+
+    const store = JSON.parse(await fsp.readFile(path.join(dir, 'dead-letters.json'), 'utf8'));
+    assert.deepEqual(Object.keys(store.entries), ['grade:assignments/report.pdf']);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('retry-failed checks the stage and the --to bound before running anything', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'aithentic-retry-'));
+  try {
+    await deadLettersWithFailures(dir);
+    await assert.rejects(runPipeline(retryOptions(dir, { stage: 'upload' })), /Cannot retry stage "upload"/);
+    await assert.rejects(runPipeline(retryOptions(dir, { stage: 'grade', to: 'convert' })), /--to convert comes before the failed grade stage/);
+
+    // Nothing left for a stage resolves with null
+    await fsp.writeFile(path.join(dir, 'dead-letters.json'), JSON.stringify({ version: 1, entries: {} }));
+    assert.equal(await runPipeline(retryOptions(dir, { stage: 'grade' })), null);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+});
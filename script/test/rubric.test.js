@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isRubricKey, localRubricPath, parseRubric, findRubric, applyRubric } from '../rubric.js';
+
+const fsp = fs.promises;
+
+const RUBRIC = {
+  title: 'Essay',
+  criteria: [
+    { id: 'thesis', name: 'Thesis', maxPoints: 10, weight: 3, descriptors: { 10: 'Clear and arguable', 5: 'Vague', 0: 'Missing' } },
+    { name: 'Code Quality', maxPoints: 4 }
+  ]
+};
+
+test('parseRubric fills in ids, weights and sorted descriptors', () => {
+  const rubric = parseRubric(RUBRIC, 'CS101/hw1/rubric.json');
+  assert.equal(rubric.source, 'CS101/hw1/rubric.json');
+  assert.equal(rubric.title, 'Essay');
+  assert.deepEqual(rubric.criteria, [
+    {
+      id: 'thesis',
+      name: 'Thesis',
+      weight: 3,
+      maxPoints: 10,
+      descriptors: [{ points: 10, description: 'Clear and arguable' }, { points: 5, description: 'Vague' }, { points: 0, description: 'Missing' }]
+    },
+    { id: 'code-quality', name: 'Code Quality', weight: 1, maxPoints: 4, descriptors: [] }
+  ]);
+});
+
+test('parseRubric lists every problem it finds', () => {
+  assert.throws(() => parseRubric({ criteria: [] }, 'r.json'), /Invalid rubric r.json: "criteria" must be a non-empty list/);
+  assert.throws(() => parseRubric({
+    criteria: [
+      { id: 'a', maxPoints: 0 },
+      { id: 'a', maxPoints: 5, weight: -1 },
+      { maxPoints: 5, descriptors: [{ points: 7, description: '' }] }
+    ]
+  }, 'r.json'), (error) => {
+    assert.equal(error.message, 'Invalid rubric r.json: criteria[0].maxPoints must be a positive number; criteria[1] repeats criterion id "a"; ' +
+      'criteria[1].weight must be a positive number; criteria[2] needs an id or a name; criteria[2] has a descriptor outside 0-5 points; ' +
+      'criteria[2] has a descriptor without a description');
+    return true;
+  });
+});
+
+test('applyRubric computes the grade from weighted criterion scores', () => {
+  const rubric = parseRubric(RUBRIC, 'CS101/hw1/rubric.json');
+  const { value, errors } = applyRubric({
+    gradeReceived: 12,
+    criteriaScores: [
+      { criterionId: 'thesis', points: '5', justification: 'Vague claim.' },
+      { name: 'code quality', points: 4, justification: 'Clean.' }
+    ]
+  }, rubric);
+
+  assert.deepEqual(errors, []);
+  // (3 * 5/10 + 1 * 4/4) / 4
+  assert.equal(value.gradeReceived, 62.5);
+  assert.equal(value.rubricKey, 'CS101/hw1/rubric.json');
+  assert.deepEqual(value.criteriaScores.map(s => [s.criterionId, s.points, s.maxPoints, s.weight]), [['thesis', 5, 10, 3], ['code-quality', 4, 4, 1]]);
+});
+
+test('applyRubric reports missing and out-of-range scores and leaves the result as it was', () => {
+  const rubric = parseRubric(RUBRIC);
+  const result = { gradeReceived: 80, criteriaScores: [{ criterionId: 'thesis', points: 11, justification: '' }] };
+  const { value, errors } = applyRubric(result, rubric);
+  assert.equal(value, result);
+  assert.deepEqual(errors, [
+    'criteriaScores[thesis].points must be at most 10 (got 11)',
+    'criteriaScores[thesis].justification must not be empty',
+    'criteriaScores has no score for criterion "code-quality"'
+  ]);
+  assert.deepEqual(applyRubric({ gradeReceived: 80 }, rubric).errors.slice(0, 1), ['criteriaScores must be a list with one score per rubric criterion']);
+});
+
+test('localRubricPath mirrors the key and rejects . and .. segments', () => {
+  assert.equal(localRubricPath('assignments/CS101/rubric.json', '/tmp/rubrics'), path.join('/tmp/rubrics', 'assignments', 'CS101', 'rubric.json'));
+  assert.throws(() => localRubricPath('assignments/../../etc/rubric.json', '/tmp/rubrics'), /Unsafe rubric key/);
+  assert.throws(() => localRubricPath('./rubric.json', '/tmp/rubrics'), /Unsafe rubric key/);
+  assert.equal(isRubricKey('assignments/CS101/Rubric.JSON'), true);
+  assert.equal(isRubricKey('assignments/CS101/rubric.json.pdf'), false);
+});
+
+test('findRubric uses the nearest folder with a rubric and caches what it read', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'aithentic-rubrics-'));
+  try {
+    await fsp.mkdir(path.join(dir, 'assignments', 'CS101', 'hw1'), { recursive: true });
+    await fsp.writeFile(path.join(dir, 'assignments', 'CS101', 'rubric.json'), JSON.stringify(RUBRIC));
+    const cache = new Map();
+
+    const rubric = await findRubric('assignments/CS101/hw1/123/report.pdf', { dir, cache });
+    assert.equal(rubric.source, 'assignments/CS101/rubric.json');
+    assert.equal(cache.get('assignments/CS101/hw1/123/rubric.json'), null);
+    assert.equal(await findRubric('assignments/CS102/report.pdf', { dir, cache }), null);
+    assert.equal(await findRubric(undefined, { dir }), null);
+
+    await fsp.writeFile(path.join(dir, 'assignments', 'CS101', 'hw1', 'rubric.json'), '{"criteria": []}');
+    await assert.rejects(findRubric('assignments/CS101/hw1/123/report.pdf', { dir }), /Invalid rubric assignments\/CS101\/hw1\/rubric.json/);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+});
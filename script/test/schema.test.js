@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateResult } from '../schema.js';
+import { normalizeModelResult } from '../providers.js';
+
+const VALID = {
+  analyticsId: 3,
+  assignmentId: 'essay1',
+  gradeReceived: 85,
+  aiGeneratedAnalytics: { percentageOfAIUsed: 10, reasoning: 'Personal voice throughout.' },
+  plagarismAnalytics: { plagarisedPercentage: 0, reasoning: 'No matches.' },
+  gradeReasoning: 'Clear argument.',
+  remarks: 'Good work.'
+};
+
+test('validateResult accepts a complete result and keeps undeclared fields', () => {
+  const { valid, value, errors } = validateResult({ ...VALID, modelProvider: 'stub' });
+  assert.equal(valid, true);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { ...VALID, modelProvider: 'stub' });
+});
+
+test('validateResult coerces percentages, padded numbers and digit ids', () => {
+  const { valid, value } = validateResult({
+    ...VALID,
+    analyticsId: '3',
+    assignmentId: ' 42 ',
+    gradeReceived: ' 85.5 ',
+    aiGeneratedAnalytics: { percentageOfAIUsed: '85%', reasoning: '  Uniform phrasing. ' },
+    plagarismAnalytics: { plagarisedPercentage: '12 %' }
+  });
+  assert.equal(valid, true);
+  assert.equal(value.analyticsId, 3);
+  assert.equal(value.assignmentId, 42);
+  assert.equal(value.gradeReceived, 85.5);
+  assert.equal(value.aiGeneratedAnalytics.percentageOfAIUsed, 85);
+  assert.equal(value.aiGeneratedAnalytics.reasoning, 'Uniform phrasing.');
+  assert.equal(value.plagarismAnalytics.plagarisedPercentage, 12);
+});
+
+test('validateResult reports out-of-range, non-numeric and missing fields', () => {
+  const { valid, value, errors } = validateResult({
+    analyticsId: 0,
+    assignmentId: 'essay1',
+    gradeReceived: 105,
+    aiGeneratedAnalytics: { percentageOfAIUsed: 'about half' },
+    plagarismAnalytics: { plagarisedPercentage: -1 },
+    gradeReasoning: '   '
+  });
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    'analyticsId must be at least 1 (got 0)',
+    'gradeReceived must be at most 100 (got 105)',
+    'aiGeneratedAnalytics.percentageOfAIUsed must be a number (got "about half")',
+    'plagarismAnalytics.plagarisedPercentage must be at least 0 (got -1)',
+    'gradeReasoning must not be empty',
+    'remarks is required'
+  ]);
+  assert.equal('percentageOfAIUsed' in value.aiGeneratedAnalytics, false);
+});
+
+test('validateResult reports nested objects of the wrong type and required objects that are missing', () => {
+  const { errors } = validateResult({ ...VALID, aiGeneratedAnalytics: [10], plagarismAnalytics: undefined, remarks: 5 });
+  assert.deepEqual(errors, [
+    'aiGeneratedAnalytics must be an object',
+    'plagarismAnalytics is required',
+    'remarks must be text (got number)'
+  ]);
+  assert.deepEqual(validateResult(null).errors, ['result must be an object']);
+  assert.equal(validateResult({ ...VALID, analyticsId: '2.5' }).errors[0], 'analyticsId must be an integer (got 2.5)');
+});
+
+test('normalizeModelResult converts DynamoDB JSON and takes the ids from the request', () => {
+  const result = normalizeModelResult({
+    analyticsId: { N: '99' },
+    assignmentId: { S: 'other' },
+    gradeReceived: { N: '85' },
+    aiGeneratedAnalytics: { M: { percentageOfAIUsed: { N: '10' }, reasoning: { S: 'Varied.' } } },
+    remarks: { S: 'Good.' }
+  }, { assignmentId: 'essay1', analyticsId: '3' });
+
+  assert.deepEqual(result, {
+    analyticsId: 3,
+    assignmentId: 'essay1',
+    gradeReceived: 85,
+    aiGeneratedAnalytics: { percentageOfAIUsed: 10, reasoning: 'Varied.' },
+    remarks: 'Good.'
+  });
+});
+
+test('normalizeModelResult parses the legacy generated_text formats and fenced JSON', () => {
+  const text = 'Here is the grade:\n```json\n{"gradeReceived": "85%", "remarks": "Good."}\n```';
+  const ids = { assignmentId: 'essay1', analyticsId: 3 };
+  const expected = { gradeReceived: '85%', remarks: 'Good.', analyticsId: 3, assignmentId: 'essay1' };
+
+  assert.deepEqual(normalizeModelResult([{ generated_text: text }], ids), expected);
+  assert.deepEqual(normalizeModelResult({ generated_text: text }, ids), expected);
+  assert.deepEqual(normalizeModelResult(text, ids), expected);
+  assert.equal(validateResult({ ...VALID, ...normalizeModelResult(text, ids) }).value.gradeReceived, 85);
+});
+
+test('normalizeModelResult rejects output without a JSON object', () => {
+  assert.throws(() => normalizeModelResult([{ generated_text: 'I cannot grade this.' }], { assignmentId: 'a', analyticsId: 1 }), /contains no JSON object/);
+  assert.throws(() => normalizeModelResult([1, 2], { assignmentId: 'a', analyticsId: 1 }), /Unknown response format/);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprintText, estimateSimilarity, matchingPassages, findSimilarPairs, DEFAULT_THRESHOLD } from '../similarity.js';
+
+const ESSAY = `The industrial revolution changed how people lived and worked. Factories drew
+workers from the countryside into crowded cities, where wages were low and hours were long.
+Steam power let a single mill produce more cloth in a day than a village could weave in a
+year. Railways carried coal, iron and goods across the country, and towns grew around the
+stations. Reformers such as Robert Owen argued that shorter hours and schooling for children
+would make workers healthier and more productive. Parliament passed the first factory acts,
+limiting the hours children could work. Historians still debate whether living standards
+rose or fell in the first decades of industrialisation.`;
+
+const OTHER = `Photosynthesis turns light into chemical energy. Chlorophyll in the leaves absorbs
+mostly red and blue light and reflects green, which is why plants look green to us. In the
+light reactions water is split and oxygen released; the Calvin cycle then fixes carbon dioxide
+into sugars that the plant uses to grow. Temperature, light intensity and the concentration of
+carbon dioxide all limit how fast this happens, and a greenhouse grower adjusts each of them.`;
+
+const documentOf = (id, text, extra = {}) => ({ id, text, fingerprint: fingerprintText(text), ...extra });
+
+test('identical texts are 100% similar', () => {
+  assert.equal(estimateSimilarity(fingerprintText(ESSAY), fingerprintText(ESSAY)), 100);
+});
+
+test('case, punctuation and spacing do not hide copied text', () => {
+  const reformatted = ESSAY.toUpperCase().replace(/[.,;]/g, ' ').replace(/\s+/g, '  ');
+  assert.equal(estimateSimilarity(fingerprintText(ESSAY), fingerprintText(reformatted)), 100);
+});
+
+test('unrelated texts are not similar', () => {
+  const similarity = estimateSimilarity(fingerprintText(ESSAY), fingerprintText(OTHER));
+  assert.ok(similarity < 10, `expected under 10%, got ${similarity}%`);
+});
+
+test('a renamed term lowers similarity but the copy is still found', () => {
+  const renamed = ESSAY.replace(/workers/g, 'labourers').replace(/Robert Owen/g, 'Richard Oastler');
+  const similarity = estimateSimilarity(fingerprintText(ESSAY), fingerprintText(renamed));
+  assert.ok(similarity < 100, `expected under 100%, got ${similarity}%`);
+  assert.ok(similarity >= DEFAULT_THRESHOLD, `expected at least ${DEFAULT_THRESHOLD}%, got ${similarity}%`);
+});
+
+test('texts shorter than one shingle have no signature and match nothing', () => {
+  const short = fingerprintText('Too short');
+  assert.deepEqual(short.signature, []);
+  assert.equal(short.wordCount, 2);
+  assert.equal(estimateSimilarity(short, fingerprintText('Too short')), 0);
+  assert.equal(estimateSimilarity(short, fingerprintText(ESSAY)), 0);
+});
+
+test('matching passages quote the shared text from both submissions', () => {
+  const copied = `${OTHER}\n${ESSAY.split('\n').slice(2, 6).join('\n')}`;
+  const a = fingerprintText(ESSAY);
+  const b = fingerprintText(copied);
+  const passages = matchingPassages(a, ESSAY, b, copied);
+  assert.ok(passages.length > 0);
+  assert.match(passages[0].text, /Railways carried coal/);
+  assert.match(passages[0].matchedText, /Railways carried coal/);
+});
+
+test('findSimilarPairs compares only within a group and never a student with themselves', () => {
+  const pairs = findSimilarPairs([
+    documentOf('a', ESSAY, { group: 'hw1', owner: 's1' }),
+    documentOf('b', ESSAY, { group: 'hw1', owner: 's2' }),
+    documentOf('c', ESSAY, { group: 'hw1', owner: 's1' }),
+    documentOf('d', ESSAY, { group: 'hw2', owner: 's3' }),
+    documentOf('e', OTHER, { group: 'hw1', owner: 's4' })
+  ]);
+  assert.deepEqual(pairs.map(p => [p.a, p.b]), [['a', 'b'], ['b', 'c']]);
+  assert.ok(pairs.every(p => p.similarity === 100 && p.passages.length > 0));
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describe, histogram, letterFor, correlation, parseCourseThresholds, loadCourseThresholds, thresholdsFor, DEFAULT_THRESHOLDS } from '../statistics.js';
+
+test('describe gives interpolated quartiles and the population standard deviation', () => {
+  assert.deepEqual(describe([4, 1, 3, 2]), {
+    count: 4,
+    mean: 2.5,
+    median: 2.5,
+    standardDeviation: 1.12,
+    min: 1,
+    max: 4,
+    quartiles: { q1: 1.75, q2: 2.5, q3: 3.25 }
+  });
+});
+
+test('describe handles one value and no values', () => {
+  const one = describe([80]);
+  assert.equal(one.mean, 80);
+  assert.equal(one.standardDeviation, 0);
+  assert.deepEqual(one.quartiles, { q1: 80, q2: 80, q3: 80 });
+  assert.deepEqual(describe([]), { count: 0, mean: 0, median: 0, standardDeviation: 0, min: 0, max: 0, quartiles: { q1: 0, q2: 0, q3: 0 } });
+});
+
+test('histogram bins include their lower bound and the last bin includes 100', () => {
+  const bins = histogram([0, 9.9, 10, 55, 100]);
+  assert.equal(bins.length, 10);
+  assert.deepEqual(bins[0], { from: 0, to: 10, count: 2 });
+  assert.deepEqual(bins[1], { from: 10, to: 20, count: 1 });
+  assert.equal(bins[5].count, 1);
+  assert.deepEqual(bins[9], { from: 90, to: 100, count: 1 });
+  assert.equal(bins.reduce((sum, bin) => sum + bin.count, 0), 5);
+});
+
+test('histogram widens for values above the maximum and honours the bin width', () => {
+  const bins = histogram([105]);
+  assert.equal(bins.length, 11);
+  assert.deepEqual(bins[10], { from: 100, to: 110, count: 1 });
+  assert.equal(histogram([50], { binWidth: 25 }).length, 4);
+  assert.equal(histogram([]).every(bin => bin.count === 0), true);
+});
+
+test('correlation is -1 to 1 and undefined when it cannot be measured', () => {
+  assert.equal(correlation([1, 2, 3], [2, 4, 6]), 1);
+  assert.equal(correlation([1, 2, 3], [6, 4, 2]), -1);
+  assert.equal(correlation([0, 50, 100], [90, 70, 40]), -0.993);
+  assert.equal(correlation([1, 2], [1, 2]), undefined);
+  assert.equal(correlation([1, 2, 3], [5, 5, 5]), undefined);
+  assert.equal(correlation([1, 2, 3], [1, 2]), undefined);
+});
+
+test('letterFor picks the highest letter whose minimum the grade reaches', () => {
+  const scale = DEFAULT_THRESHOLDS.letterGrades;
+  assert.equal(letterFor(95, scale), 'A');
+  assert.equal(letterFor(80, scale), 'B');
+  assert.equal(letterFor(59.9, scale), 'F');
+  assert.equal(letterFor(10, { Pass: 60, Fail: 30 }), 'Fail');
+});
+
+test('parseCourseThresholds fills courses from "default", and "default" from the defaults', () => {
+  const thresholds = parseCourseThresholds({
+    default: { aiThreshold: 60 },
+    CS101: { plagiarismThreshold: 30, letterGrades: { A: 93, F: 0 } },
+    PHIL200: { aiThreshold: 0 }
+  });
+  assert.deepEqual(thresholds.default, { ...DEFAULT_THRESHOLDS, aiThreshold: 60 });
+  assert.deepEqual(thresholds.courses.CS101, { aiThreshold: 60, plagiarismThreshold: 30, letterGrades: { A: 93, F: 0 } });
+  assert.equal(thresholds.courses.PHIL200.aiThreshold, 0);
+  assert.equal(thresholdsFor('CS101', thresholds).plagiarismThreshold, 30);
+  assert.equal(thresholdsFor('UNKNOWN', thresholds), thresholds.default);
+  assert.equal(thresholdsFor(undefined, thresholds), thresholds.default);
+});
+
+test('parseCourseThresholds lists every problem it finds', () => {
+  assert.throws(() => parseCourseThresholds([]), /expected an object keyed by course/);
+  assert.throws(
+    () => parseCourseThresholds({ CS101: { aiThreshold: 120, letterGrades: { A: 'high' } }, CS102: 'strict' }, 'thresholds.json'),
+    error => {
+      assert.match(error.message, /^Invalid course thresholds thresholds\.json: /);
+      assert.match(error.message, /CS101\.aiThreshold must be a percentage from 0 to 100/);
+      assert.match(error.message, /CS101\.letterGrades minimums must be numbers/);
+      assert.match(error.message, /CS102 must be an object/);
+      return true;
+    }
+  );
+});
+
+test('loadCourseThresholds falls back to the defaults without a file', async () => {
+  const defaults = { ...DEFAULT_THRESHOLDS, aiThreshold: 0 };
+  assert.deepEqual(await loadCourseThresholds('./does-not-exist.json', defaults), { default: defaults, courses: {} });
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { proseOf, analyzeStyle, styleDrift, assessStyle } from '../stylometry.js';
+
+// A student's usual voice: first person, casual, sentences of very different lengths
+const CASUAL = `I really liked this book. Honestly, I did not expect to. My sister gave it to me last
+summer and I just left it on the shelf for months, which I guess says a lot about me. When I finally
+opened it I could not put it down! The main character is stubborn, funny and a bit lost, so I saw a
+lot of myself in her. Some chapters drag. But the ending? It hit me hard, and I cried on the bus, which
+was embarrassing. I think my friends would like it too, so I am lending it to them, and they can tell
+me if I am wrong about it. We will see.`;
+
+// The same essay about another book: other names and nouns, the same habits
+const CASUAL_RENAMED = CASUAL
+  .replace(/book/g, 'novel')
+  .replace(/sister/g, 'cousin')
+  .replace(/her\./g, 'him.')
+  .replace(/bus/g, 'train')
+  .replace(/summer/g, 'winter');
+
+// A different voice: formal, impersonal, every sentence about as long as the others
+const FORMAL = `The novel explores the tension between individual ambition and collective duty in a
+changing society. Furthermore, the author employs a restrained narrative voice to emphasize the
+moral complexity of each decision. Moreover, the recurring imagery of rivers reinforces the theme of
+inevitable transformation over time. The protagonist consequently embodies the broader conflicts
+that shaped the historical period described. Additionally, the secondary characters provide
+contrasting perspectives on loyalty, sacrifice and personal responsibility. The structure of the
+narrative therefore mirrors the gradual erosion of traditional social hierarchies. Ultimately, the
+work offers a nuanced meditation on the costs and benefits of progress. In addition, the final chapter
+resolves the central conflict through an act of deliberate and public renunciation. Consequently, the
+reader is invited to reconsider the value of tradition within a modernizing world.`;
+
+test('a text compared with itself has no style drift', () => {
+  const style = analyzeStyle(CASUAL);
+  const drift = styleDrift(style, [style]);
+  assert.equal(drift.score, 0);
+  assert.equal(drift.functionWordDistance, 0);
+  assert.equal(drift.sentenceLengthChange, 0);
+});
+
+test('a text in a different voice drifts strongly from the student\'s history', () => {
+  const drift = styleDrift(analyzeStyle(FORMAL), [analyzeStyle(CASUAL)]);
+  assert.ok(drift.score >= 0.5, `expected a drift of at least 0.5, got ${drift.score}`);
+});
+
+test('renamed nouns and names leave the style profile almost unchanged', () => {
+  const drift = styleDrift(analyzeStyle(CASUAL_RENAMED), [analyzeStyle(CASUAL)]);
+  assert.ok(drift.score < 0.15, `expected a drift under 0.15, got ${drift.score}`);
+});
+
+test('code is not part of the prose analyzed', () => {
+  const withCode = `${CASUAL}\n\`\`\`python\ndef helper(values):\n    return sorted(values)\n\`\`\`\n----- FILE: main.py (python) -----\nprint(1)\n----- END FILE: main.py -----`;
+  assert.equal(proseOf(withCode).trim(), CASUAL);
+  assert.deepEqual(analyzeStyle(withCode), analyzeStyle(CASUAL));
+});
+
+test('uniform sentences score higher than varied ones', () => {
+  const casual = assessStyle(CASUAL);
+  const formal = assessStyle(FORMAL);
+  assert.ok(formal.features.burstiness < casual.features.burstiness);
+  assert.ok(formal.score > casual.score, `expected ${formal.score} > ${casual.score}`);
+});
+
+test('too little prose gives no score and never disagrees with the model', () => {
+  assert.equal(analyzeStyle('Short answer. Only two sentences.'), null);
+  const assessment = assessStyle('Short answer. Only two sentences.', { modelPercentage: 100 });
+  assert.equal(assessment.score, undefined);
+  assert.equal(assessment.disagreement, false);
+  assert.equal(assessment.signals[0].name, 'insufficientText');
+});
+
+test('disagreement is reported when the model and the style score are far apart', () => {
+  const { score } = assessStyle(CASUAL);
+  const far = assessStyle(CASUAL, { modelPercentage: score >= 50 ? 0 : 100 });
+  assert.equal(far.disagreement, true);
+  assert.match(far.disagreementReason, /model estimates/);
+  assert.equal(assessStyle(CASUAL, { modelPercentage: score }).disagreement, false);
+});
+
+test('without history the drift signal is reported but not scored', () => {
+  const signal = assessStyle(CASUAL).signals.find(s => s.name === 'styleDrift');
+  assert.equal(signal.weight, undefined);
+  const withHistory = assessStyle(FORMAL, { history: [analyzeStyle(CASUAL)] });
+  assert.ok(withHistory.drift.score >= 0.5);
+  assert.equal(withHistory.signals.find(s => s.name === 'styleDrift').weight, 1);
+});
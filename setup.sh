@@ -113,6 +113,27 @@ else
   echo "pdftotext already installed"
 fi
 
+### 4b) Install tesseract-ocr for scanned/handwritten PDF pages ###
+echo "[STEP 4b] Ensuring tesseract (tesseract-ocr) is installed for OCR"
+if ! command_exists tesseract; then
+  case "$PKG_MANAGER" in
+    apt)
+      sudo apt-get install -y tesseract-ocr || echo "[WARN] Failed to install tesseract-ocr via apt"
+      ;;
+    yum)
+      sudo yum install -y tesseract || echo "[WARN] Failed to install tesseract via yum (may need EPEL)"
+      ;;
+    apk)
+      sudo apk add --no-cache tesseract-ocr tesseract-ocr-data-eng || echo "[WARN] Failed to install tesseract-ocr via apk"
+      ;;
+    *)
+      echo "[WARN] Could not auto-install tesseract on this OS. Scanned pages will be flagged for manual review."
+      ;;
+  esac
+else
+  echo "tesseract already installed"
+fi
+
 ### 5) Clone repository if missing (optional) ###
 if [ ! -d "$PROJECT_DIR" ]; then
   if [ -n "$REPO_URL" ]; then
@@ -185,45 +206,36 @@ fi
 export AWS_REGION="${AWS_REGION}"
 echo "[INFO] AWS_REGION set to ${AWS_REGION}"
 
-# 6) Run parts sequentially. Each step logs output and returns non-zero on failure.
+# 6) Run the pipeline. Each step logs output and returns non-zero on failure.
 TIMESTAMP() { date -u +"%Y-%m-%dT%H:%M:%SZ"; }
 
-run_node_script() {
-  local script_file="$1"
-  echo "[$(TIMESTAMP)] Running ${script_file} ..."
-  # Use node to run script; ensure working dir is project root so relative paths resolve
+run_pipeline() {
+  echo "[$(TIMESTAMP)] Running aithentic $* ..."
+  # Use node to run the CLI; ensure working dir is project root so relative paths resolve
   cd "$PROJECT_DIR"
-  if ! $NODE_CMD "$SCRIPTS_DIR/$script_file" ; then
-    echo "[$(TIMESTAMP)] ERROR: ${script_file} failed."
+  if ! $NODE_CMD "$SCRIPTS_DIR/aithentic.js" "$@" ; then
+    echo "[$(TIMESTAMP)] ERROR: aithentic $* failed."
     return 1
   fi
-  echo "[$(TIMESTAMP)] Finished ${script_file}."
+  echo "[$(TIMESTAMP)] Finished aithentic $*."
   return 0
 }
 
-# Recommended order: part1 -> part2 -> part3 -> part4 (terminate last)
-if ! run_node_script "part1_S3PdfToText.js"; then
-  echo "[ERROR] part1 failed. Aborting subsequent steps."
-  exit 1
-fi
-
-if ! run_node_script "part2_Sagemaker.js"; then
-  echo "[ERROR] part2 failed. Aborting subsequent steps."
-  exit 1
-fi
-
-if ! run_node_script "part3_DynamoDb.js"; then
-  echo "[ERROR] part3 failed. Aborting subsequent steps."
+# Stages run in-process: fetch -> convert -> grade -> summarize (terminate last).
+# Progress is recorded under .aithentic/runs so a failed run can be resumed with
+#   node script/aithentic.js run --resume
+if ! run_pipeline run --from fetch --to summarize; then
+  echo "[ERROR] Pipeline failed. Resume with: $NODE_CMD $SCRIPTS_DIR/aithentic.js run --resume"
   exit 1
 fi
 
-# part4 may terminate the instance; only run if explicitly enabled
+# terminate may stop the instance; only run if explicitly enabled
 TERMINATE_ON_COMPLETE="${TERMINATE_ON_COMPLETE:-true}"
 if [ "$TERMINATE_ON_COMPLETE" = "true" ] || [ "$TERMINATE_ON_COMPLETE" = "1" ]; then
-  echo "[INFO] TERMINATE_ON_COMPLETE is true; running part4_Terminate.js (may stop instance)."
-  run_node_script "part4_Terminate.js" || echo "[WARN] part4 returned non-zero (see logs)."
+  echo "[INFO] TERMINATE_ON_COMPLETE is true; running terminate stage (may stop instance)."
+  run_pipeline run --from terminate --to terminate || echo "[WARN] terminate stage returned non-zero (see logs)."
 else
-  echo "[INFO] TERMINATE_ON_COMPLETE is disabled; skipping part4."
+  echo "[INFO] TERMINATE_ON_COMPLETE is disabled; skipping terminate stage."
 fi
 
 echo "=== Aithentic startup script completed: $(date -u +"%Y-%m-%dT%H:%M:%SZ") ==="